@@ -1,5 +1,6 @@
 using System.Drawing;
 using System.Numerics;
+using System.Runtime.InteropServices;
 
 namespace BugViewer;
 
@@ -20,6 +21,12 @@ public abstract record AbstractObject3D
     /// </summary>
     public IEnumerable<Color> Colors { get; set; }
 
+    /// <summary>
+    /// Model transform applied on the GPU, so the object can be moved without re-sending its vertices.
+    /// Use <c>BugViewer.SetObjectTransformAsync</c> to change it once the object is in the scene.
+    /// </summary>
+    public Matrix4x4 Transform { get; set; } = Matrix4x4.Identity;
+
     protected IEnumerable<int> TriangleIndices((int, int, int) faceIndices)
     {
         yield return faceIndices.Item1;
@@ -27,9 +34,6 @@ public abstract record AbstractObject3D
         yield return faceIndices.Item3;
     }
 
-    protected IEnumerable<float> Coordinates(Vector3 v)
-    { yield return v.X; yield return v.Y; yield return v.Z; }
-
     protected IEnumerable<float> ColorToJavaScript(Color c)
     {
         yield return c.R / 255f;
@@ -38,5 +42,95 @@ public abstract record AbstractObject3D
         yield return c.A / 255f;
     }
 
+    protected float[] TransformToJavaScript()
+    {
+        var m = Transform;
+        return
+        [
+            m.M11, m.M12, m.M13, m.M14,
+            m.M21, m.M22, m.M23, m.M24,
+            m.M31, m.M32, m.M33, m.M34,
+            m.M41, m.M42, m.M43, m.M44
+        ];
+    }
+
+    // Bulk data crosses to JavaScript as byte arrays, which Blazor transfers as binary rather than JSON,
+    // and which JavaScript views in place as typed arrays: float32 for coordinates, uint32 for indices
+    // and one RGBA byte each for colors. All are little-endian, as on every platform .NET and browsers run on.
+
+    internal static byte[] CoordinatesToJavaScript(IEnumerable<Vector3> points)
+    {
+        var array = points as Vector3[] ?? points.ToArray();
+        return MemoryMarshal.AsBytes(array.AsSpan()).ToArray();
+    }
+
+    internal static byte[] CoordinatesToJavaScript(IEnumerable<Vector2> points)
+    {
+        var array = points as Vector2[] ?? points.ToArray();
+        return MemoryMarshal.AsBytes(array.AsSpan()).ToArray();
+    }
+
+    internal static byte[] ColorsToJavaScript(IEnumerable<Color> colors)
+    {
+        var packed = new List<byte>();
+        foreach (var c in colors)
+        {
+            packed.Add(c.R);
+            packed.Add(c.G);
+            packed.Add(c.B);
+            packed.Add(c.A);
+        }
+        return packed.ToArray();
+    }
+
+    protected static byte[] IndicesToJavaScript(IEnumerable<(int a, int b, int c)> faces)
+    {
+        var indices = new List<int>();
+        foreach (var (a, b, c) in faces)
+        {
+            indices.Add(a);
+            indices.Add(b);
+            indices.Add(c);
+        }
+        return ToJavaScript(indices.ToArray());
+    }
+
+    protected static byte[] ToJavaScript(float[] values) => MemoryMarshal.AsBytes(values.AsSpan()).ToArray();
+
+    protected static byte[] ToJavaScript(int[] values) => MemoryMarshal.AsBytes(values.AsSpan()).ToArray();
+
+    // Replaces values from offset on with replacement, extending the list when it runs past the end
+    protected static List<T> ReplaceRange<T>(IEnumerable<T> values, int offset, IList<T> replacement)
+    {
+        var list = values.ToList();
+        if (offset < 0 || offset > list.Count)
+            throw new ArgumentOutOfRangeException(nameof(offset), $"Offset {offset} is outside the {list.Count} existing values.");
+        return list.Take(offset).Concat(replacement).Concat(list.Skip(offset + replacement.Count)).ToList();
+    }
+
+    // ReplaceRange that writes into values itself when it is a List, or an array the replacement fits in,
+    // so changing a few values of a large object costs only those values. Other collections are copied.
+    protected static IList<T> ReplaceRangeInPlace<T>(IEnumerable<T> values, int offset, IList<T> replacement)
+    {
+        if (values is not List<T> && !(values is T[] array && offset + replacement.Count <= array.Length))
+            return ReplaceRange(values, offset, replacement);
+
+        var list = (IList<T>)values;
+        if (offset < 0 || offset > list.Count)
+            throw new ArgumentOutOfRangeException(nameof(offset), $"Offset {offset} is outside the {list.Count} existing values.");
+        for (var i = 0; i < replacement.Count; i++)
+        {
+            if (offset + i < list.Count)
+                list[offset + i] = replacement[i];
+            else
+                list.Add(replacement[i]);
+        }
+        return list;
+    }
+
+    // The points the viewer's bounding sphere is fitted around, where the transform places them
+    internal virtual IEnumerable<Vector3> BoundingVertices =>
+        Transform.IsIdentity ? Vertices : Vertices.Select(v => Vector3.Transform(v, Transform));
+
     internal abstract object CreateJavascriptData();
 }
\ No newline at end of file
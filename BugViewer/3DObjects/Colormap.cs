@@ -0,0 +1,65 @@
+using System.Drawing;
+using System.Globalization;
+
+namespace BugViewer;
+
+/// <summary>
+/// Colors that scalars are mapped onto, spaced evenly from the low end of the range (the first color) to the
+/// high end (the last), and blended in between. Use a preset or give your own <see cref="Colors"/>.
+/// </summary>
+public record Colormap
+{
+    /// <summary>Dark purple through green to yellow, evenly bright along the way and readable in grayscale.</summary>
+    public static Colormap Viridis { get; } = new()
+    {
+        Colors =
+        [
+            Color.FromArgb(68, 1, 84), Color.FromArgb(71, 45, 123), Color.FromArgb(59, 82, 139),
+            Color.FromArgb(44, 114, 142), Color.FromArgb(33, 145, 140), Color.FromArgb(40, 174, 128),
+            Color.FromArgb(94, 201, 98), Color.FromArgb(173, 220, 48), Color.FromArgb(253, 231, 37)
+        ]
+    };
+
+    /// <summary>The classic rainbow, from dark blue through cyan, yellow and red to dark red.</summary>
+    public static Colormap Jet { get; } = new()
+    {
+        Colors =
+        [
+            Color.FromArgb(0, 0, 128), Color.FromArgb(0, 0, 255), Color.FromArgb(0, 128, 255),
+            Color.FromArgb(0, 255, 255), Color.FromArgb(128, 255, 128), Color.FromArgb(255, 255, 0),
+            Color.FromArgb(255, 128, 0), Color.FromArgb(255, 0, 0), Color.FromArgb(128, 0, 0)
+        ]
+    };
+
+    /// <summary>
+    /// Blue to white to red, for values on either side of a center such as signed distances.
+    /// Give the range symmetric about the center so that it falls on white.
+    /// </summary>
+    public static Colormap Diverging { get; } = new()
+    {
+        Colors =
+        [
+            Color.FromArgb(59, 76, 192), Color.FromArgb(141, 176, 254), Color.FromArgb(221, 221, 221),
+            Color.FromArgb(244, 154, 123), Color.FromArgb(180, 4, 38)
+        ]
+    };
+
+    /// <summary>The colors from the low end to the high end of the range; at least one.</summary>
+    public required IReadOnlyList<Color> Colors { get; init; }
+
+    internal float[][] ToJavaScript()
+    {
+        if (Colors.Count == 0)
+            throw new InvalidOperationException("A colormap needs at least one color.");
+        return Colors.Select(c => new[] { c.R / 255f, c.G / 255f, c.B / 255f, c.A / 255f }).ToArray();
+    }
+
+    // A CSS gradient from the first color on the left to the last on the right, for the legend
+    internal string ToCssGradient()
+    {
+        var colors = Colors.Count == 1 ? [Colors[0], Colors[0]] : Colors;
+        var stops = colors.Select((c, i) => string.Format(CultureInfo.InvariantCulture, "rgba({0},{1},{2},{3:0.###}) {4:0.##}%",
+            c.R, c.G, c.B, c.A / 255.0, 100.0 * i / (colors.Count - 1)));
+        return $"linear-gradient(to right, {string.Join(", ", stops)})";
+    }
+}
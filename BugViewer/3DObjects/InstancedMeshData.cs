@@ -0,0 +1,89 @@
+using System.Numerics;
+using System.Runtime.InteropServices;
+
+namespace BugViewer;
+
+/// <summary>
+/// Represents one small mesh drawn many times, such as vertex markers, arrows or voxel cubes.
+/// The geometry (<see cref="AbstractObject3D.Vertices"/>, <see cref="Indices"/> and <see cref="Normals"/>) is sent
+/// once and drawn with a single GPU call for all instances. Colors holds one color per instance, or a single color
+/// for every instance.
+/// </summary>
+public record InstancedMeshData : AbstractObject3D
+{
+    /// <summary>Triangle indices of the shared geometry (3 indices per triangle).</summary>
+    public required IList<(int a, int b, int c)> Indices { get; init; }
+
+    /// <summary>
+    /// Optional per-vertex normals of the shared geometry for smooth shading.
+    /// When null, the instances are flat shaded.
+    /// </summary>
+    public IList<Vector3>? Normals { get; init; }
+
+    /// <summary>
+    /// One transform per instance, placing a copy of the geometry. It is applied before
+    /// <see cref="AbstractObject3D.Transform"/>, which moves all instances together.
+    /// Use <c>BugViewer.UpdateInstancesAsync</c> to change the instances once the mesh is in the scene.
+    /// </summary>
+    public required IList<Matrix4x4> InstanceTransforms { get; init; }
+
+    // The viewer's bounding sphere covers the corners of the shared geometry's bounding box at every
+    // instance, placed as on the GPU: the instance transform first, then the object's transform
+    internal override IEnumerable<Vector3> BoundingVertices
+    {
+        get
+        {
+            if (!Vertices.Any())
+                yield break;
+            var min = Vertices.Aggregate(Vector3.Min);
+            var max = Vertices.Aggregate(Vector3.Max);
+            foreach (var instance in InstanceTransforms)
+            {
+                var m = instance * Transform;
+                for (var corner = 0; corner < 8; corner++)
+                {
+                    var v = new Vector3((corner & 1) == 0 ? min.X : max.X, (corner & 2) == 0 ? min.Y : max.Y, (corner & 4) == 0 ? min.Z : max.Z);
+                    yield return Vector3.Transform(v, m);
+                }
+            }
+        }
+    }
+
+    internal override object CreateJavascriptData()
+    {
+        return new
+        {
+            id = Id,
+            vertices = CoordinatesToJavaScript(Vertices),
+            indices = IndicesToJavaScript(Indices),
+            normals = Normals is null ? null : CoordinatesToJavaScript(Normals),
+            instanceTransforms = InstanceTransformsToJavaScript(),
+            colors = InstanceColorsToJavaScript(),
+            transform = TransformToJavaScript()
+        };
+    }
+
+    // The instance data alone, for updateInstances
+    internal object CreateInstanceJavascriptData() => new
+    {
+        instanceTransforms = InstanceTransformsToJavaScript(),
+        colors = InstanceColorsToJavaScript()
+    };
+
+    // Matrix4x4 is stored row by row, which is the column-major order JavaScript expects
+    private byte[] InstanceTransformsToJavaScript()
+    {
+        var transforms = InstanceTransforms as Matrix4x4[] ?? InstanceTransforms.ToArray();
+        return MemoryMarshal.AsBytes(transforms.AsSpan()).ToArray();
+    }
+
+    private byte[] InstanceColorsToJavaScript()
+    {
+        var colorCount = Colors.Count();
+        if (colorCount != 1 && colorCount != InstanceTransforms.Count)
+        {
+            throw new InvalidOperationException($"Color count {colorCount} must be 1 or match the instance count {InstanceTransforms.Count}.");
+        }
+        return ColorsToJavaScript(Colors);
+    }
+}
@@ -34,16 +34,79 @@ public record LineData : AbstractObject3D
         return new
         {
             id = Id,
-            vertices = positions,
-            colors,
-            thickness,
-            uvs,
-            endPositions,
-            fades,
-            indices
+            vertices = ToJavaScript(positions),
+            colors = PackColors(colors),
+            thickness = ToJavaScript(thickness),
+            uvs = ToJavaScript(uvs),
+            endPositions = ToJavaScript(endPositions),
+            fades = ToJavaScript(fades),
+            indices = ToJavaScript(indices),
+            // Zero-thickness segments produce no geometry, so tell the picker which segments were drawn
+            segmentIndices = DrawnSegments().ToArray(),
+            transform = TransformToJavaScript()
         };
     }
 
+    // This line with its vertices from offset on replaced. Vertices past the end lengthen the path;
+    // thicknesses, colors and fade factors given per segment repeat their last value for the new segments.
+    internal LineData WithVertices(int offset, IList<Vector3> vertices)
+    {
+        var merged = ReplaceRange(Vertices, offset, vertices);
+        var oldSegmentCount = Vertices.Count - 1;
+        var segmentCount = merged.Count - 1;
+        return this with
+        {
+            Vertices = merged,
+            Thicknesses = ExtendPerSegment(Thicknesses, oldSegmentCount, segmentCount),
+            Colors = ExtendPerSegment(Colors, oldSegmentCount, segmentCount),
+            FadeFactors = ExtendPerSegment(FadeFactors, oldSegmentCount, segmentCount)
+        };
+    }
+
+    // The geometry of the segments from the one ending at firstVertex on, for updateLineVertices.
+    // firstSegment counts the drawn segments before them, which is where their geometry starts on the GPU.
+    internal (int firstSegment, object data) CreateJavascriptUpdateData(int firstVertex)
+    {
+        var start = Math.Max(firstVertex - 1, 0);
+        var (positions, colors, thickness, uvs, endPositions, fades, indices) =
+            GenerateStadiumGeometry(
+                Vertices.Skip(start).ToList(),
+                Thicknesses.Skip(start),
+                Colors.Skip(start),
+                FadeFactors.Skip(start));
+
+        var drawn = DrawnSegments().ToList();
+        return (drawn.Count(i => i < start), new
+        {
+            vertices = ToJavaScript(positions),
+            colors = PackColors(colors),
+            thickness = ToJavaScript(thickness),
+            uvs = ToJavaScript(uvs),
+            endPositions = ToJavaScript(endPositions),
+            fades = ToJavaScript(fades),
+            indices = ToJavaScript(indices),
+            segmentIndices = drawn.Where(i => i >= start).ToArray()
+        });
+    }
+
+    // The generated colors are bytes divided by 255, so rounding recovers them exactly
+    private static byte[] PackColors(float[] colors) =>
+        colors.Select(c => (byte)MathF.Round(c * 255f)).ToArray();
+
+    private IEnumerable<int> DrawnSegments() =>
+        Thicknesses.Take(Vertices.Count - 1)
+            .Select((t, i) => (t, i))
+            .Where(s => (float)s.t > 0)
+            .Select(s => s.i);
+
+    private static IEnumerable<T> ExtendPerSegment<T>(IEnumerable<T> values, int oldSegmentCount, int segmentCount)
+    {
+        var list = values.ToList();
+        if (list.Count == 0 || list.Count < oldSegmentCount || list.Count >= segmentCount)
+            return list;
+        return list.Concat(Enumerable.Repeat(list[^1], segmentCount - list.Count)).ToList();
+    }
+
 
 
     private const float HalfRadius = 0.5f;
@@ -60,7 +123,7 @@ public record LineData : AbstractObject3D
         float[] uvs,
         float[] endPositions,
         float[] fades,
-        ushort[] indices
+        int[] indices
     ) GenerateStadiumGeometry(
         IList<Vector3> vertexList,
         IEnumerable<double> thicknesses,
@@ -85,7 +148,7 @@ public record LineData : AbstractObject3D
         var quadUVs = new List<float>();
         var quadEndPositions = new List<float>();
         var quadFades = new List<float>();
-        var indices = new List<ushort>();
+        var indices = new List<int>();
 
         for (int i = 0; i < numSegments; i++)
         {
@@ -119,13 +182,13 @@ public record LineData : AbstractObject3D
                 v0, color, t, 1f, 0.5f, v1, fade); // end-right
 
             // Body indices
-            indices.AddRange(new ushort[] {
-                (ushort)baseIdxBody,
-                (ushort)(baseIdxBody + 1),
-                (ushort)(baseIdxBody + 2),
-                (ushort)(baseIdxBody + 1),
-                (ushort)(baseIdxBody + 3),
-                (ushort)(baseIdxBody + 2)
+            indices.AddRange(new int[] {
+                baseIdxBody,
+                baseIdxBody + 1,
+                baseIdxBody + 2,
+                baseIdxBody + 1,
+                baseIdxBody + 3,
+                baseIdxBody + 2
             });
 
             // Start cap (semicircle behind start point)
@@ -147,10 +210,10 @@ public record LineData : AbstractObject3D
             // Start cap fan indices
             for (int ai = 0; ai < startAngles.Count - 1; ai++)
             {
-                indices.AddRange(new ushort[] {
-                    (ushort)startCenterIdx,
-                    (ushort)(startPerimBase + ai),
-                    (ushort)(startPerimBase + ai + 1)
+                indices.AddRange(new int[] {
+                    startCenterIdx,
+                    startPerimBase + ai,
+                    (startPerimBase + ai + 1)
                 });
             }
 
@@ -173,10 +236,10 @@ public record LineData : AbstractObject3D
             // End cap fan indices
             for (int ai = 0; ai < endAngles.Count - 1; ai++)
             {
-                indices.AddRange(new ushort[] {
-                    (ushort)endCenterIdx,
-                    (ushort)(endPerimBase + ai),
-                    (ushort)(endPerimBase + ai + 1)
+                indices.AddRange(new int[] {
+                    endCenterIdx,
+                    endPerimBase + ai,
+                    (endPerimBase + ai + 1)
                 });
             }
         }
@@ -11,27 +11,134 @@ public record MeshData : AbstractObject3D
     public required IList<(int a, int b, int c)> Indices { get; init; }
 
     public required MeshColoring ColorMode { get; init; }
-    
+
+    /// <summary>
+    /// The values colored through <see cref="ScalarColoring"/> when <see cref="ColorMode"/> is
+    /// <see cref="MeshColoring.PerVertexScalar"/> (one per vertex) or <see cref="MeshColoring.PerTriangleScalar"/>
+    /// (one per triangle), such as curvature, thickness or error distance. <see cref="AbstractObject3D.Colors"/>
+    /// is not used then.
+    /// </summary>
+    public IList<double>? Scalars { get; init; }
+
+    /// <summary>
+    /// The colormap and range that <see cref="Scalars"/> are shown with. When null, the range 0 to 1 is spread along
+    /// <see cref="Colormap.Viridis"/>. Use <c>BugViewer.SetMeshScalarColoringAsync</c> to change it once the mesh is
+    /// in the scene; only the colormap is sent again, not the scalars.
+    /// </summary>
+    public ScalarColoring? ScalarColoring { get; init; }
+
+    /// <summary>
+    /// Optional per-vertex normals (one per vertex) for smooth shading.
+    /// When null and <see cref="SmoothingAngle"/> is also null, the mesh is flat shaded.
+    /// </summary>
+    public IList<Vector3>? Normals { get; init; }
+
+    /// <summary>
+    /// Computes per-vertex normals when <see cref="Normals"/> is not given. Faces that share a vertex
+    /// are averaged together if their normals differ by less than this angle (in degrees); sharper
+    /// edges keep a crease. Vertices must be shared between faces for them to be smoothed.
+    /// </summary>
+    public double? SmoothingAngle { get; init; }
+
+    /// <summary>
+    /// Optional per-vertex texture coordinates (one per vertex) placing <see cref="Texture"/> on the mesh.
+    /// Vertices on a UV seam must be split, each copy with the UV of its side of the seam.
+    /// </summary>
+    public IList<Vector2>? Uvs { get; init; }
+
+    /// <summary>Optional image shown on the mesh through its <see cref="Uvs"/>.</summary>
+    public MeshTexture? Texture { get; init; }
+
+    /// <summary>
+    /// How this mesh is drawn. When null, the viewer's <see cref="BugViewerOptions.DisplayMode"/> is used.
+    /// Use <c>BugViewer.SetMeshDisplayModeAsync</c> to change it once the mesh is in the scene.
+    /// </summary>
+    public MeshDisplayMode? DisplayMode { get; init; }
+
+    /// <summary>
+    /// How the surface reflects light. When null, it is <see cref="MeshMaterial.Classic"/>.
+    /// Use <c>BugViewer.SetMeshMaterialAsync</c> to change it once the mesh is in the scene.
+    /// </summary>
+    public MeshMaterial? Material { get; init; }
+
+    /// <summary>
+    /// Optional coarser versions of the mesh, drawn instead of it while it is small on screen, so that
+    /// large assemblies of small parts stay fast. They only apply to the shaded display mode: edges,
+    /// clip caps and picking always use the full mesh.
+    /// </summary>
+    public IList<MeshLevelOfDetail>? LevelsOfDetail { get; init; }
 
     internal override object CreateJavascriptData()
     {
-        if (ColorMode == MeshColoring.PerTriangle)
+        var vertexList = Vertices as IList<Vector3> ?? Vertices.ToList();
+        var cornerNormals = Normals == null && SmoothingAngle.HasValue ? CornerNormals(vertexList, SmoothingAngle.Value) : null;
+        if (ColorMode is MeshColoring.PerTriangle or MeshColoring.PerTriangleScalar)
         {
             int expectedColors = Indices.Count();
-            if (Colors.Count() != expectedColors)
+            if (ColorMode == MeshColoring.PerTriangle && Colors.Count() != expectedColors)
             {
                 throw new InvalidOperationException($"Color count {Colors.Count()} does not match expected per-triangle color count {expectedColors}.");
             }
-            var vertexList = Vertices as IList<Vector3> ?? Vertices.ToList();
+            if (Normals != null)
+                cornerNormals = Indices.SelectMany(face => TriangleIndices(face)).Select(ind => Normals[ind]).ToArray();
 
             return new
             {
                 id = Id,
-                vertices = Indices.SelectMany(face => TriangleIndices(face)).SelectMany(ind => Coordinates(vertexList[ind])).ToArray(),
-                indices = Enumerable.Range(0, 3 * Indices.Count()).ToArray(),
-                colors = Colors.SelectMany(c =>
-                      ColorToJavaScript(c).Concat(ColorToJavaScript(c)).Concat(ColorToJavaScript(c))).ToArray(),
-                singleColor = false
+                vertices = CoordinatesToJavaScript(Indices.SelectMany(face => TriangleIndices(face)).Select(ind => vertexList[ind])),
+                indices = ToJavaScript(Enumerable.Range(0, 3 * Indices.Count()).ToArray()),
+                colors = IsScalarColored ? null : ColorsToJavaScript(Colors.SelectMany(c => new[] { c, c, c })),
+                scalars = IsScalarColored ? ScalarsToJavaScript(expectedColors, s => s.SelectMany(v => new[] { v, v, v })) : null,
+                scalarColoring = ScalarColoringToJavaScript(),
+                normals = cornerNormals is null ? null : CoordinatesToJavaScript(cornerNormals),
+                uvs = Uvs is null ? null : CoordinatesToJavaScript(Indices.SelectMany(face => TriangleIndices(face)).Select(ind => Uvs[ind])),
+                singleColor = false,
+                transform = TransformToJavaScript(),
+                displayMode = DisplayModeToJavaScript(),
+                material = Material?.ToJavaScript(),
+                texture = Texture?.ToJavaScript(),
+                lods = LevelsOfDetailToJavaScript(FirstUses(Indices.SelectMany(face => TriangleIndices(face)), vertexList.Count))
+            };
+        }
+        else if (cornerNormals != null)
+        {
+            // Split vertices whose corners ended up with different normals (the creases)
+            var colorList = IsScalarColored ? [] : Colors as IList<System.Drawing.Color> ?? Colors.ToList();
+            var splitIndex = new Dictionary<(int, Vector3), int>();
+            var vertexIndices = new List<int>();
+            var normals = new List<Vector3>();
+            var indices = new int[cornerNormals.Length];
+            int corner = 0;
+            foreach (var ind in Indices.SelectMany(face => TriangleIndices(face)))
+            {
+                var key = (ind, cornerNormals[corner]);
+                if (!splitIndex.TryGetValue(key, out var newIndex))
+                {
+                    newIndex = vertexIndices.Count;
+                    splitIndex.Add(key, newIndex);
+                    vertexIndices.Add(ind);
+                    normals.Add(cornerNormals[corner]);
+                }
+                indices[corner++] = newIndex;
+            }
+            return new
+            {
+                id = Id,
+                vertices = CoordinatesToJavaScript(vertexIndices.Select(i => vertexList[i])),
+                indices = ToJavaScript(indices),
+                colors = IsScalarColored ? null : ColorsToJavaScript(ColorMode == MeshColoring.UniformColor
+                    ? colorList
+                    : vertexIndices.Select(i => colorList[i])),
+                scalars = IsScalarColored ? ScalarsToJavaScript(vertexList.Count, s => vertexIndices.Select(i => s[i])) : null,
+                scalarColoring = ScalarColoringToJavaScript(),
+                normals = CoordinatesToJavaScript(normals),
+                uvs = Uvs is null ? null : CoordinatesToJavaScript(vertexIndices.Select(i => Uvs[i])),
+                singleColor = ColorMode == MeshColoring.UniformColor,
+                transform = TransformToJavaScript(),
+                displayMode = DisplayModeToJavaScript(),
+                material = Material?.ToJavaScript(),
+                texture = Texture?.ToJavaScript(),
+                lods = LevelsOfDetailToJavaScript(FirstUses(vertexIndices, vertexList.Count))
             };
         }
         else
@@ -39,11 +146,125 @@ public record MeshData : AbstractObject3D
             return new
             {
                 id = Id,
-                vertices = Vertices.SelectMany(v => Coordinates(v)).ToArray(),
-                indices = Indices.SelectMany(face => TriangleIndices(face)).ToArray(),
-                colors = Colors.SelectMany(c => ColorToJavaScript(c)).ToArray(),
-                singleColor = ColorMode == MeshColoring.UniformColor
+                vertices = CoordinatesToJavaScript(Vertices),
+                indices = IndicesToJavaScript(Indices),
+                colors = IsScalarColored ? null : ColorsToJavaScript(Colors),
+                scalars = IsScalarColored ? ScalarsToJavaScript(vertexList.Count, s => s) : null,
+                scalarColoring = ScalarColoringToJavaScript(),
+                normals = Normals is null ? null : CoordinatesToJavaScript(Normals),
+                uvs = Uvs is null ? null : CoordinatesToJavaScript(Uvs),
+                singleColor = ColorMode == MeshColoring.UniformColor,
+                transform = TransformToJavaScript(),
+                displayMode = DisplayModeToJavaScript(),
+                material = Material?.ToJavaScript(),
+                texture = Texture?.ToJavaScript(),
+                lods = LevelsOfDetailToJavaScript(null)
             };
         }
     }
+
+    // True when the GPU holds exactly Vertices and Colors, one per vertex, so that ranges of them can be
+    // rewritten in place. Per-triangle colors and computed normals duplicate vertices on the way to the GPU.
+    internal bool HasVertexAlignedBuffers =>
+        ColorMode is not (MeshColoring.PerTriangle or MeshColoring.PerTriangleScalar) && (Normals != null || SmoothingAngle == null);
+
+    // What the GPU holds per vertex to color the mesh: nothing, a color or a scalar. Changing it changes the GPU layout.
+    internal string GpuColoring => ColorMode switch
+    {
+        MeshColoring.UniformColor => "uniform",
+        MeshColoring.PerVertexScalar or MeshColoring.PerTriangleScalar => "scalar",
+        _ => "vertex"
+    };
+
+    private bool IsScalarColored => ColorMode is MeshColoring.PerVertexScalar or MeshColoring.PerTriangleScalar;
+
+    // expectedCount is one scalar per vertex or per triangle; sentScalars lays them out as the GPU vertices are sent
+    private byte[] ScalarsToJavaScript(int expectedCount, Func<IList<double>, IEnumerable<double>> sentScalars)
+    {
+        if (Scalars is null || Scalars.Count != expectedCount)
+            throw new InvalidOperationException($"Scalar count {Scalars?.Count ?? 0} does not match expected count {expectedCount} for {ColorMode}.");
+        return ToJavaScript(sentScalars(Scalars).Select(v => (float)v).ToArray());
+    }
+
+    private object? ScalarColoringToJavaScript() =>
+        IsScalarColored ? (ScalarColoring ?? new ScalarColoring()).ToJavaScript() : null;
+
+    // The lists are written in place where they allow it (see ReplaceRangeInPlace), so this mesh may change too
+    internal MeshData WithVertices(int offset, IList<Vector3> vertices, IList<Vector3>? normals)
+    {
+        if (normals != null && normals.Count != vertices.Count)
+            throw new ArgumentException($"Normal count {normals.Count} does not match vertex count {vertices.Count}.", nameof(normals));
+        var vertexCount = Vertices.Count;
+        var mesh = this with { Vertices = ReplaceRangeInPlace(Vertices, offset, vertices) };
+        if (normals != null)
+            mesh = mesh with { Normals = ReplaceRangeInPlace(Normals ?? Enumerable.Repeat(Vector3.Zero, vertexCount), offset, normals) };
+        return mesh;
+    }
+
+    internal MeshData WithColors(int offset, IList<System.Drawing.Color> colors) =>
+        this with { Colors = ReplaceRangeInPlace(Colors, offset, colors) };
+
+    // vertexMap takes each vertex to the one sent in its place when vertices are duplicated on the way to the GPU
+    private object[]? LevelsOfDetailToJavaScript(int[]? vertexMap)
+    {
+        return LevelsOfDetail?.Select(lod => new
+        {
+            indices = IndicesToJavaScript(vertexMap is null ? lod.Indices : lod.Indices.Select(face =>
+                (MapVertex(vertexMap, face.a), MapVertex(vertexMap, face.b), MapVertex(vertexMap, face.c)))),
+            maxScreenSize = lod.MaxScreenSize
+        }).ToArray<object>();
+    }
+
+    private static int MapVertex(int[] vertexMap, int vertex)
+    {
+        if (vertexMap[vertex] < 0)
+            throw new InvalidOperationException($"Level of detail uses vertex {vertex}, which no triangle of the full mesh uses.");
+        return vertexMap[vertex];
+    }
+
+    // For each of vertexCount vertices, the first position in sentVertices that holds it, or -1
+    private static int[] FirstUses(IEnumerable<int> sentVertices, int vertexCount)
+    {
+        var firstUses = Enumerable.Repeat(-1, vertexCount).ToArray();
+        int position = 0;
+        foreach (var vertex in sentVertices)
+        {
+            if (firstUses[vertex] < 0) firstUses[vertex] = position;
+            position++;
+        }
+        return firstUses;
+    }
+
+    private string? DisplayModeToJavaScript() =>
+        DisplayMode.HasValue ? BugViewerOptions.DisplayModeToJavaScript(DisplayMode.Value) : null;
+
+    // One normal per face corner (3 per triangle): the area-weighted average of the faces around the
+    // corner's vertex that lie within the smoothing angle of this face.
+    private Vector3[] CornerNormals(IList<Vector3> vertexList, double smoothingAngle)
+    {
+        var faces = Indices as IList<(int a, int b, int c)> ?? Indices.ToList();
+        // The cross product's length is twice the area, which gives the weighting for free
+        var faceNormals = faces.Select(f => Vector3.Cross(vertexList[f.b] - vertexList[f.a], vertexList[f.c] - vertexList[f.a])).ToArray();
+        var unitNormals = faceNormals.Select(n => n == Vector3.Zero ? n : Vector3.Normalize(n)).ToArray();
+        var facesAtVertex = new List<int>[vertexList.Count];
+        for (int f = 0; f < faces.Count; f++)
+            foreach (var v in TriangleIndices(faces[f]))
+                (facesAtVertex[v] ??= []).Add(f);
+
+        var cosThreshold = (float)Math.Cos(smoothingAngle * Math.PI / 180.0);
+        var result = new Vector3[3 * faces.Count];
+        int corner = 0;
+        for (int f = 0; f < faces.Count; f++)
+        {
+            foreach (var v in TriangleIndices(faces[f]))
+            {
+                var sum = Vector3.Zero;
+                foreach (var g in facesAtVertex[v])
+                    if (Vector3.Dot(unitNormals[g], unitNormals[f]) >= cosThreshold)
+                        sum += faceNormals[g];
+                result[corner++] = sum == Vector3.Zero ? unitNormals[f] : Vector3.Normalize(sum);
+            }
+        }
+        return result;
+    }
 }
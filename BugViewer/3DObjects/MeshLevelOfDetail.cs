@@ -0,0 +1,20 @@
+namespace BugViewer;
+
+/// <summary>
+/// A coarser set of triangles over the vertices of a <see cref="MeshData"/>, drawn instead of its
+/// <see cref="MeshData.Indices"/> while the mesh is small on screen.
+/// </summary>
+public record MeshLevelOfDetail
+{
+    /// <summary>
+    /// Triangle indices (3 indices per triangle) into the mesh's <see cref="AbstractObject3D.Vertices"/>.
+    /// Leave it empty to not draw the mesh at all below <see cref="MaxScreenSize"/>.
+    /// </summary>
+    public required IList<(int a, int b, int c)> Indices { get; init; }
+
+    /// <summary>
+    /// This level is used while the mesh's bounds measure less than this many pixels across on screen.
+    /// When several levels apply, the one with the smallest size is used.
+    /// </summary>
+    public required double MaxScreenSize { get; init; }
+}
@@ -0,0 +1,53 @@
+using System.Drawing;
+
+namespace BugViewer;
+
+/// <summary>
+/// How the surface of a <see cref="MeshData"/> reflects light. The mesh's colors are tinted by
+/// <see cref="BaseColor"/>, so a material can be shared by meshes of different colors.
+/// Use <c>BugViewer.SetMeshMaterialAsync</c> to change it once the mesh is in the scene.
+/// </summary>
+public record MeshMaterial
+{
+    /// <summary>The viewer's original look, lit with <see cref="BugViewerOptions.SpecularPower"/>.</summary>
+    public static MeshMaterial Classic { get; } = new();
+
+    /// <summary>A dielectric with a soft highlight.</summary>
+    public static MeshMaterial Plastic { get; } = new() { Model = ShadingModel.PhysicallyBased, Roughness = 0.4 };
+
+    /// <summary>Polished metal, which reflects in the color of the mesh.</summary>
+    public static MeshMaterial Metal { get; } = new() { Model = ShadingModel.PhysicallyBased, Metallic = 1, Roughness = 0.25 };
+
+    /// <summary>A smooth, mostly see-through surface.</summary>
+    public static MeshMaterial Glass { get; } = new() { Model = ShadingModel.PhysicallyBased, Roughness = 0.05, Opacity = 0.3 };
+
+    /// <summary>Which lighting model shades the surface.</summary>
+    public ShadingModel Model { get; init; } = ShadingModel.BlinnPhong;
+
+    /// <summary>Multiplies the mesh's colors, including their alpha.</summary>
+    public Color BaseColor { get; init; } = Color.White;
+
+    /// <summary>From 0 (plastic, stone, wood) to 1 (metal). Only used by <see cref="ShadingModel.PhysicallyBased"/>.</summary>
+    public double Metallic { get; init; }
+
+    /// <summary>
+    /// From 0 (mirror-like, with a sharp highlight) to 1 (matte). Only used by <see cref="ShadingModel.PhysicallyBased"/>.
+    /// </summary>
+    public double Roughness { get; init; } = 0.5;
+
+    /// <summary>Light given off by the surface itself, added whatever the lighting. Black for none.</summary>
+    public Color Emissive { get; init; } = Color.Black;
+
+    /// <summary>From 0 (invisible) to 1 (opaque); below 1 the mesh is drawn as transparent.</summary>
+    public double Opacity { get; init; } = 1;
+
+    internal object ToJavaScript() => new
+    {
+        model = Model == ShadingModel.PhysicallyBased ? "physicallyBased" : "blinnPhong",
+        baseColor = new[] { BaseColor.R / 255f, BaseColor.G / 255f, BaseColor.B / 255f, BaseColor.A / 255f },
+        metallic = Math.Clamp(Metallic, 0, 1),
+        roughness = Math.Clamp(Roughness, 0, 1),
+        emissive = new[] { Emissive.R / 255f, Emissive.G / 255f, Emissive.B / 255f },
+        opacity = Math.Clamp(Opacity, 0, 1)
+    };
+}
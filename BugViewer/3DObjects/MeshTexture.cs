@@ -0,0 +1,62 @@
+using System.Drawing;
+
+namespace BugViewer;
+
+/// <summary>
+/// An image shown on a <see cref="MeshData"/> through its <see cref="MeshData.Uvs"/>, tinting the mesh's colors
+/// (use white meshes to show the image as it is). UV (0, 0) is the bottom left corner of the image and (1, 1)
+/// the top right. Create one with <see cref="FromImage"/>, <see cref="FromPixels"/> or <see cref="Checkerboard"/>.
+/// </summary>
+public record MeshTexture
+{
+    private string Type { get; init; } = "pixels";
+    private byte[]? Data { get; init; }
+    private int Width { get; init; }
+    private int Height { get; init; }
+    private int Squares { get; init; }
+    private Color[]? SquareColors { get; init; }
+
+    private MeshTexture() { }
+
+    /// <summary>UVs outside 0 to 1 repeat the image when true; when false they take the color at its edge.</summary>
+    public bool Repeat { get; init; } = true;
+
+    /// <summary>Blends neighboring pixels when true; when false each pixel shows as a sharp-edged block.</summary>
+    public bool Smooth { get; init; } = true;
+
+    /// <summary>An image file the browser can decode, such as PNG or JPEG.</summary>
+    public static MeshTexture FromImage(byte[] imageFile) => new() { Type = "image", Data = imageFile };
+
+    /// <summary>RGBA bytes, 4 per pixel, row by row from the top of the image.</summary>
+    public static MeshTexture FromPixels(int width, int height, byte[] rgba)
+    {
+        if (width <= 0 || height <= 0)
+            throw new ArgumentOutOfRangeException(nameof(width), $"Texture size {width} x {height} must be positive.");
+        if (rgba.Length != width * height * 4)
+            throw new ArgumentException($"Pixel data has {rgba.Length} bytes; a {width} x {height} RGBA image has {width * height * 4}.", nameof(rgba));
+        return new() { Width = width, Height = height, Data = rgba };
+    }
+
+    /// <summary>
+    /// A checkerboard of <paramref name="squares"/> by <paramref name="squares"/> squares (up to 64) for checking
+    /// UV distortion: where the parameterization stretches or shears, the squares do too.
+    /// </summary>
+    public static MeshTexture Checkerboard(int squares = 8, Color? light = null, Color? dark = null) => new()
+    {
+        Type = "checkerboard",
+        Squares = Math.Clamp(squares, 1, 64),
+        SquareColors = [light ?? Color.White, dark ?? Color.FromArgb(77, 77, 77)]
+    };
+
+    internal object ToJavaScript() => new
+    {
+        type = Type,
+        data = Data,
+        width = Width,
+        height = Height,
+        squares = Squares,
+        colors = SquareColors?.Select(c => new[] { c.R / 255f, c.G / 255f, c.B / 255f, c.A / 255f }).ToArray(),
+        repeat = Repeat,
+        smooth = Smooth
+    };
+}
@@ -28,6 +28,10 @@ internal readonly struct Sphere
         var centerDistSqd = (a.Center - b.Center).LengthSquared();
         return centerDistSqd + b.RadiusSquared <= a.RadiusSquared;
     }
+    internal static bool ContainsPoint(Sphere a, Vector3 point)
+    {
+        return (a.Center - point).LengthSquared() <= a.RadiusSquared;
+    }
     internal static bool OnSurface(Sphere a, Vector3 point)
     {
         var centerDistSqd = (a.Center - point).LengthSquared();
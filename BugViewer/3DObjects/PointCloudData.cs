@@ -0,0 +1,48 @@
+namespace BugViewer;
+
+/// <summary>
+/// Represents a set of points drawn as screen-facing discs or squares, one GPU instance per point.
+/// Colors holds one color per point, or a single color for the whole cloud.
+/// </summary>
+public record PointCloudData : AbstractObject3D
+{
+    /// <summary>
+    /// Point diameters: one per point, or a single size for every point.
+    /// In pixels unless <see cref="SizeInWorldUnits"/> is set.
+    /// </summary>
+    public IEnumerable<double> Sizes { get; init; } = [4.0];
+
+    /// <summary>
+    /// When true, <see cref="Sizes"/> are in world units, so points shrink with distance like the
+    /// rest of the scene. When false (the default), they keep the same size in pixels at any zoom.
+    /// </summary>
+    public bool SizeInWorldUnits { get; init; }
+
+    /// <summary>The shape each point is drawn with.</summary>
+    public PointShape Shape { get; init; } = PointShape.Disc;
+
+    internal override object CreateJavascriptData()
+    {
+        var colorCount = Colors.Count();
+        if (colorCount != 1 && colorCount != Vertices.Count)
+        {
+            throw new InvalidOperationException($"Color count {colorCount} must be 1 or match the point count {Vertices.Count}.");
+        }
+        var sizeCount = Sizes.Count();
+        if (sizeCount != 1 && sizeCount != Vertices.Count)
+        {
+            throw new InvalidOperationException($"Size count {sizeCount} must be 1 or match the point count {Vertices.Count}.");
+        }
+
+        return new
+        {
+            id = Id,
+            vertices = CoordinatesToJavaScript(Vertices),
+            colors = ColorsToJavaScript(Colors),
+            sizes = ToJavaScript(Sizes.Select(s => (float)s).ToArray()),
+            sizeInWorldUnits = SizeInWorldUnits,
+            shape = Shape == PointShape.Square ? "square" : "disc",
+            transform = TransformToJavaScript()
+        };
+    }
+}
@@ -0,0 +1,41 @@
+using System.Drawing;
+
+namespace BugViewer;
+
+/// <summary>
+/// How the <see cref="MeshData.Scalars"/> of a mesh become colors: the range from <see cref="Min"/> to
+/// <see cref="Max"/> is spread along <see cref="Colormap"/>. The lookup runs on the GPU, so
+/// <c>BugViewer.SetMeshScalarColoringAsync</c> changes the range or colormap without re-sending the scalars.
+/// </summary>
+public record ScalarColoring
+{
+    /// <summary>The colors the range is spread along.</summary>
+    public Colormap Colormap { get; init; } = Colormap.Viridis;
+
+    /// <summary>The scalar shown in the first color of <see cref="Colormap"/>.</summary>
+    public double Min { get; init; }
+
+    /// <summary>The scalar shown in the last color of <see cref="Colormap"/>.</summary>
+    public double Max { get; init; } = 1;
+
+    /// <summary>
+    /// When true, scalars outside the range take the color at its nearer end; when false they are drawn in
+    /// <see cref="OutOfRangeColor"/>, which makes them easy to spot.
+    /// </summary>
+    public bool ClampToRange { get; init; } = true;
+
+    /// <summary>The color of scalars outside the range when <see cref="ClampToRange"/> is false.</summary>
+    public Color OutOfRangeColor { get; init; } = Color.Gray;
+
+    /// <summary>An optional caption for the color legend, such as the quantity and its unit.</summary>
+    public string? Title { get; init; }
+
+    internal object ToJavaScript() => new
+    {
+        colors = Colormap.ToJavaScript(),
+        min = (float)Min,
+        max = (float)Max,
+        clampToRange = ClampToRange,
+        outOfRangeColor = new[] { OutOfRangeColor.R / 255f, OutOfRangeColor.G / 255f, OutOfRangeColor.B / 255f, OutOfRangeColor.A / 255f }
+    };
+}
@@ -8,10 +8,14 @@ namespace BugViewer;
 /// </summary>
 public record TextBillboard : AbstractObject3D
 {
+    /// <summary>The label's text; line breaks start new lines.</summary>
     public required string Text { get; init; }
     public required Color BackgroundColor { get; init; }
     public required Color TextColor { get; init; }
     public Vector3 Center  => ((List<Vector3>)Vertices)[0];
+
+    /// <summary>The font, frame, sizing and placement of the label.</summary>
+    public TextBillboardStyle Style { get; init; } = new();
     
     internal override object CreateJavascriptData()
     {
@@ -21,7 +25,9 @@ public record TextBillboard : AbstractObject3D
             text = Text,
             position = new[] { Center.X, Center.Y, Center.Z },
             backgroundColor = ColorToJavaScript(BackgroundColor).ToArray(),
-            textColor = ColorToJavaScript(TextColor).ToArray()
+            textColor = ColorToJavaScript(TextColor).ToArray(),
+            style = Style.ToJavaScript(),
+            transform = TransformToJavaScript()
         };
     }
 }
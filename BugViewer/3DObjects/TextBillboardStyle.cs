@@ -0,0 +1,79 @@
+using System.Drawing;
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// How the label of a <see cref="TextBillboard"/> looks and where it sits. Lengths are in CSS pixels of the
+/// label, which is drawn at the screen's resolution.
+/// </summary>
+public record TextBillboardStyle
+{
+    /// <summary>A CSS font family, such as "sans-serif" or "'Courier New', monospace".</summary>
+    public string FontFamily { get; init; } = "sans-serif";
+
+    /// <summary>The font size in pixels.</summary>
+    public double FontSize { get; init; } = 16;
+
+    /// <summary>A CSS font weight from 100 to 900: 400 is normal and 700 bold.</summary>
+    public int FontWeight { get; init; } = 700;
+
+    /// <summary>Space between the text and the border.</summary>
+    public double Padding { get; init; } = 4;
+
+    /// <summary>Width of the border around the label; 0 for none.</summary>
+    public double BorderWidth { get; init; }
+
+    /// <summary>Color of the border around the label.</summary>
+    public Color BorderColor { get; init; } = Color.Black;
+
+    /// <summary>Radius of the label's rounded corners; 0 for square corners.</summary>
+    public double CornerRadius { get; init; }
+
+    /// <summary>
+    /// When true, the label is <see cref="WorldHeight"/> high in world units, so it shrinks with distance like the
+    /// rest of the scene. When false (the default), it keeps the same size in pixels at any zoom.
+    /// </summary>
+    public bool SizeInWorldUnits { get; init; }
+
+    /// <summary>The height of the label in world units when <see cref="SizeInWorldUnits"/> is set.</summary>
+    public double WorldHeight { get; init; } = 1;
+
+    /// <summary>The point of the label placed at the billboard's position, before <see cref="Offset"/>.</summary>
+    public BillboardAnchor Anchor { get; init; } = BillboardAnchor.Center;
+
+    /// <summary>
+    /// Moves the label right (X) and up (Y) on screen from its anchor, in pixels, or in world units when
+    /// <see cref="SizeInWorldUnits"/> is set.
+    /// </summary>
+    public Vector2 Offset { get; init; }
+
+    internal object ToJavaScript() => new
+    {
+        fontFamily = FontFamily,
+        fontSize = FontSize,
+        fontWeight = Math.Clamp(FontWeight, 100, 900),
+        padding = Math.Max(0, Padding),
+        borderWidth = Math.Max(0, BorderWidth),
+        borderColor = new[] { BorderColor.R / 255f, BorderColor.G / 255f, BorderColor.B / 255f, BorderColor.A / 255f },
+        cornerRadius = Math.Max(0, CornerRadius),
+        sizeInWorldUnits = SizeInWorldUnits,
+        worldHeight = WorldHeight,
+        anchor = AnchorToJavaScript(),
+        offset = new[] { Offset.X, Offset.Y }
+    };
+
+    // From [0, 0] at the bottom left of the label to [1, 1] at its top right
+    private float[] AnchorToJavaScript() => Anchor switch
+    {
+        BillboardAnchor.Left => [0, 0.5f],
+        BillboardAnchor.Right => [1, 0.5f],
+        BillboardAnchor.Top => [0.5f, 1],
+        BillboardAnchor.Bottom => [0.5f, 0],
+        BillboardAnchor.TopLeft => [0, 1],
+        BillboardAnchor.TopRight => [1, 1],
+        BillboardAnchor.BottomLeft => [0, 0],
+        BillboardAnchor.BottomRight => [1, 0],
+        _ => [0.5f, 0.5f]
+    };
+}
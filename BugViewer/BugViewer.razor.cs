@@ -55,6 +55,14 @@ namespace BugViewer
         [Parameter]
         public string Height { get; set; } = "100vh";
 
+        /// <summary>
+        /// Component parameter for a color legend drawn next to the toolbar, showing the colormap and range
+        /// of meshes colored by scalars. Pass the same <see cref="ScalarColoring"/> given to those meshes;
+        /// null hides the legend.
+        /// </summary>
+        [Parameter]
+        public ScalarColoring? ColorLegend { get; set; }
+
         // Element references for container and canvas.
         private ElementReference? _containerRef;
         private ElementReference? _canvasRef;
@@ -124,6 +132,19 @@ namespace BugViewer
         private double? _paramPanSensitivity;
         private double? _paramPanSpeedMultiplier;
         private double? _paramCoordinateThickness;
+        private bool? _paramHighlightOnHover;
+        private string? _paramHoverColor;
+        private string? _paramSelectionColor;
+        private string? _paramSelectedTriangleColor;
+        private double? _paramSelectedTriangleTransparency;
+        private double? _paramOutlineWidth;
+        private bool? _paramShowClipCaps;
+        private string? _paramClipCapColor;
+        private bool? _paramFlatShading;
+        private MeshDisplayMode? _paramDisplayMode;
+        private double? _paramEdgeWidth;
+        private string? _paramEdgeColor;
+        private IReadOnlyList<ClipPlane>? _paramClipPlanes;
 
         /// <summary>Light polar angle parameter.</summary>
         [Parameter]
@@ -285,6 +306,58 @@ namespace BugViewer
         [Parameter]
         public double? CoordinateThickness { get => _paramCoordinateThickness; set => _paramCoordinateThickness = value; }
 
+        /// <summary>Highlight on hover parameter.</summary>
+        [Parameter]
+        public bool? HighlightOnHover { get => _paramHighlightOnHover; set => _paramHighlightOnHover = value; }
+
+        /// <summary>Hover outline color parameter.</summary>
+        [Parameter]
+        public string? HoverColor { get => _paramHoverColor; set => _paramHoverColor = value; }
+
+        /// <summary>Selection outline color parameter.</summary>
+        [Parameter]
+        public string? SelectionColor { get => _paramSelectionColor; set => _paramSelectionColor = value; }
+
+        /// <summary>Selected triangle color parameter.</summary>
+        [Parameter]
+        public string? SelectedTriangleColor { get => _paramSelectedTriangleColor; set => _paramSelectedTriangleColor = value; }
+
+        /// <summary>Selected triangle transparency parameter.</summary>
+        [Parameter]
+        public double? SelectedTriangleTransparency { get => _paramSelectedTriangleTransparency; set => _paramSelectedTriangleTransparency = value; }
+
+        /// <summary>Outline width parameter.</summary>
+        [Parameter]
+        public double? OutlineWidth { get => _paramOutlineWidth; set => _paramOutlineWidth = value; }
+
+        /// <summary>Show clip caps parameter.</summary>
+        [Parameter]
+        public bool? ShowClipCaps { get => _paramShowClipCaps; set => _paramShowClipCaps = value; }
+
+        /// <summary>Clip cap color parameter.</summary>
+        [Parameter]
+        public string? ClipCapColor { get => _paramClipCapColor; set => _paramClipCapColor = value; }
+
+        /// <summary>Clip planes parameter.</summary>
+        [Parameter]
+        public IReadOnlyList<ClipPlane>? ClipPlanes { get => _paramClipPlanes; set => _paramClipPlanes = value; }
+
+        /// <summary>Shades every triangle flat, ignoring mesh normals.</summary>
+        [Parameter]
+        public bool? FlatShading { get => _paramFlatShading; set => _paramFlatShading = value; }
+
+        /// <summary>How meshes are drawn, unless a mesh sets its own display mode.</summary>
+        [Parameter]
+        public MeshDisplayMode? DisplayMode { get => _paramDisplayMode; set => _paramDisplayMode = value; }
+
+        /// <summary>Width in pixels of triangle edges.</summary>
+        [Parameter]
+        public double? EdgeWidth { get => _paramEdgeWidth; set => _paramEdgeWidth = value; }
+
+        /// <summary>Color of triangle edges.</summary>
+        [Parameter]
+        public string? EdgeColor { get => _paramEdgeColor; set => _paramEdgeColor = value; }
+
         /// <summary>
         /// Applies parameter proxy values to the Options object.
         /// Called from OnParametersSet after Options is guaranteed to exist.
@@ -333,6 +406,19 @@ namespace BugViewer
             if (_paramPanSensitivity.HasValue) Options.PanSensitivity = _paramPanSensitivity.Value;
             if (_paramPanSpeedMultiplier.HasValue) Options.PanSpeedMultiplier = _paramPanSpeedMultiplier.Value;
             if (_paramCoordinateThickness.HasValue) Options.CoordinateThickness = _paramCoordinateThickness.Value;
+            if (_paramHighlightOnHover.HasValue) Options.HighlightOnHover = _paramHighlightOnHover.Value;
+            if (_paramHoverColor != null) Options.HoverColor = _paramHoverColor;
+            if (_paramSelectionColor != null) Options.SelectionColor = _paramSelectionColor;
+            if (_paramSelectedTriangleColor != null) Options.SelectedTriangleColor = _paramSelectedTriangleColor;
+            if (_paramSelectedTriangleTransparency.HasValue) Options.SelectedTriangleTransparency = _paramSelectedTriangleTransparency.Value;
+            if (_paramOutlineWidth.HasValue) Options.OutlineWidth = _paramOutlineWidth.Value;
+            if (_paramShowClipCaps.HasValue) Options.ShowClipCaps = _paramShowClipCaps.Value;
+            if (_paramClipCapColor != null) Options.ClipCapColor = _paramClipCapColor;
+            if (_paramClipPlanes != null) Options.ClipPlanes = _paramClipPlanes;
+            if (_paramFlatShading.HasValue) Options.FlatShading = _paramFlatShading.Value;
+            if (_paramDisplayMode.HasValue) Options.DisplayMode = _paramDisplayMode.Value;
+            if (_paramEdgeWidth.HasValue) Options.EdgeWidth = _paramEdgeWidth.Value;
+            if (_paramEdgeColor != null) Options.EdgeColor = _paramEdgeColor;
         }
 
         #endregion
@@ -350,14 +436,28 @@ namespace BugViewer
         [Parameter]
         public EventCallback OnTriangleSelected { get; set; }
 
+        /// <summary>
+        /// Event callback that is invoked when any mesh, line or billboard is selected
+        /// (if DoubleClickIsSelect is true).
+        /// </summary>
+        [Parameter]
+        public EventCallback<PickResult> OnObjectSelected { get; set; }
+
         /// <summary>
         /// The camera object that manages the view matrix and 
         /// projection matrix based on user interactions.
         /// </summary>
         public OrbitCamera? Camera { get; private set; }
 
+        // Cache-busting version for the module import. It must be the same for every viewer on the page so
+        // they all share one module instance (and therefore one GPUDevice).
+        private static readonly string ModuleVersion = typeof(BugViewer).Assembly.GetName().Version?.ToString() ?? "0";
+        // Unique per-instance prefix for element ids, so several viewers can live on one page.
+        private readonly string _instanceId = $"bugviewer-{Guid.NewGuid():N}";
         // JS interop objects.
         private IJSObjectReference? _module;
+        // Handle to this viewer's renderer in the module; passed as the first argument of every call.
+        private IJSObjectReference? _renderer;
         private DotNetObjectReference<BugViewer>? _dotNetRef;
         // State flags.
         private bool _ready;
@@ -387,16 +487,21 @@ namespace BugViewer
         /// Gets the center of the bounding sphere that encompasses all objects in the scene.
         /// </summary>
         public Vector3 SphereCenter => BoundingSphere.Center;
-        // Bounding spheres for individual objects.
-        private Dictionary<AbstractObject3D, Sphere> objectSpheres = new();
+        // Bounding spheres for individual objects. Keyed by reference: the objects are records whose
+        // Transform (and some mesh properties) can change while they are keys, which changes their hash.
+        private Dictionary<AbstractObject3D, Sphere> objectSpheres = new(ReferenceEqualityComparer.Instance);
         // Lists of 3D objects.
         private List<MeshData> meshes = new();
         private List<LineData> lines = new();
         private List<TextBillboard> billBoards = new();
-        // Dictionaries for tracking sent object IDs.
-        private Dictionary<string, int> sentMeshIds;
-        private Dictionary<string, int> sentLineIds;
-        private Dictionary<string, int> sentBBIds;
+        private List<PointCloudData> pointClouds = new();
+        private List<InstancedMeshData> instancedMeshes = new();
+        // IDs of the objects sent to JavaScript, which keys its scene by ID.
+        private HashSet<string> sentMeshIds;
+        private HashSet<string> sentLineIds;
+        private HashSet<string> sentBBIds;
+        private HashSet<string> sentPointIds;
+        private HashSet<string> sentInstancedMeshIds;
 
         // Canvas dimensions.
         private double _canvasWidth = 800;
@@ -409,8 +514,10 @@ namespace BugViewer
         private const double DoubleClickDistancePx = 5;
 
         /// <summary>
-        /// Gets the time in milliseconds it took to render the
-        /// latest frame, as reported by the JavaScript module.
+        /// Gets the time in milliseconds it took to render a frame, averaged over the frames drawn in
+        /// the last second, as reported by the JavaScript module. Frames are only drawn after something
+        /// changes unless <see cref="BugViewerOptions.ContinuousRendering"/> is on, so while the viewer
+        /// is idle this keeps the time of its last frames.
         /// </summary>
         public double LatestFrameMs { get; private set; }
 
@@ -423,14 +530,11 @@ namespace BugViewer
         /// Gets the index of the selected triangle within the selected mesh.
         /// </summary>
         public int SelectedTriangleInMeshIndex { get; private set; } = -1;
-        // Triangle intersection data.
-        List<string> triangleToMesh = new();
-        List<int> triangleToInMeshIndex = new();
-        List<float> facePlaneDistances = new();
-        List<Vector3> faceNormals = new();
-        List<Vector3> bCoords = new();
-        List<Vector3> uBarycentricMultipliers = new();
-        List<Vector3> vBarycentricMultipliers = new();
+
+        /// <summary>
+        /// Gets the object (mesh, line or billboard) that was most recently selected (if any).
+        /// </summary>
+        public PickResult? SelectedObject { get; private set; } = null;
 
         // MSAA sample count options.
         Option<int>? selectedIntOption;
@@ -454,7 +558,10 @@ namespace BugViewer
         {
             if (Options is null)
             {
-                Options = BugViewerOptions.DefaultLight;
+                // A copy of the defaults, so that viewers on the same page don't share (and change) one instance
+                var options = new BugViewerOptions();
+                options.ResetToDefault(isDarkTheme: false);
+                Options = options;
             }
 
             Camera = new OrbitCamera(Vector3.Zero, Options);
@@ -576,54 +683,110 @@ namespace BugViewer
             var ry = e.ClientY - rect.Top;
             if (Options.DoubleClickIsSelect)
             {
-                if (!OnTriangleSelected.HasDelegate) return;
-                (Vector3 anchor, Vector3 dirVector) = Camera.CreateRayFromScreenPoint(rx, ry, rect.Width, rect.Height);
-                if (DoesRayGoThroughTriangle(anchor, dirVector, out var meshName, out var meshIndex, out var distance, out var point))
+                var pick = await PickAsync(rx, ry);
+                if (pick is null)
+                {
+                    await ClearSelectionAsync();
+                    return;
+                }
+                await SelectObjectAsync(pick);
+                if (pick.ObjectType == PickedObjectType.Mesh)
                 {
-                    SelectedMeshName = meshName;
-                    SelectedTriangleInMeshIndex = meshIndex;
                     await OnTriangleSelected.InvokeAsync();
                 }
+                await OnObjectSelected.InvokeAsync(pick);
             }
             else ResetCamera();
         }
 
-        // Checks if a ray intersects with any triangle in the scene.
-        bool DoesRayGoThroughTriangle(Vector3 anchor, Vector3 dirVector, out string meshName, out int meshIndex, out float distance, out Vector3 point)
+        /// <summary>
+        /// Finds the object drawn at the given position using the GPU ID pass, so what is picked is
+        /// exactly what is on screen. Coordinates are in CSS pixels relative to the canvas's top-left corner.
+        /// </summary>
+        /// <param name="x">Horizontal position in pixels.</param>
+        /// <param name="y">Vertical position in pixels.</param>
+        /// <returns>The hit object, or null if nothing is drawn at that position.</returns>
+        public async Task<PickResult?> PickAsync(double x, double y)
         {
-            distance = float.MaxValue;
-            meshIndex = -1;
-            meshName = "";
-            point = Vector3.Zero;
-            for (int index = 0; index < triangleToMesh.Count; index++)
+            if (_module is null || !_ready)
+            {
+                return null;
+            }
+
+            var hit = await _module.InvokeAsync<JavascriptPickResult?>("pickAt", _renderer, x, y);
+            if (hit is null)
             {
-                var normal = faceNormals[index];
-                if (Vector3.Dot(normal, dirVector) >= 0)
-                    continue; // ignore back faces
-                var faceDistance = facePlaneDistances[index];
-                var uBaryFactor = uBarycentricMultipliers[index];
-                var vBaryFactor = vBarycentricMultipliers[index];
-                var dot = Vector3.Dot(dirVector, normal);
+                return null;
+            }
 
-                var anchorDistanceToPlane = faceDistance - Vector3.Dot(anchor, normal);
-                var thisDistance = anchorDistanceToPlane / dot;
-                if (thisDistance < 0 || thisDistance >= distance)
-                    continue;
-                var thisPoint = anchor + thisDistance * dirVector; // yes, it is normally '+' but in the previous line
+            return new PickResult
+            {
+                ObjectType = hit.Type switch
+                {
+                    "line" => PickedObjectType.Line,
+                    "billboard" => PickedObjectType.TextBillboard,
+                    "points" => PickedObjectType.PointCloud,
+                    "instances" => PickedObjectType.InstancedMesh,
+                    _ => PickedObjectType.Mesh
+                },
+                Id = hit.Id,
+                PrimitiveIndex = hit.PrimitiveIndex,
+                Depth = hit.Depth
+            };
+        }
 
-                var wVector = thisPoint - bCoords[index];
-                var u = Vector3.Dot(wVector, uBaryFactor);
-                if (u <= 0 || u >= 1) continue;
-                var v = Vector3.Dot(wVector, vBaryFactor);
-                if (v <= 0 || v >= 1) continue;
-                if (u + v > 1) continue;
-                // yes intersecting!
-                distance = thisDistance;
-                meshName = triangleToMesh[index];
-                meshIndex = triangleToInMeshIndex[index];
-                point = thisPoint;
+        /// <summary>
+        /// Selects a mesh, line or billboard: its silhouette is outlined in
+        /// <see cref="BugViewerOptions.SelectionColor"/> and, for meshes, the triangle at
+        /// <see cref="PickResult.PrimitiveIndex"/> is tinted with <see cref="BugViewerOptions.SelectedTriangleColor"/>.
+        /// </summary>
+        /// <param name="selection">The object to select, typically from <see cref="PickAsync"/>. Null clears the selection.</param>
+        public async Task SelectObjectAsync(PickResult? selection)
+        {
+            SelectedObject = selection;
+            if (selection?.ObjectType == PickedObjectType.Mesh)
+            {
+                SelectedMeshName = selection.Id;
+                SelectedTriangleInMeshIndex = selection.PrimitiveIndex;
+            }
+            else
+            {
+                SelectedMeshName = null;
+                SelectedTriangleInMeshIndex = -1;
+            }
+            if (_module is null || !_ready)
+            {
+                return;
             }
-            return meshIndex != -1;
+
+            object? jsSelection = selection is null ? null : new
+            {
+                type = selection.ObjectType switch
+                {
+                    PickedObjectType.Line => "line",
+                    PickedObjectType.TextBillboard => "billboard",
+                    PickedObjectType.PointCloud => "points",
+                    PickedObjectType.InstancedMesh => "instances",
+                    _ => "mesh"
+                },
+                id = selection.Id,
+                primitiveIndex = selection.PrimitiveIndex
+            };
+            await _module.InvokeVoidAsync("setSelection", _renderer, jsSelection);
+        }
+
+        /// <summary>
+        /// Clears the current selection and its highlight.
+        /// </summary>
+        public Task ClearSelectionAsync() => SelectObjectAsync(null);
+
+        // Represents the raw pick result returned by the JavaScript module.
+        private class JavascriptPickResult
+        {
+            public string Type { get; set; } = "";
+            public string Id { get; set; } = "";
+            public int PrimitiveIndex { get; set; }
+            public float Depth { get; set; }
         }
 
         // Represents the bounding client rectangle of an element.
@@ -648,7 +811,7 @@ namespace BugViewer
 
                 if (_module != null && _ready)
                 {
-                    await _module.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+                    await _module.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
                 }
             }
             else if (_isPanning)
@@ -661,7 +824,7 @@ namespace BugViewer
 
                 if (_module != null && _ready)
                 {
-                    await _module.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+                    await _module.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
                 }
             }
         }
@@ -686,7 +849,7 @@ namespace BugViewer
 
             if (_module != null && _ready)
             {
-                await _module.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+                await _module.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
             }
         }
 
@@ -737,7 +900,7 @@ namespace BugViewer
 
                 try
                 {
-                    await _module.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+                    await _module.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
                 }
                 catch
                 {
@@ -765,7 +928,7 @@ namespace BugViewer
 
             try
             {
-                _module = await JS.InvokeAsync<IJSObjectReference>("import", $"/_content/BugViewer/js/webgpu-canvas.js?v={DateTime.UtcNow.Ticks}");
+                _module = await JS.InvokeAsync<IJSObjectReference>("import", $"/_content/BugViewer/js/webgpu-canvas.js?v={ModuleVersion}");
             }
             catch (JSException jse)
             {
@@ -815,17 +978,18 @@ namespace BugViewer
 
             if (init)
             {
-                await _module.InvokeVoidAsync("initGPU_Canvas", _dotNetRef, _canvasRef, Options.ToJavascriptOptions(), Camera.ConvertMatrixToJavaScript());
+                _renderer = await _module.InvokeAsync<IJSObjectReference>("initGPU_Canvas", _dotNetRef, _canvasRef, Options.ToJavascriptOptions(), Camera.ConvertMatrixToJavaScript());
+                await OnWebGpuReadyAsync();
             }
-            else
+            else if (_renderer != null)
             {
-                await _module.InvokeVoidAsync("updateDisplayOptions", Options.ToJavascriptOptions());
+                await _module.InvokeVoidAsync("updateDisplayOptions", _renderer, Options.ToJavascriptOptions());
                 await SendProjectionMatrixToJavaScriptAsync();
             }
         }
 
         /// <summary>
-        /// Invoked by JavaScript to update the time it took to render the latest frame.
+        /// Invoked by JavaScript about once a second, while frames are drawn, with their average time.
         /// </summary>
         /// <param name="ms"></param>
         /// <returns></returns>
@@ -836,13 +1000,9 @@ namespace BugViewer
             return Task.CompletedTask;
         }
 
-        /// <summary>
-        /// Invoked by JavaScript when the WebGPU canvas is ready, marking the viewer as ready, sending any 
-        /// queued meshes and options to JavaScript, and invoking the OnReady event callback.
-        /// </summary>
-        /// <returns></returns>
-        [JSInvokable]
-        public async Task OnWebGpuReady()
+        // Called once initGPU_Canvas has returned the renderer handle, marking the viewer as ready, sending any
+        // queued meshes and options to JavaScript, and invoking the OnReady event callback.
+        private async Task OnWebGpuReadyAsync()
         {
             // mark ready early so Add* methods will attempt to send immediately
             _ready = true;
@@ -857,30 +1017,41 @@ namespace BugViewer
             {
                 try
                 {
-                    sentMeshIds = new Dictionary<string, int>();
-                    for (int i = 0; i < meshes.Count; i++)
+                    sentMeshIds = new HashSet<string>();
+                    foreach (var mesh in meshes)
                     {
-                        var mesh = meshes[i];
-                        sentMeshIds.Add(mesh.Id, i);
-                        Console.WriteLine($"OnWebGpuReady: sending mesh {mesh.Id} -> index {i}");
-                        await _module.InvokeVoidAsync("addMesh", mesh.CreateJavascriptData());
+                        sentMeshIds.Add(mesh.Id);
+                        Console.WriteLine($"OnWebGpuReady: sending mesh {mesh.Id}");
+                        await _module.InvokeVoidAsync("addMesh", _renderer, mesh.CreateJavascriptData());
                     }
 
-                    sentLineIds = new Dictionary<string, int>();
-                    for (int i = 0; i < lines.Count; i++)
+                    sentLineIds = new HashSet<string>();
+                    foreach (var linesData in lines)
                     {
-                        var linesData = lines[i];
-                        sentLineIds.Add(linesData.Id, i);
-                        Console.WriteLine($"OnWebGpuReady: sending lines {linesData.Id} -> index {i}");
-                        await _module.InvokeVoidAsync("addLines", linesData.CreateJavascriptData());
+                        sentLineIds.Add(linesData.Id);
+                        Console.WriteLine($"OnWebGpuReady: sending lines {linesData.Id}");
+                        await _module.InvokeVoidAsync("addLines", _renderer, linesData.CreateJavascriptData());
                     }
 
-                    sentBBIds = new Dictionary<string, int>();
-                    for (int i = 0; i < billBoards.Count; i++)
+                    sentBBIds = new HashSet<string>();
+                    foreach (var bb in billBoards)
                     {
-                        var bb = billBoards[i];
-                        sentBBIds.Add(bb.Id, i);
-                        await _module.InvokeVoidAsync("addTextBillboard", bb.CreateJavascriptData());
+                        sentBBIds.Add(bb.Id);
+                        await _module.InvokeVoidAsync("addTextBillboard", _renderer, bb.CreateJavascriptData());
+                    }
+
+                    sentPointIds = new HashSet<string>();
+                    foreach (var cloud in pointClouds)
+                    {
+                        sentPointIds.Add(cloud.Id);
+                        await _module.InvokeVoidAsync("addPoints", _renderer, cloud.CreateJavascriptData());
+                    }
+
+                    sentInstancedMeshIds = new HashSet<string>();
+                    foreach (var instanced in instancedMeshes)
+                    {
+                        sentInstancedMeshIds.Add(instanced.Id);
+                        await _module.InvokeVoidAsync("addInstancedMesh", _renderer, instanced.CreateJavascriptData());
                     }
                 }
                 catch (JSException jsEx)
@@ -911,6 +1082,42 @@ namespace BugViewer
             return Task.CompletedTask;
         }
 
+        /// <summary>
+        /// Invoked by JavaScript when the shared GPU device is lost (driver reset, GPU removed, etc.). 
+        /// The old renderer is disposed and a new one is initialized on a new device, which re-sends 
+        /// the whole scene through OnWebGpuReadyAsync. The error is only shown if that fails.
+        /// </summary>
+        /// <param name="message"></param>
+        /// <returns></returns>
+        [JSInvokable]
+        public async Task OnWebGpuDeviceLost(string message)
+        {
+            _ready = false;
+            if (_module == null || _renderer == null) return;
+
+            var lostRenderer = _renderer;
+            _renderer = null;
+            try
+            {
+                await _module.InvokeVoidAsync("disposeWebGPU_Canvas", lostRenderer);
+                await lostRenderer.DisposeAsync();
+            }
+            catch
+            {
+                // Handle error silently
+            }
+
+            try
+            {
+                await SendOptionsToJavaScriptAsync(true);
+            }
+            catch (JSException ex)
+            {
+                _error = $"The GPU device was lost ({message}) and could not be restored: {ex.Message}";
+                StateHasChanged();
+            }
+        }
+
         /// <summary>
         /// Invoked by JavaScript when the WebGPU canvas is resized, updating the stored 
         /// canvas dimensions and sending an updated projection matrix to JavaScript to 
@@ -938,7 +1145,7 @@ namespace BugViewer
             try
             {
                 var proj = Camera.ConvertProjectionMatrixToJavaScript(_canvasWidth, _canvasHeight);
-                await _module.InvokeVoidAsync("writeProjectionMatrix", proj);
+                await _module.InvokeVoidAsync("writeProjectionMatrix", _renderer, proj);
             }
             catch (Exception ex)
             {
@@ -961,7 +1168,11 @@ namespace BugViewer
             {
                 try
                 {
-                    await _module.InvokeVoidAsync("disposeWebGPU_Canvas");
+                    if (_renderer != null)
+                    {
+                        await _module.InvokeVoidAsync("disposeWebGPU_Canvas", _renderer);
+                        await _renderer.DisposeAsync();
+                    }
                 }
                 catch
                 {
@@ -997,7 +1208,37 @@ namespace BugViewer
             //    return;
                 //BoundingSphere = new Sphere(Vector3.Zero, 1f);
             Camera.Reset(BoundingSphere);
-            _module?.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+            if (_renderer != null)
+                _module?.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
+        }
+
+        /// <summary>
+        /// Renders the current view offscreen and returns it as a PNG image. The image is rendered
+        /// independently of the canvas, so it can be larger than the viewer or use a different aspect ratio.
+        /// Selection and hover highlights are not included.
+        /// </summary>
+        /// <param name="width">Image width in pixels. Defaults to the canvas width.</param>
+        /// <param name="height">Image height in pixels. Defaults to the canvas height.</param>
+        /// <param name="sampleCount">MSAA sample count (1 or 4). Defaults to <see cref="BugViewerOptions.SampleCount"/>.</param>
+        /// <param name="transparentBackground">If true, the background is transparent instead of the clear color.</param>
+        /// <returns>The PNG file bytes, or null if the viewer is not ready.</returns>
+        public async Task<byte[]?> ExportImageAsync(int? width = null, int? height = null, int? sampleCount = null, bool transparentBackground = false)
+        {
+            if (_module is null || !_ready || Camera is null)
+            {
+                return null;
+            }
+
+            var w = width ?? (int)_canvasWidth;
+            var h = height ?? (int)_canvasHeight;
+            return await _module.InvokeAsync<byte[]?>("exportImage", _renderer, new
+            {
+                width = w,
+                height = h,
+                sampleCount = sampleCount ?? Options.SampleCount,
+                transparentBackground,
+                projectionMatrix = Camera.ConvertProjectionMatrixToJavaScript(w, h)
+            });
         }
 
         // Handles the camera reset action.
@@ -1019,17 +1260,61 @@ namespace BugViewer
 
             if (_module != null && _ready)
             {
-                await _module.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+                await _module.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
             }
         }
 
+        // Section plane edited from the options panel. While enabled it replaces Options.ClipPlanes.
+        private bool _sectionEnabled;
+        private CardinalDirection _sectionDirection = CardinalDirection.PositiveX;
+        private double _sectionOffset;
+
+        private bool SectionEnabled
+        {
+            get => _sectionEnabled;
+            set { _sectionEnabled = value; ApplySectionPlane(); }
+        }
+
+        private CardinalDirection SectionDirection
+        {
+            get => _sectionDirection;
+            set { _sectionDirection = value; ApplySectionPlane(); }
+        }
+
+        private double SectionOffset
+        {
+            get => _sectionOffset;
+            set { _sectionOffset = value; ApplySectionPlane(); }
+        }
+
+        // Cuts away the side the chosen direction points to, offset from the scene's bounding sphere center.
+        private void ApplySectionPlane()
+        {
+            if (!_sectionEnabled)
+            {
+                Options.ClipPlanes = [];
+                return;
+            }
+            var normal = _sectionDirection switch
+            {
+                CardinalDirection.PositiveX => Vector3.UnitX,
+                CardinalDirection.NegativeX => -Vector3.UnitX,
+                CardinalDirection.PositiveY => Vector3.UnitY,
+                CardinalDirection.NegativeY => -Vector3.UnitY,
+                CardinalDirection.PositiveZ => Vector3.UnitZ,
+                _ => -Vector3.UnitZ
+            };
+            Options.ClipPlanes = [ClipPlane.Through(SphereCenter + normal * (float)_sectionOffset, normal)];
+        }
+
         // Handles changes to the viewer options.
         private async void OnOptionsChanged(object? sender, System.ComponentModel.PropertyChangedEventArgs? e)
         {
             if (e?.PropertyName == nameof(Options.ZIsUp))
             {
                 Camera.SwapCameraUp();
-                await _module.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+                if (_renderer != null)
+                    await _module.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
             }
 
             if (e?.PropertyName == nameof(Options.IsProjectionCamera))
@@ -1049,7 +1334,7 @@ namespace BugViewer
         // Updates the viewer when data changes.
         private async void UpdateViewer(bool sphereChanged)
         {
-            if (Camera is null || _module is null)
+            if (Camera is null || _renderer is null)
             {
                 return;
             }
@@ -1060,7 +1345,7 @@ namespace BugViewer
 
                 try
                 {
-                    await _module.InvokeVoidAsync("writeViewMatrix", Camera.ConvertMatrixToJavaScript());
+                    await _module.InvokeVoidAsync("writeViewMatrix", _renderer, Camera.ConvertMatrixToJavaScript());
                 }
                 catch
                 {
@@ -1078,7 +1363,7 @@ namespace BugViewer
         // Updates the bounding sphere when adding an object.
         private bool UpdateSpheresAdd(AbstractObject3D obj3D)
         {
-            var sphere = MinimumSphere.Run(obj3D.Vertices);
+            var sphere = MinimumSphere.Run(obj3D.BoundingVertices);
             if (float.IsNaN(sphere.RadiusSquared))
                 ;
             objectSpheres[obj3D] = sphere;
@@ -1086,7 +1371,7 @@ namespace BugViewer
 
             if (need)
             {
-                var newSphere = MinimumSphere.Run(objectSpheres.Keys.SelectMany(o => o.Vertices));
+                var newSphere = MinimumSphere.Run(objectSpheres.Keys.SelectMany(o => o.BoundingVertices));
                 need = !Sphere.IsPracticallySame(newSphere, BoundingSphere);
 
                 if (need)
@@ -1101,13 +1386,14 @@ namespace BugViewer
         // Updates the bounding sphere when removing an object.
         private bool UpdateSpheresRemove(AbstractObject3D obj3D)
         {
-            var sphere = objectSpheres[obj3D];
-            objectSpheres.Remove(obj3D);
-            var need = obj3D.Vertices.Any(v => !Sphere.OnSurface(BoundingSphere, v));
+            // Objects still queued for the viewer may not have a sphere yet
+            if (!objectSpheres.Remove(obj3D))
+                return false;
+            var need = obj3D.BoundingVertices.Any(v => !Sphere.OnSurface(BoundingSphere, v));
 
             if (need)
             {
-                var newSphere = MinimumSphere.Run(objectSpheres.Keys.SelectMany(o => o.Vertices));
+                var newSphere = MinimumSphere.Run(objectSpheres.Keys.SelectMany(o => o.BoundingVertices));
                 need = !Sphere.IsPracticallySame(newSphere, BoundingSphere);
 
                 if (need)
@@ -1119,6 +1405,24 @@ namespace BugViewer
             return need;
         }
 
+        // Updates the bounding sphere once when removing several objects, such as when clearing a kind of object.
+        private bool UpdateSpheresRemoveAll(IEnumerable<AbstractObject3D> objects)
+        {
+            var removed = false;
+            foreach (var obj3D in objects)
+                removed |= objectSpheres.Remove(obj3D);
+            if (!removed)
+                return false;
+
+            var newSphere = MinimumSphere.Run(objectSpheres.Keys.SelectMany(o => o.BoundingVertices));
+            var need = !Sphere.IsPracticallySame(newSphere, BoundingSphere);
+            if (need)
+            {
+                BoundingSphere = newSphere;
+            }
+            return need;
+        }
+
         /// <summary>
         /// Adds a mesh to the scene. If a mesh with the same ID already exists, it will be replaced. If the WebGPU module is not ready, the mesh will be queued and sent when the module becomes ready.
         /// </summary>
@@ -1126,9 +1430,8 @@ namespace BugViewer
         /// <returns></returns>
         public async Task AddMeshAsync(MeshData mesh)
         {
-            var index = -1;
-            bool? nameInSent = sentMeshIds?.TryGetValue(mesh.Id, out index);
-            if (nameInSent.GetValueOrDefault(false))
+            var index = meshes.FindIndex(m => m.Id == mesh.Id);
+            if (index >= 0)
             {
                 var former = meshes[index];
                 if (mesh.GetHashCode() == former.GetHashCode())
@@ -1141,9 +1444,8 @@ namespace BugViewer
                 return;
 
             UpdateViewer(UpdateSpheresAdd(mesh));
-            DefineMeshLookups(mesh);
-            await _module.InvokeVoidAsync("addMesh", mesh.CreateJavascriptData());
-            sentMeshIds[mesh.Id] = meshes.Count - 1;
+            sentMeshIds.Add(mesh.Id);
+            await _module.InvokeVoidAsync("addMesh", _renderer, mesh.CreateJavascriptData());
         }
 
         /// <summary>
@@ -1156,13 +1458,12 @@ namespace BugViewer
         {
             var meshList = newMeshes as IList<MeshData> ?? newMeshes.ToList();
             if (meshList.Count == 0) return;
-            var initMeshCount = meshes.Count;
+            var added = new List<MeshData>();
             var sphereChanged = false;
             foreach (var mesh in meshList)
             {
-                var index = -1;
-                var nameInSent = sentMeshIds?.TryGetValue(mesh.Id, out index);
-                if (nameInSent.GetValueOrDefault(false))
+                var index = meshes.FindIndex(m => m.Id == mesh.Id);
+                if (index >= 0)
                 {
                     var former = meshes[index];
                     if (mesh.GetHashCode() == former.GetHashCode())
@@ -1170,53 +1471,22 @@ namespace BugViewer
                     await RemoveMeshAsync(index);
                 }
                 meshes.Add(mesh);
-                DefineMeshLookups(mesh);
+                added.Add(mesh);
                 if (UpdateSpheresAdd(mesh))
                     sphereChanged = true;
             }
 
             // If module not ready yet, meshes are queued and will be sent from OnWebGpuReady.
-            if (_module is null || !_ready)
+            if (_module is null || !_ready || added.Count == 0)
                 return;
 
             UpdateViewer(sphereChanged);
-            // Precompute ray-cast data for all new meshes
-            for(var i = initMeshCount; i < meshes.Count; i++)
-                sentMeshIds[meshes[i].Id] = i;
+            foreach (var mesh in added)
+                sentMeshIds.Add(mesh.Id);
 
             // Single JS interop call with all mesh data
-            var jsDataArray = meshList.Select(m => m.CreateJavascriptData()).ToArray();
-            await _module.InvokeVoidAsync("addMeshes", (object)jsDataArray);
-        }
-
-        private void DefineMeshLookups(MeshData mesh)
-        {
-            for (int i = 0; i < mesh.Indices.Count; i++)
-            {
-                var tri = mesh.Indices[i];
-                var a = mesh.Vertices[tri.a];
-                var b = mesh.Vertices[tri.b];
-                var c = mesh.Vertices[tri.c];
-                var v1 = a - b;
-                var v2 = c - b;
-                var v1Sqd = v1.LengthSquared();
-                var v2Sqd = v2.LengthSquared();
-                var normal = Vector3.Normalize(Vector3.Cross(-v1, v2));
-                var dist = Vector3.Dot(normal, a);
-                var v1Dotv2 = Vector3.Dot(v1, v2);
-                var oneOverDenom = 1 / (v1Sqd * v2Sqd - v1Dotv2 * v1Dotv2);
-                var uBaryMultiplier = Vector3.Multiply(oneOverDenom,
-                    Vector3.Multiply(v1Sqd, v2) - Vector3.Multiply(v1Dotv2, v1));
-                var vBaryMultiplier = Vector3.Multiply(oneOverDenom,
-                    Vector3.Multiply(v2Sqd, v1) - Vector3.Multiply(v1Dotv2, v2));
-                triangleToMesh.Add(mesh.Id);
-                triangleToInMeshIndex.Add(i);
-                facePlaneDistances.Add(dist);
-                faceNormals.Add(normal);
-                bCoords.Add(b);
-                uBarycentricMultipliers.Add(uBaryMultiplier);
-                vBarycentricMultipliers.Add(vBaryMultiplier);
-            }
+            var jsDataArray = added.Select(m => m.CreateJavascriptData()).ToArray();
+            await _module.InvokeVoidAsync("addMeshes", _renderer, (object)jsDataArray);
         }
 
         /// <summary>
@@ -1227,14 +1497,13 @@ namespace BugViewer
         /// <returns></returns>
         public async Task AddLinesAsync(LineData path)
         {
-            var index = -1;
-            var nameInSent = sentLineIds?.TryGetValue(path.Id, out index);
-            if (nameInSent.GetValueOrDefault(false))
+            var index = lines.FindIndex(l => l.Id == path.Id);
+            if (index >= 0)
             {
                 var former = lines[index];
                 if (path.GetHashCode() == former.GetHashCode())
                     return;
-                RemoveLinesAsync(index);
+                await RemoveLinesAsync(index);
             }
 
             lines.Add(path);
@@ -1250,13 +1519,13 @@ namespace BugViewer
             UpdateViewer(UpdateSpheresAdd(path));
 
             // Ensure sentLineIds exists (defensive)
-            sentLineIds ??= new Dictionary<string, int>();
+            sentLineIds ??= new HashSet<string>();
 
             try
             {
                 Console.WriteLine($"AddLinesAsync: invoking JS addLines for '{path.Id}'");
-                await _module.InvokeVoidAsync("addLines", path.CreateJavascriptData());
-                sentLineIds[path.Id] = lines.Count - 1;
+                await _module.InvokeVoidAsync("addLines", _renderer, path.CreateJavascriptData());
+                sentLineIds.Add(path.Id);
             }
             catch (JSException jsEx)
             {
@@ -1276,11 +1545,8 @@ namespace BugViewer
         /// <returns></returns>
         public async Task ChangeMeshColorAsync(MeshData mesh, System.Drawing.Color color)
         {
-            var index = -1;
-            if (sentMeshIds is null)
-                return;
-            var nameInSent = sentMeshIds.TryGetValue(mesh.Id, out index);
-            if (!nameInSent)
+            var index = meshes.FindIndex(m => m.Id == mesh.Id);
+            if (index < 0)
             {   // logger.LogError("Mesh not found in viewer");
                 return;
             }
@@ -1292,12 +1558,14 @@ namespace BugViewer
 
             // Update the C# model so if it's sent later (or re-sent), it has the new color
             meshes[index].Colors = new[] { color };
+            if (sentMeshIds?.Contains(mesh.Id) != true)
+                return;
 
-            // now call JS to change color of the mesh at index if ready
-            await _module.InvokeVoidAsync("changeMeshColor",
+            // now call JS to change color of the mesh if it has been sent
+            await _module.InvokeVoidAsync("changeMeshColor", _renderer,
                     new
                     {
-                        index = index,
+                        id = mesh.Id,
                         color = new float[]
                         {
                         color.R / 255f,
@@ -1309,59 +1577,281 @@ namespace BugViewer
         }
 
         /// <summary>
-        /// Removes a mesh from the scene.
+        /// Sets the model transform of every mesh, line, billboard, point cloud and instanced mesh with the given Id.
+        /// Only the transform is sent to the GPU, so this is cheap enough to call every frame for animation.
         /// </summary>
-        /// <param name="mesh"></param>
+        /// <param name="id">The Id of the object(s) to move.</param>
+        /// <param name="transform">The new model transform (replaces the current one).</param>
         /// <returns></returns>
-        public async Task RemoveMeshAsync(MeshData mesh)
+        public async Task SetObjectTransformAsync(string id, Matrix4x4 transform)
         {
-            var index = -1;
-            if (sentMeshIds is null)
+            // Keep the C# objects in sync so they are re-sent with this transform
+            var moved = false;
+            var sphereChanged = false;
+            foreach (var obj in meshes.Cast<AbstractObject3D>().Concat(lines).Concat(billBoards).Concat(pointClouds).Concat(instancedMeshes))
             {
-                // Find index before removing so we can tell JS which mesh to remove
-                index = meshes.IndexOf(mesh);
-                if (index < 0)
-                    return;
-                await RemoveMeshAsync(index);
+                if (obj.Id != id)
+                    continue;
+                // The old sphere is removed before the transform moves the bounding vertices
+                var hasSphere = objectSpheres.ContainsKey(obj);
+                if (hasSphere)
+                    sphereChanged |= UpdateSpheresRemove(obj);
+                obj.Transform = transform;
+                if (hasSphere)
+                {
+                    sphereChanged |= UpdateSpheresAdd(obj);
+                    moved = true;
+                }
             }
-            else
+            if (moved)
+                UpdateViewer(sphereChanged);
+            if (_module is null || !_ready)
+                return;
+
+            await _module.InvokeVoidAsync("setObjectTransform", _renderer, id, new[]
             {
-                var nameInSent = sentMeshIds.TryGetValue(mesh.Id, out index);
-                if (nameInSent)
-                    await RemoveMeshAsync(index);
+                transform.M11, transform.M12, transform.M13, transform.M14,
+                transform.M21, transform.M22, transform.M23, transform.M24,
+                transform.M31, transform.M32, transform.M33, transform.M34,
+                transform.M41, transform.M42, transform.M43, transform.M44
+            });
+        }
+
+        /// <summary>
+        /// Sets how the mesh(es) with this id are drawn; null returns them to <see cref="BugViewerOptions.DisplayMode"/>.
+        /// Only a flag changes on the GPU side; the geometry is not re-sent.
+        /// </summary>
+        public async Task SetMeshDisplayModeAsync(string id, MeshDisplayMode? displayMode)
+        {
+            for (var i = 0; i < meshes.Count; i++)
+            {
+                if (meshes[i].Id == id)
+                    ReplaceMesh(i, meshes[i] with { DisplayMode = displayMode });
             }
+            if (_module is null || !_ready)
+                return;
+
+            await _module.InvokeVoidAsync("setMeshDisplayMode", _renderer, id,
+                displayMode.HasValue ? BugViewerOptions.DisplayModeToJavaScript(displayMode.Value) : null);
         }
-        // Removes a mesh from the scene by its index.
-        private async Task RemoveMeshAsync(int index)
+
+        /// <summary>
+        /// Sets the material of the mesh(es) with this id; null returns them to <see cref="MeshMaterial.Classic"/>.
+        /// Only the material changes on the GPU side; the geometry is not re-sent.
+        /// </summary>
+        public async Task SetMeshMaterialAsync(string id, MeshMaterial? material)
         {
-            var meshId = meshes[index].Id;
-            UpdateViewer(UpdateSpheresRemove(meshes[index]));
-            // Remove from the C# list and update viewer bounds
-            meshes.RemoveAt(index);
-            sentMeshIds.Remove(meshId);
-            try
+            for (var i = 0; i < meshes.Count; i++)
             {
-                await _module.InvokeVoidAsync("removeMesh", index);
+                if (meshes[i].Id == id)
+                    ReplaceMesh(i, meshes[i] with { Material = material });
             }
-            catch
+            if (_module is null || !_ready)
+                return;
+
+            await _module.InvokeVoidAsync("setMeshMaterial", _renderer, id, material?.ToJavaScript());
+        }
+
+        /// <summary>
+        /// Sets the colormap and range of the mesh(es) with this id that are colored by <see cref="MeshData.Scalars"/>.
+        /// The colormap lookup runs on the GPU, so only the colormap is sent; the scalars are not.
+        /// </summary>
+        public async Task SetMeshScalarColoringAsync(string id, ScalarColoring coloring)
+        {
+            for (var i = 0; i < meshes.Count; i++)
             {
-                // If remove by index fails for any reason, fall back to rebuilding the JS scene
-                try
-                {
-                    await _module.InvokeVoidAsync("clearAllMeshes");
-                    sentMeshIds.Clear();
-                    for (int i = 0; i < meshes.Count; i++)
-                    {
-                        var m = meshes[i];
-                        sentMeshIds.Add(m.Id, i);
-                        await _module.InvokeVoidAsync("addMesh", m.CreateJavascriptData());
-                    }
-                }
-                catch
-                {
-                    // ignore errors
-                }
+                if (meshes[i].Id == id)
+                    ReplaceMesh(i, meshes[i] with { ScalarColoring = coloring });
+            }
+            if (_module is null || !_ready)
+                return;
+
+            await _module.InvokeVoidAsync("setMeshScalarColoring", _renderer, id, coloring.ToJavaScript());
+        }
+
+        /// <summary>
+        /// Asks the renderer which objects it currently holds. Objects still queued for the viewer are not included.
+        /// </summary>
+        /// <returns>The Ids of the objects on the GPU by kind, in the order they were added.</returns>
+        public async Task<SceneObjectIds> GetSceneObjectIdsAsync()
+        {
+            if (_module is null || !_ready)
+                return new SceneObjectIds();
+
+            return await _module.InvokeAsync<SceneObjectIds>("getSceneObjectIds", _renderer);
+        }
+
+        /// <summary>
+        /// Replaces the geometry of the mesh with the same Id by writing into its existing GPU buffers, which grow
+        /// with spare room when they run out. Use this rather than removing and re-adding a mesh whose triangles
+        /// change from step to step, as in remeshing. A mesh that is not in the scene yet is added.
+        /// Nothing of the previous version is kept: its <see cref="AbstractObject3D.Transform"/>,
+        /// <see cref="MeshData.DisplayMode"/> and <see cref="MeshData.Material"/> are replaced by those of
+        /// <paramref name="mesh"/>, so create it with
+        /// <c>with</c> from the previous version to keep them.
+        /// </summary>
+        /// <param name="mesh">The new version of the mesh.</param>
+        /// <returns></returns>
+        public async Task UpdateMeshAsync(MeshData mesh)
+        {
+            var index = meshes.FindIndex(m => m.Id == mesh.Id);
+            // Switching between one color, a color per vertex and a scalar per vertex changes the GPU layout, so that is a re-add
+            var layoutChanged = index >= 0 && mesh.GpuColoring != meshes[index].GpuColoring;
+            if (index < 0 || (layoutChanged && sentMeshIds?.Contains(mesh.Id) == true))
+            {
+                await AddMeshAsync(mesh);
+                return;
             }
+            await UpdateSentMeshAsync(index, mesh,
+                () => _module.InvokeVoidAsync("updateMesh", _renderer, mesh.Id, mesh.CreateJavascriptData()));
+        }
+
+        /// <summary>
+        /// Moves vertices of a mesh, writing only them into its GPU buffers, so that iterative algorithms such as
+        /// smoothing can be watched at frame rate. Vertices past the end are added (send the triangles that use them
+        /// with <see cref="UpdateMeshAsync"/>). Meshes with per-triangle colors or computed normals are re-sent
+        /// whole, since their GPU vertices are not the same as <see cref="AbstractObject3D.Vertices"/>.
+        /// The mesh's vertex and normal lists are written in place when they are a List or an array the update fits in,
+        /// and the bounds are only refitted when a moved vertex leaves the mesh's bounding sphere.
+        /// </summary>
+        /// <param name="id">The Id of the mesh.</param>
+        /// <param name="offset">The index of the first vertex to replace.</param>
+        /// <param name="vertices">The new positions of the vertices from <paramref name="offset"/> on.</param>
+        /// <param name="normals">Optional new normals for the same vertices.</param>
+        /// <returns></returns>
+        public async Task UpdateMeshVerticesAsync(string id, int offset, IList<Vector3> vertices, IList<Vector3>? normals = null)
+        {
+            var index = meshes.FindIndex(m => m.Id == id);
+            if (index < 0)
+                return;
+            var previous = meshes[index];
+            var mesh = previous.WithVertices(offset, vertices, normals);
+            if (!ReplaceSentMesh(index, mesh))
+                return;
+
+            // Refitting costs the whole mesh (and the scene when the viewer's sphere changes), so it waits until
+            // a vertex moves out of the mesh's sphere; until then that sphere still encloses the mesh
+            if (!objectSpheres.TryGetValue(mesh, out var sphere)
+                || vertices.Any(v => !Sphere.ContainsPoint(sphere, Vector3.Transform(v, mesh.Transform))))
+                UpdateViewer(UpdateSpheresAdd(mesh));
+
+            if (!previous.HasVertexAlignedBuffers || !mesh.HasVertexAlignedBuffers)
+            {
+                await _module.InvokeVoidAsync("updateMesh", _renderer, id, mesh.CreateJavascriptData());
+                return;
+            }
+            await _module.InvokeVoidAsync("updateMeshVertices", _renderer, id, offset, AbstractObject3D.CoordinatesToJavaScript(vertices));
+            if (normals != null)
+                await _module.InvokeVoidAsync("updateMeshNormals", _renderer, id, offset, AbstractObject3D.CoordinatesToJavaScript(normals));
+        }
+
+        /// <summary>
+        /// Replaces colors of a mesh from <paramref name="offset"/> on, writing only them into its GPU buffers.
+        /// Meshes colored per triangle are re-sent whole.
+        /// </summary>
+        /// <param name="id">The Id of the mesh.</param>
+        /// <param name="offset">The index of the first color to replace (a vertex, or a triangle for per-triangle colors).</param>
+        /// <param name="colors">The new colors from <paramref name="offset"/> on.</param>
+        /// <returns></returns>
+        public async Task UpdateMeshColorsAsync(string id, int offset, IList<System.Drawing.Color> colors)
+        {
+            var index = meshes.FindIndex(m => m.Id == id);
+            if (index < 0)
+                return;
+            var mesh = meshes[index].WithColors(offset, colors);
+            if (!ReplaceSentMesh(index, mesh))
+                return;
+
+            // Colors don't change the bounds
+            await (mesh.ColorMode switch
+            {
+                MeshColoring.UniformColor =>
+                    _module.InvokeVoidAsync("updateMeshColors", _renderer, id, 0, AbstractObject3D.ColorsToJavaScript(mesh.Colors.Take(1))),
+                MeshColoring.PerVertex when mesh.HasVertexAlignedBuffers =>
+                    _module.InvokeVoidAsync("updateMeshColors", _renderer, id, offset, AbstractObject3D.ColorsToJavaScript(colors)),
+                _ => _module.InvokeVoidAsync("updateMesh", _renderer, id, mesh.CreateJavascriptData())
+            });
+        }
+
+        // Stores a copy of a mesh with a changed property that needs no new bounds, keeping its bounding sphere.
+        // The caller's record is left as it was.
+        private void ReplaceMesh(int index, MeshData mesh)
+        {
+            if (objectSpheres.Remove(meshes[index], out var sphere))
+                objectSpheres[mesh] = sphere;
+            meshes[index] = mesh;
+        }
+
+        // ReplaceMesh, telling whether the mesh has already been sent and so needs the update sent too.
+        // A mesh still waiting for the viewer is sent whole from OnWebGpuReady.
+        private bool ReplaceSentMesh(int index, MeshData mesh)
+        {
+            ReplaceMesh(index, mesh);
+            return _module != null && _ready && sentMeshIds?.Contains(mesh.Id) == true;
+        }
+
+        // Stores the updated mesh and, when it has already been sent, refreshes the bounds and sends the update.
+        // A mesh still waiting for the viewer is sent whole from OnWebGpuReady, so it needs nothing more.
+        private async Task UpdateSentMeshAsync(int index, MeshData mesh, Func<ValueTask> sendUpdate)
+        {
+            var previous = meshes[index];
+            meshes[index] = mesh;
+            if (_module is null || !_ready || sentMeshIds?.Contains(mesh.Id) != true)
+                return;
+
+            // Both spheres are updated, so don't short-circuit
+            UpdateViewer(UpdateSpheresRemove(previous) | UpdateSpheresAdd(mesh));
+            await sendUpdate();
+        }
+
+        /// <summary>
+        /// Moves or appends points of a line, sending only the segments from <paramref name="offset"/> on and writing
+        /// them into the line's GPU buffers, which grow with spare room when they run out. Streaming a growing path
+        /// therefore costs only its new segments. Thicknesses, colors and fade factors given per segment repeat their
+        /// last value for segments added to the end.
+        /// </summary>
+        /// <param name="id">The Id of the line.</param>
+        /// <param name="offset">The index of the first vertex to replace.</param>
+        /// <param name="vertices">The new vertices from <paramref name="offset"/> on; those past the end lengthen the path.</param>
+        /// <returns></returns>
+        public async Task UpdateLineVerticesAsync(string id, int offset, IList<Vector3> vertices)
+        {
+            var index = lines.FindIndex(l => l.Id == id);
+            if (index < 0 || vertices.Count == 0)
+                return;
+            var previous = lines[index];
+            var path = previous.WithVertices(offset, vertices);
+            lines[index] = path;
+            if (_module is null || !_ready || sentLineIds?.Contains(id) != true)
+                return;
+
+            // Both spheres are updated, so don't short-circuit
+            UpdateViewer(UpdateSpheresRemove(previous) | UpdateSpheresAdd(path));
+            var (firstSegment, data) = path.CreateJavascriptUpdateData(offset);
+            await _module.InvokeVoidAsync("updateLineVertices", _renderer, id, firstSegment, data);
+        }
+
+        /// <summary>
+        /// Removes a mesh from the scene.
+        /// </summary>
+        /// <param name="mesh"></param>
+        /// <returns></returns>
+        public async Task RemoveMeshAsync(MeshData mesh)
+        {
+            var index = meshes.FindIndex(m => m.Id == mesh.Id);
+            if (index >= 0)
+                await RemoveMeshAsync(index);
+        }
+        // Removes a mesh from the scene by its index in the C# list.
+        private async Task RemoveMeshAsync(int index)
+        {
+            var mesh = meshes[index];
+            // Remove from the C# list and update viewer bounds
+            meshes.RemoveAt(index);
+            UpdateViewer(UpdateSpheresRemove(mesh));
+            // A queued mesh was never sent, so JavaScript has nothing to remove
+            if (sentMeshIds?.Remove(mesh.Id) == true)
+                await _module.InvokeVoidAsync("removeMesh", _renderer, mesh.Id);
         }
 
         /// <summary>
@@ -1375,16 +1865,17 @@ namespace BugViewer
                 return;
             }
 
+            var need = UpdateSpheresRemoveAll(meshes);
             meshes.Clear();
-            sentMeshIds.Clear();
-            UpdateViewer(true);
+            sentMeshIds?.Clear();
+            UpdateViewer(need);
 
             if (_module is null || !_ready)
             {
                 return;
             }
 
-            await _module.InvokeVoidAsync("clearAllMeshes");
+            await _module.InvokeVoidAsync("clearAllMeshes", _renderer);
         }
 
         /// <summary>
@@ -1394,53 +1885,19 @@ namespace BugViewer
         /// <returns></returns>
         public async Task RemoveLinesAsync(LineData line)
         {
-            var index = -1;
-            if (sentLineIds is null)
-            {
-                index = lines.IndexOf(line);
-                if (index < 0)
-                    return;
+            var index = lines.FindIndex(l => l.Id == line.Id);
+            if (index >= 0)
                 await RemoveLinesAsync(index);
-            }
-            else
-            {
-                var nameInSent = sentLineIds.TryGetValue(line.Id, out index);
-                if (nameInSent)
-                    await RemoveLinesAsync(index);
-            }
         }
-        // Removes lines from the scene by their index.
+        // Removes lines from the scene by their index in the C# list.
         private async Task RemoveLinesAsync(int index)
         {
-            var lineId = lines[index].Id;
-            UpdateViewer(UpdateSpheresRemove(lines[index]));
+            var line = lines[index];
             // Remove from the C# list and update viewer bounds
             lines.RemoveAt(index);
-            sentLineIds.Remove(lineId);
-
-            try
-            {
-                await _module.InvokeVoidAsync("removeLines", index);
-            }
-            catch
-            {
-                // If remove by index fails for any reason, fall back to rebuilding the JS scene
-                try
-                {
-                    await _module.InvokeVoidAsync("clearAllLines");
-                    sentLineIds.Clear();
-                    for (int i = 0; i < lines.Count; i++)
-                    {
-                        var m = lines[i];
-                        sentLineIds.Add(m.Id, i);
-                        await _module.InvokeVoidAsync("addLines", m.CreateJavascriptData());
-                    }
-                }
-                catch
-                {
-                    // ignore errors
-                }
-            }
+            UpdateViewer(UpdateSpheresRemove(line));
+            if (sentLineIds?.Remove(line.Id) == true)
+                await _module.InvokeVoidAsync("removeLines", _renderer, line.Id);
         }
 
         /// <summary>
@@ -1454,10 +1911,13 @@ namespace BugViewer
                 return;
             }
 
-            var need = lines.All(l => UpdateSpheresRemove(l));
+            var need = UpdateSpheresRemoveAll(lines);
             lines.Clear();
+            sentLineIds?.Clear();
             UpdateViewer(need);
-            await _module.InvokeVoidAsync("clearAllLines");
+            if (_module is null || !_ready)
+                return;
+            await _module.InvokeVoidAsync("clearAllLines", _renderer);
         }
 
         /// <summary>
@@ -1468,21 +1928,20 @@ namespace BugViewer
         /// <param name="position"></param>
         /// <param name="backgroundColor"></param>
         /// <param name="textColor"></param>
+        /// <param name="style">The font, frame, sizing and placement of the label; null for the defaults of <see cref="TextBillboardStyle"/>.</param>
         /// <returns></returns>
-        public async Task AddTextBillboardAsync(string id, string text, Vector3 position, System.Drawing.Color backgroundColor, System.Drawing.Color textColor)
+        public async Task AddTextBillboardAsync(string id, string text, Vector3 position, System.Drawing.Color backgroundColor, System.Drawing.Color textColor,
+            TextBillboardStyle? style = null)
         {
-            var index = -1;
-            var nameInSent = sentBBIds?.TryGetValue(id, out index);
-            if (nameInSent.GetValueOrDefault(false))
-            {
-                var former = billBoards[index];
+            var index = billBoards.FindIndex(b => b.Id == id);
+            if (index >= 0)
                 await RemoveTextBillboardAsync(index);
-            }
             var billboardData = new TextBillboard
             {
                 BackgroundColor = backgroundColor,
                 TextColor = textColor,
                 Text = text,
+                Style = style ?? new(),
                 Vertices = new List<Vector3> { position },
                 Id = id
             };
@@ -1490,7 +1949,8 @@ namespace BugViewer
             if (_module is null || !_ready)
                 return;
 
-            await _module.InvokeVoidAsync("addTextBillboard", billboardData.CreateJavascriptData());
+            sentBBIds.Add(id);
+            await _module.InvokeVoidAsync("addTextBillboard", _renderer, billboardData.CreateJavascriptData());
         }
 
         /// <summary>
@@ -1500,69 +1960,216 @@ namespace BugViewer
         /// <returns></returns>
         public async Task RemoveTextBillboardAsync(TextBillboard billBoard)
         {
-            var index = -1;
-            if (sentBBIds is null)
+            var index = billBoards.FindIndex(b => b.Id == billBoard.Id);
+            if (index >= 0)
+                await RemoveTextBillboardAsync(index);
+        }
+        // Removes a text billboard from the scene by its index in the C# list.
+        private async Task RemoveTextBillboardAsync(int index)
+        {
+            var billBoard = billBoards[index];
+            billBoards.RemoveAt(index);
+            if (sentBBIds?.Remove(billBoard.Id) == true)
+                await _module.InvokeVoidAsync("removeTextBillboard", _renderer, billBoard.Id);
+        }
+
+        /// <summary>
+        /// Clears all text billboards from the scene. If the WebGPU module is not ready, it will simply clear the 
+        /// queued billboards so that when the module does become ready, those billboards will not be sent to
+        /// JavaScript.
+        /// </summary>
+        /// <returns></returns>
+        public async Task ClearAllTextBillboardsAsync()
+        {
+            billBoards.Clear();
+            sentBBIds?.Clear();
+            if (_module is null || !_ready)
             {
-                // Find index before removing so we can tell JS which mesh to remove
-                index = billBoards.IndexOf(billBoard);
-                if (index < 0)
+                return;
+            }
+            await _module.InvokeVoidAsync("clearAllTextBillboards", _renderer);
+        }
+
+        /// <summary>
+        /// Adds a point cloud to the scene. If a point cloud with the same ID already exists, it will be replaced.
+        /// If the WebGPU module is not ready, the points will be queued and sent when the module becomes ready.
+        /// </summary>
+        /// <param name="cloud"></param>
+        /// <returns></returns>
+        public async Task AddPointsAsync(PointCloudData cloud)
+        {
+            var index = pointClouds.FindIndex(c => c.Id == cloud.Id);
+            if (index >= 0)
+            {
+                if (cloud.GetHashCode() == pointClouds[index].GetHashCode())
                     return;
-                await RemoveTextBillboardAsync(index);
+                await RemovePointsAsync(index);
             }
-            else
+
+            pointClouds.Add(cloud);
+            if (_module is null || !_ready)
+                return;
+
+            UpdateViewer(UpdateSpheresAdd(cloud));
+            sentPointIds ??= new HashSet<string>();
+            try
             {
-                var nameInSent = sentBBIds?.TryGetValue(billBoard.Id, out index);
-                if (nameInSent.GetValueOrDefault(false))
-                    await RemoveTextBillboardAsync(index);
+                await _module.InvokeVoidAsync("addPoints", _renderer, cloud.CreateJavascriptData());
+                sentPointIds.Add(cloud.Id);
+            }
+            catch (JSException)
+            {
+                // Nothing was drawn, so forget the cloud before passing the error on
+                pointClouds.Remove(cloud);
+                UpdateViewer(UpdateSpheresRemove(cloud));
+                throw;
             }
         }
-        // Removes a text billboard from the scene by its index.
-        private async Task RemoveTextBillboardAsync(int index)
+
+        /// <summary>
+        /// Removes a point cloud from the scene.
+        /// </summary>
+        /// <param name="cloud"></param>
+        /// <returns></returns>
+        public async Task RemovePointsAsync(PointCloudData cloud)
         {
-            var bbId = billBoards[index].Id;
-            billBoards.RemoveAt(index);
-            sentBBIds.Remove(bbId);
+            var index = pointClouds.FindIndex(c => c.Id == cloud.Id);
+            if (index >= 0)
+                await RemovePointsAsync(index);
+        }
+        // Removes a point cloud from the scene by its index in the C# list.
+        private async Task RemovePointsAsync(int index)
+        {
+            var cloud = pointClouds[index];
+            pointClouds.RemoveAt(index);
+            UpdateViewer(UpdateSpheresRemove(cloud));
+            if (sentPointIds?.Remove(cloud.Id) == true)
+                await _module.InvokeVoidAsync("removePoints", _renderer, cloud.Id);
+        }
+
+        /// <summary>
+        /// Clears all point clouds from the scene. If the WebGPU module is not ready, it will simply clear the
+        /// queued point clouds so that they will not be sent to JavaScript.
+        /// </summary>
+        /// <returns></returns>
+        public async Task ClearAllPointsAsync()
+        {
+            if (pointClouds.Count == 0)
+                return;
+            if (_module is null || !_ready)
+            {
+                pointClouds.Clear();
+                return;
+            }
+
+            var need = UpdateSpheresRemoveAll(pointClouds);
+            pointClouds.Clear();
+            sentPointIds?.Clear();
+            UpdateViewer(need);
+            await _module.InvokeVoidAsync("clearAllPoints", _renderer);
+        }
+
+        /// <summary>
+        /// Adds an instanced mesh to the scene. If an instanced mesh with the same ID already exists, it will be replaced.
+        /// If the WebGPU module is not ready, the mesh will be queued and sent when the module becomes ready.
+        /// </summary>
+        /// <param name="mesh"></param>
+        /// <returns></returns>
+        public async Task AddInstancedMeshAsync(InstancedMeshData mesh)
+        {
+            var index = instancedMeshes.FindIndex(m => m.Id == mesh.Id);
+            if (index >= 0)
+            {
+                if (mesh.GetHashCode() == instancedMeshes[index].GetHashCode())
+                    return;
+                await RemoveInstancedMeshAsync(index);
+            }
+
+            instancedMeshes.Add(mesh);
+            if (_module is null || !_ready)
+                return;
+
+            UpdateViewer(UpdateSpheresAdd(mesh));
+            sentInstancedMeshIds ??= new HashSet<string>();
             try
             {
-                await _module.InvokeVoidAsync("removeTextBillboard", index);
+                await _module.InvokeVoidAsync("addInstancedMesh", _renderer, mesh.CreateJavascriptData());
+                sentInstancedMeshIds.Add(mesh.Id);
             }
-            catch
+            catch (JSException)
             {
-                // If remove by index fails for any reason, fall back to rebuilding the JS scene
-                try
-                {
-                    await _module.InvokeVoidAsync("clearAllTextBillboards");
-                    sentBBIds.Clear();
-                    for (int i = 0; i < billBoards.Count; i++)
-                    {
-                        var m = billBoards[i];
-                        sentBBIds.Add(m.Id, i);
-                        await _module.InvokeVoidAsync("addTextBillboard", m.CreateJavascriptData());
-                    }
-                }
-                catch
-                {
-                    // ignore errors
-                }
+                // Nothing was drawn, so forget the mesh before passing the error on
+                instancedMeshes.Remove(mesh);
+                UpdateViewer(UpdateSpheresRemove(mesh));
+                throw;
             }
+        }
 
+        /// <summary>
+        /// Replaces the instances of an instanced mesh. Only the instance transforms and colors are sent;
+        /// the shared geometry stays on the GPU, so this is cheap enough to call for animation.
+        /// </summary>
+        /// <param name="id">The Id of the instanced mesh.</param>
+        /// <param name="instanceTransforms">One transform per instance.</param>
+        /// <param name="colors">One color per instance, or a single color. When null, the current colors are kept.</param>
+        /// <returns></returns>
+        public async Task UpdateInstancesAsync(string id, IList<Matrix4x4> instanceTransforms, IEnumerable<System.Drawing.Color>? colors = null)
+        {
+            var index = instancedMeshes.FindIndex(m => m.Id == id);
+            if (index < 0)
+                return;
+            var previous = instancedMeshes[index];
+            var mesh = previous with { InstanceTransforms = instanceTransforms, Colors = colors ?? previous.Colors };
+            instancedMeshes[index] = mesh;
+            if (_module is null || !_ready || sentInstancedMeshIds?.Contains(id) != true)
+                return;
+
+            // Both spheres are updated, so don't short-circuit
+            UpdateViewer(UpdateSpheresRemove(previous) | UpdateSpheresAdd(mesh));
+            await _module.InvokeVoidAsync("updateInstances", _renderer, id, mesh.CreateInstanceJavascriptData());
         }
 
         /// <summary>
-        /// Clears all text billboards from the scene. If the WebGPU module is not ready, it will simply clear the 
-        /// queued billboards so that when the module does become ready, those billboards will not be sent to
-        /// JavaScript.
+        /// Removes an instanced mesh from the scene.
         /// </summary>
+        /// <param name="mesh"></param>
         /// <returns></returns>
-        public async Task ClearAllTextBillboardsAsync()
+        public async Task RemoveInstancedMeshAsync(InstancedMeshData mesh)
         {
-            billBoards.Clear();
-            sentBBIds.Clear();
+            var index = instancedMeshes.FindIndex(m => m.Id == mesh.Id);
+            if (index >= 0)
+                await RemoveInstancedMeshAsync(index);
+        }
+        // Removes an instanced mesh from the scene by its index in the C# list.
+        private async Task RemoveInstancedMeshAsync(int index)
+        {
+            var mesh = instancedMeshes[index];
+            instancedMeshes.RemoveAt(index);
+            UpdateViewer(UpdateSpheresRemove(mesh));
+            if (sentInstancedMeshIds?.Remove(mesh.Id) == true)
+                await _module.InvokeVoidAsync("removeInstancedMesh", _renderer, mesh.Id);
+        }
+
+        /// <summary>
+        /// Clears all instanced meshes from the scene. If the WebGPU module is not ready, it will simply clear the
+        /// queued meshes so that they will not be sent to JavaScript.
+        /// </summary>
+        /// <returns></returns>
+        public async Task ClearAllInstancedMeshesAsync()
+        {
+            if (instancedMeshes.Count == 0)
+                return;
             if (_module is null || !_ready)
             {
+                instancedMeshes.Clear();
                 return;
             }
-            await _module.InvokeVoidAsync("clearAllTextBillboards");
+
+            var need = UpdateSpheresRemoveAll(instancedMeshes);
+            instancedMeshes.Clear();
+            sentInstancedMeshIds?.Clear();
+            UpdateViewer(need);
+            await _module.InvokeVoidAsync("clearAllInstancedMeshes", _renderer);
         }
     }
 }
\ No newline at end of file
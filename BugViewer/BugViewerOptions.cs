@@ -25,8 +25,15 @@ public class BugViewerOptions : INotifyPropertyChanged
     {
         LightPolarAngle = 0.13 * Math.PI,
         LightAzimuthAngle = 0.33 * Math.PI,
+        LightingPreset = LightingPreset.SingleLight,
         AmbientLight = 0.3,
         SpecularPower = 32.0,
+        ShowShadows = false,
+        ShadowSoftness = 0.3,
+        ShadowBias = 0.002,
+        AmbientOcclusion = false,
+        AmbientOcclusionIntensity = 1.0,
+        AmbientOcclusionRadius = 1.0,
         AutoResetCamera = UpdateTypes.SphereChange,
         AutoCameraSphereBuffer = 0.2,
         AutoUpdateGrid = UpdateTypes.SphereChange,
@@ -62,15 +69,34 @@ public class BugViewerOptions : INotifyPropertyChanged
         ZoomSensitivity = 0.005,
         PanSensitivity = 0.005,
         PanSpeedMultiplier = 3.0,
-        CoordinateThickness = 1
+        CoordinateThickness = 1,
+        HighlightOnHover = true,
+        HoverColor = "#ff9800",
+        SelectionColor = "#0078d4",
+        SelectedTriangleColor = "#ff00ff",
+        SelectedTriangleTransparency = 0.6,
+        OutlineWidth = 2.0,
+        ShowClipCaps = true,
+        ClipCapColor = "#ffb300",
+        FlatShading = false,
+        DisplayMode = MeshDisplayMode.Shaded,
+        EdgeWidth = 1.0,
+        EdgeColor = "#202020"
     };
     /// <summary>DefaultLight configuration with sensible values for a basic grid.</summary>
     public static BugViewerOptions DefaultDark = new()
     {
         LightPolarAngle = 0.13 * Math.PI,
         LightAzimuthAngle = 0.33 * Math.PI,
+        LightingPreset = LightingPreset.SingleLight,
         AmbientLight = 0.3,
         SpecularPower = 32.0,
+        ShowShadows = false,
+        ShadowSoftness = 0.3,
+        ShadowBias = 0.002,
+        AmbientOcclusion = false,
+        AmbientOcclusionIntensity = 1.0,
+        AmbientOcclusionRadius = 1.0,
         AutoResetCamera = UpdateTypes.SphereChange,
         AutoCameraSphereBuffer = 0.2,
         AutoUpdateGrid = UpdateTypes.SphereChange,
@@ -106,7 +132,19 @@ public class BugViewerOptions : INotifyPropertyChanged
         ZoomSensitivity = 0.005,
         PanSensitivity = 0.005,
         PanSpeedMultiplier = 3.0,
-        CoordinateThickness = 1
+        CoordinateThickness = 1,
+        HighlightOnHover = true,
+        HoverColor = "#ffd54f",
+        SelectionColor = "#4fc3f7",
+        SelectedTriangleColor = "#ff4081",
+        SelectedTriangleTransparency = 0.6,
+        OutlineWidth = 2.0,
+        ShowClipCaps = true,
+        ClipCapColor = "#ffca28",
+        FlatShading = false,
+        DisplayMode = MeshDisplayMode.Shaded,
+        EdgeWidth = 1.0,
+        EdgeColor = "#e0e0e0"
     };
     
     /// <summary>
@@ -160,9 +198,29 @@ public class BugViewerOptions : INotifyPropertyChanged
         CoordinateThickness = newOptions.CoordinateThickness;
         LightPolarAngle = newOptions.LightPolarAngle;
         LightAzimuthAngle = newOptions.LightAzimuthAngle;
+        LightingPreset = newOptions.LightingPreset;
         AmbientLight = newOptions.AmbientLight;
+        ShowShadows = newOptions.ShowShadows;
+        ShadowSoftness = newOptions.ShadowSoftness;
+        ShadowBias = newOptions.ShadowBias;
+        AmbientOcclusion = newOptions.AmbientOcclusion;
+        AmbientOcclusionIntensity = newOptions.AmbientOcclusionIntensity;
+        AmbientOcclusionRadius = newOptions.AmbientOcclusionRadius;
         SpecularPower = newOptions.SpecularPower;
         ZIsUp = newOptions.ZIsUp;
+        HighlightOnHover = newOptions.HighlightOnHover;
+        HoverColor = newOptions.HoverColor;
+        SelectionColor = newOptions.SelectionColor;
+        SelectedTriangleColor = newOptions.SelectedTriangleColor;
+        SelectedTriangleTransparency = newOptions.SelectedTriangleTransparency;
+        OutlineWidth = newOptions.OutlineWidth;
+        ShowClipCaps = newOptions.ShowClipCaps;
+        ClipCapColor = newOptions.ClipCapColor;
+        FlatShading = newOptions.FlatShading;
+        DisplayMode = newOptions.DisplayMode;
+        Transparency = newOptions.Transparency;
+        EdgeWidth = newOptions.EdgeWidth;
+        EdgeColor = newOptions.EdgeColor;
     }
 
     private UpdateTypes _autoResetCamera;
@@ -720,6 +778,65 @@ public class BugViewerOptions : INotifyPropertyChanged
         else return [z, x, y];
     }
 
+    private LightingPreset _lightingPreset = LightingPreset.SingleLight;
+    /// <summary>
+    /// Which lights shine on the scene. Only the presets with a single light use <see cref="LightPolarAngle"/>
+    /// and <see cref="LightAzimuthAngle"/>; the first light that isn't a point light casts the shadows.
+    /// </summary>
+    public LightingPreset LightingPreset
+    {
+        get => _lightingPreset;
+        set
+        {
+            if (_lightingPreset != value)
+            {
+                _lightingPreset = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    /// <summary>The most lights the renderer uses; extra lights are ignored.</summary>
+    public const int MaxLights = 4;
+
+    private IReadOnlyList<LightSource> _customLights = [];
+    /// <summary>
+    /// The lights of <see cref="LightingPreset.Custom"/> (up to <see cref="MaxLights"/>).
+    /// Assign a new list to change them.
+    /// </summary>
+    public IReadOnlyList<LightSource> CustomLights
+    {
+        get => _customLights;
+        set
+        {
+            value ??= [];
+            if (!_customLights.SequenceEqual(value))
+            {
+                _customLights = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private IEnumerable<LightSource> GetLights()
+    {
+        var key = GetLightDirection();
+        var single = new LightSource { Direction = new Vector3(key[0], key[1], key[2]) };
+        return LightingPreset switch
+        {
+            LightingPreset.KeyAndHeadlight => [single, new LightSource { Type = LightType.Headlight, Intensity = 0.35 }],
+            LightingPreset.Headlight => [new LightSource { Type = LightType.Headlight }],
+            LightingPreset.ThreePointStudio =>
+            [
+                new LightSource { Type = LightType.Headlight, Direction = new Vector3(1, -1, -1), Intensity = 0.8 },
+                new LightSource { Type = LightType.Headlight, Direction = new Vector3(-1, -0.2f, -0.6f), Intensity = 0.35 },
+                new LightSource { Type = LightType.Headlight, Direction = new Vector3(0, -0.6f, 1), Intensity = 0.5 }
+            ],
+            LightingPreset.Custom => CustomLights.Take(MaxLights),
+            _ => [single]
+        };
+    }
+
     private double _ambientLight = 0.3;
     /// <summary>Ambient light intensity (0.0 to 1.0).</summary>
     public double AmbientLight
@@ -751,6 +868,112 @@ public class BugViewerOptions : INotifyPropertyChanged
         }
     }
 
+    private bool _showShadows = false;
+    /// <summary>
+    /// When true, opaque meshes cast shadows from the light onto meshes and the grid. The shadow map is
+    /// fitted around the meshes' bounding sphere.
+    /// </summary>
+    public bool ShowShadows
+    {
+        get => _showShadows;
+        set
+        {
+            if (_showShadows != value)
+            {
+                _showShadows = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _shadowSoftness = 0.3;
+    /// <summary>How blurred shadow edges are, from 0 (hard) to 1 (about 2% of the scene's size).</summary>
+    public double ShadowSoftness
+    {
+        get => _shadowSoftness;
+        set
+        {
+            var clamp = Math.Clamp(value, 0.0, 1.0);
+            if (ChangeOccurred(_shadowSoftness, clamp))
+            {
+                _shadowSoftness = clamp;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _shadowBias = 0.002;
+    /// <summary>
+    /// Depth offset, as a fraction of the scene's size along the light, that keeps lit surfaces from
+    /// shadowing themselves (speckled "shadow acne"). Too large and shadows detach from their casters.
+    /// </summary>
+    public double ShadowBias
+    {
+        get => _shadowBias;
+        set
+        {
+            var clamp = Math.Clamp(value, 0.0, 0.05);
+            if (ChangeOccurred(_shadowBias, clamp))
+            {
+                _shadowBias = clamp;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private bool _ambientOcclusion = false;
+    /// <summary>
+    /// When true, creases, pockets and the ground around opaque meshes are darkened by screen-space
+    /// ambient occlusion. Transparent objects, lines, points and billboards are drawn over it unchanged.
+    /// </summary>
+    public bool AmbientOcclusion
+    {
+        get => _ambientOcclusion;
+        set
+        {
+            if (_ambientOcclusion != value)
+            {
+                _ambientOcclusion = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _ambientOcclusionIntensity = 1.0;
+    /// <summary>How dark fully occluded surfaces get, from 0 (no darkening) to 3.</summary>
+    public double AmbientOcclusionIntensity
+    {
+        get => _ambientOcclusionIntensity;
+        set
+        {
+            var clamp = Math.Clamp(value, 0.0, 3.0);
+            if (ChangeOccurred(_ambientOcclusionIntensity, clamp))
+            {
+                _ambientOcclusionIntensity = clamp;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _ambientOcclusionRadius = 1.0;
+    /// <summary>
+    /// Distance in world units within which surfaces occlude each other. Match it to the size of the
+    /// features that should read as cavities.
+    /// </summary>
+    public double AmbientOcclusionRadius
+    {
+        get => _ambientOcclusionRadius;
+        set
+        {
+            var clamp = Math.Max(value, 0.001);
+            if (ChangeOccurred(_ambientOcclusionRadius, clamp))
+            {
+                _ambientOcclusionRadius = clamp;
+                OnPropertyChanged();
+            }
+        }
+    }
+
 
     private double _coordThick = 1;
     /// <summary>Whether to show coordinate axes (X=red, Y=green, Z=blue).</summary>
@@ -767,6 +990,247 @@ public class BugViewerOptions : INotifyPropertyChanged
         }
     }
 
+    private bool _highlightOnHover = true;
+    /// <summary>Whether the object under the mouse pointer is outlined with the HoverColor.</summary>
+    public bool HighlightOnHover
+    {
+        get => _highlightOnHover;
+        set
+        {
+            if (_highlightOnHover != value)
+            {
+                _highlightOnHover = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _hoverColor = "#ff9800";
+    /// <summary>Outline color of the object under the mouse pointer.</summary>
+    public string HoverColor
+    {
+        get => _hoverColor;
+        set
+        {
+            if (_hoverColor != value)
+            {
+                _hoverColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _selectionColor = "#0078d4";
+    /// <summary>Outline color of the selected object.</summary>
+    public string SelectionColor
+    {
+        get => _selectionColor;
+        set
+        {
+            if (_selectionColor != value)
+            {
+                _selectionColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _selectedTriangleColor = "#ff00ff";
+    /// <summary>Tint drawn over the selected triangle of a mesh.</summary>
+    public string SelectedTriangleColor
+    {
+        get => _selectedTriangleColor;
+        set
+        {
+            if (_selectedTriangleColor != value)
+            {
+                _selectedTriangleColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _selectedTriangleTransparency = 0.6;
+    /// <summary>Opacity of the selected triangle tint (0.0 to 1.0).</summary>
+    public double SelectedTriangleTransparency
+    {
+        get => _selectedTriangleTransparency;
+        set
+        {
+            var clamp = Math.Clamp(value, 0.0, 1.0);
+            if (ChangeOccurred(_selectedTriangleTransparency, clamp))
+            {
+                _selectedTriangleTransparency = clamp;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _outlineWidth = 2.0;
+    /// <summary>Width in pixels of the selection and hover outlines (0 to 8).</summary>
+    public double OutlineWidth
+    {
+        get => _outlineWidth;
+        set
+        {
+            var clamp = Math.Clamp(value, 0.0, 8.0);
+            if (ChangeOccurred(_outlineWidth, clamp))
+            {
+                _outlineWidth = clamp;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private bool _showClipCaps = true;
+    /// <summary>When true, the inside of meshes cut by a clip plane is filled with <see cref="ClipCapColor"/>.</summary>
+    public bool ShowClipCaps
+    {
+        get => _showClipCaps;
+        set
+        {
+            if (_showClipCaps != value)
+            {
+                _showClipCaps = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _clipCapColor = "#ffb300";
+    /// <summary>Color of the caps drawn where a clip plane cuts a mesh.</summary>
+    public string ClipCapColor
+    {
+        get => _clipCapColor;
+        set
+        {
+            if (_clipCapColor != value)
+            {
+                _clipCapColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    /// <summary>The most clip planes the renderer applies; extra planes are ignored.</summary>
+    public const int MaxClipPlanes = 4;
+
+    private IReadOnlyList<ClipPlane> _clipPlanes = [];
+    /// <summary>
+    /// Section planes applied to meshes, lines, billboards and the grid (up to <see cref="MaxClipPlanes"/>).
+    /// Assign a new list to change them.
+    /// </summary>
+    public IReadOnlyList<ClipPlane> ClipPlanes
+    {
+        get => _clipPlanes;
+        set
+        {
+            value ??= [];
+            if (!_clipPlanes.SequenceEqual(value))
+            {
+                _clipPlanes = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private bool _flatShading = false;
+    /// <summary>Shades every triangle with its face normal, ignoring mesh normals, to show the facets.</summary>
+    public bool FlatShading
+    {
+        get => _flatShading;
+        set
+        {
+            if (_flatShading != value)
+            {
+                _flatShading = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private MeshDisplayMode _displayMode = MeshDisplayMode.Shaded;
+    /// <summary>How meshes are drawn, unless a mesh sets its own DisplayMode.</summary>
+    public MeshDisplayMode DisplayMode
+    {
+        get => _displayMode;
+        set
+        {
+            if (_displayMode != value)
+            {
+                _displayMode = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _edgeWidth = 1.0;
+    /// <summary>Width in pixels of triangle edges in the wireframe, shaded-with-edges and hidden-line modes.</summary>
+    public double EdgeWidth
+    {
+        get => _edgeWidth;
+        set
+        {
+            var clamp = Math.Clamp(value, 0.5, 10.0);
+            if (ChangeOccurred(_edgeWidth, clamp))
+            {
+                _edgeWidth = clamp;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _edgeColor = "#202020";
+    /// <summary>Color of triangle edges.</summary>
+    public string EdgeColor
+    {
+        get => _edgeColor;
+        set
+        {
+            if (_edgeColor != value)
+            {
+                _edgeColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private TransparencyMode _transparency = TransparencyMode.Sorted;
+    /// <summary>
+    /// How transparent objects are blended. <see cref="TransparencyMode.WeightedBlended"/> handles
+    /// translucent meshes that overlap or pass through each other, which sorting by object can't.
+    /// </summary>
+    public TransparencyMode Transparency
+    {
+        get => _transparency;
+        set
+        {
+            if (_transparency != value)
+            {
+                _transparency = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private bool _continuousRendering = false;
+    /// <summary>
+    /// Redraws every animation frame instead of only after something changes. Turn it on while the
+    /// scene animates; left off, an idle viewer draws nothing and leaves the GPU alone.
+    /// </summary>
+    public bool ContinuousRendering
+    {
+        get => _continuousRendering;
+        set
+        {
+            if (_continuousRendering != value)
+            {
+                _continuousRendering = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
     private bool ChangeOccurred(double v1, double v2)
     {
         return Math.Abs(v1 - v2) > 1e-9;
@@ -786,10 +1250,37 @@ public class BugViewerOptions : INotifyPropertyChanged
         gridSpacing = (float)GridSpacing,
         zIsUp = ZIsUp,
         coordinateThickness = CoordinateThickness,
-        lightDir = GetLightDirection(),
+        lights = GetLights().Select(l => l.ToJavaScript()).ToArray(),
         ambient = (float)AmbientLight,
         specularPower = (float)SpecularPower,
+        shadows = ShowShadows,
+        shadowSoftness = (float)ShadowSoftness,
+        shadowBias = (float)ShadowBias,
+        ambientOcclusion = AmbientOcclusion,
+        aoIntensity = (float)AmbientOcclusionIntensity,
+        aoRadius = (float)AmbientOcclusionRadius,
+        highlightOnHover = HighlightOnHover,
+        hoverColor = ColorToJavaScript(HoverColor, 1).ToArray(),
+        selectionColor = ColorToJavaScript(SelectionColor, 1).ToArray(),
+        selectedTriangleColor = ColorToJavaScript(SelectedTriangleColor, SelectedTriangleTransparency).ToArray(),
+        outlineWidth = (float)OutlineWidth,
+        clipPlanes = ClipPlanes.Take(MaxClipPlanes).Select(p => p.ToJavaScript()).ToArray(),
+        clipCapColor = ShowClipCaps ? ColorToJavaScript(ClipCapColor, 1).ToArray() : null,
+        flatShading = FlatShading,
+        displayMode = DisplayModeToJavaScript(DisplayMode),
+        edgeWidth = (float)EdgeWidth,
+        edgeColor = ColorToJavaScript(EdgeColor, 1).ToArray(),
+        transparency = Transparency == TransparencyMode.WeightedBlended ? "weighted" : "sorted",
+        continuousRendering = ContinuousRendering,
     };
+    internal static string DisplayModeToJavaScript(MeshDisplayMode mode) => mode switch
+    {
+        MeshDisplayMode.Wireframe => "wireframe",
+        MeshDisplayMode.ShadedWithEdges => "shadedWithEdges",
+        MeshDisplayMode.HiddenLine => "hiddenLine",
+        _ => "shaded"
+    };
+
     internal static IEnumerable<float> ColorToJavaScript(string c, double transparency)
     {
         c = c.Substring(1).Trim().ToLower();
@@ -0,0 +1,30 @@
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// A section plane that hides everything on the side its normal points to.
+/// </summary>
+public record ClipPlane
+{
+    /// <summary>Normal of the plane, pointing toward the side that is clipped away.</summary>
+    public required Vector3 Normal { get; init; }
+
+    /// <summary>Signed distance of the plane from the origin along the normalized <see cref="Normal"/>.</summary>
+    public double Distance { get; init; }
+
+    /// <summary>
+    /// Creates the plane through <paramref name="point"/> that clips away the side <paramref name="normal"/> points to.
+    /// </summary>
+    public static ClipPlane Through(Vector3 point, Vector3 normal)
+    {
+        var n = Vector3.Normalize(normal);
+        return new ClipPlane { Normal = n, Distance = Vector3.Dot(n, point) };
+    }
+
+    internal float[] ToJavaScript()
+    {
+        var n = Vector3.Normalize(Normal);
+        return [n.X, n.Y, n.Z, (float)Distance];
+    }
+}
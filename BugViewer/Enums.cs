@@ -28,7 +28,27 @@ namespace BugViewer
         /// <summary>Assigns a color to each vertex of the mesh.</summary>
         PerVertex,
         /// <summary>Assigns a color to each triangle of the mesh.</summary>
-        PerTriangle
+        PerTriangle,
+        /// <summary>Maps a scalar per vertex through a <see cref="Colormap"/> (see <see cref="MeshData.Scalars"/>).</summary>
+        PerVertexScalar,
+        /// <summary>Maps a scalar per triangle through a <see cref="Colormap"/> (see <see cref="MeshData.Scalars"/>).</summary>
+        PerTriangleScalar
+    }
+    /// <summary>
+    /// The kind of scene object returned by a pick.
+    /// </summary>
+    public enum PickedObjectType
+    {
+        /// <summary>A mesh added with AddMeshAsync.</summary>
+        Mesh,
+        /// <summary>A line path added with AddLinesAsync.</summary>
+        Line,
+        /// <summary>A text billboard added with AddTextBillboardAsync.</summary>
+        TextBillboard,
+        /// <summary>A point cloud added with AddPointsAsync.</summary>
+        PointCloud,
+        /// <summary>An instanced mesh added with AddInstancedMeshAsync.</summary>
+        InstancedMesh
     }
     /// <summary>
     /// Defines when an automatic update should be triggered.
@@ -42,4 +62,112 @@ namespace BugViewer
         /// <summary>The viewer will update only when the bounding sphere changes.</summary>
         SphereChange = 2,
     }
+    /// <summary>
+    /// How a mesh's triangles are drawn.
+    /// </summary>
+    public enum MeshDisplayMode
+    {
+        /// <summary>Lit, filled triangles.</summary>
+        Shaded,
+        /// <summary>Only the triangle edges, including those on the far side of the mesh.</summary>
+        Wireframe,
+        /// <summary>Lit, filled triangles with their edges drawn on top.</summary>
+        ShadedWithEdges,
+        /// <summary>Visible triangle edges over faces filled with the background color.</summary>
+        HiddenLine
+    }
+    /// <summary>
+    /// How transparent objects are blended with what is behind them.
+    /// </summary>
+    public enum TransparencyMode
+    {
+        /// <summary>
+        /// Objects are drawn back to front by their centers. Exact for separate objects, but overlapping
+        /// or interpenetrating ones can show the wrong one in front.
+        /// </summary>
+        Sorted,
+        /// <summary>
+        /// Weighted blended order-independent transparency for meshes, lines and the grid: the result
+        /// doesn't depend on draw order, but layers are averaged rather than strictly stacked.
+        /// Points and text are still sorted.
+        /// </summary>
+        WeightedBlended
+    }
+    /// <summary>
+    /// The kind of a <see cref="LightSource"/>.
+    /// </summary>
+    public enum LightType
+    {
+        /// <summary>Parallel light from far away, such as the sun, which can cast shadows.</summary>
+        Directional,
+        /// <summary>Light spreading out from a position in the scene, at the same brightness at any distance.</summary>
+        Point,
+        /// <summary>A directional light that turns with the camera, which keeps whatever faces the viewer lit.</summary>
+        Headlight
+    }
+    /// <summary>
+    /// Named sets of lights for <see cref="BugViewerOptions.LightingPreset"/>.
+    /// </summary>
+    public enum LightingPreset
+    {
+        /// <summary>The single light set by <see cref="BugViewerOptions.LightPolarAngle"/> and <see cref="BugViewerOptions.LightAzimuthAngle"/>.</summary>
+        SingleLight,
+        /// <summary>The single light plus a dim headlight, so that the sides facing away from it aren't left dark.</summary>
+        KeyAndHeadlight,
+        /// <summary>A light following the camera and nothing else, which lights every face the viewer sees.</summary>
+        Headlight,
+        /// <summary>
+        /// Key, fill and rim lights following the camera: the key from the upper left, a dimmer fill from
+        /// the right and a rim light from behind that picks out silhouettes.
+        /// </summary>
+        ThreePointStudio,
+        /// <summary>The lights of <see cref="BugViewerOptions.CustomLights"/>.</summary>
+        Custom
+    }
+    /// <summary>
+    /// The lighting model of a <see cref="MeshMaterial"/>.
+    /// </summary>
+    public enum ShadingModel
+    {
+        /// <summary>The viewer's original diffuse and specular lighting.</summary>
+        BlinnPhong,
+        /// <summary>
+        /// Physically based lighting with metallic and roughness, and ambient light from the sky and ground.
+        /// </summary>
+        PhysicallyBased
+    }
+    /// <summary>
+    /// The shape of each point in a point cloud.
+    /// </summary>
+    public enum PointShape
+    {
+        /// <summary>A round disc.</summary>
+        Disc,
+        /// <summary>A square.</summary>
+        Square
+    }
+    /// <summary>
+    /// The point of a text billboard's label that sits at its position.
+    /// </summary>
+    public enum BillboardAnchor
+    {
+        /// <summary>The middle of the label, which is centered on the position.</summary>
+        Center,
+        /// <summary>The middle of the left edge, so the label sits to the right of the position.</summary>
+        Left,
+        /// <summary>The middle of the right edge, so the label sits to the left of the position.</summary>
+        Right,
+        /// <summary>The middle of the top edge, so the label hangs below the position.</summary>
+        Top,
+        /// <summary>The middle of the bottom edge, so the label stands above the position.</summary>
+        Bottom,
+        /// <summary>The top left corner.</summary>
+        TopLeft,
+        /// <summary>The top right corner.</summary>
+        TopRight,
+        /// <summary>The bottom left corner.</summary>
+        BottomLeft,
+        /// <summary>The bottom right corner.</summary>
+        BottomRight
+    }
 }
@@ -0,0 +1,46 @@
+using System.Drawing;
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// One of the lights of a <see cref="LightingPreset.Custom"/> lighting (see <see cref="BugViewerOptions.CustomLights"/>).
+/// </summary>
+public record LightSource
+{
+    /// <summary>What kind of light this is, which decides whether <see cref="Direction"/> or <see cref="Position"/> is used.</summary>
+    public LightType Type { get; init; } = LightType.Directional;
+
+    /// <summary>
+    /// The way the light travels. In world coordinates for a <see cref="LightType.Directional"/> light; relative
+    /// to the camera for a <see cref="LightType.Headlight"/> (x right, y up, z toward the viewer), where the
+    /// default shines straight ahead.
+    /// </summary>
+    public Vector3 Direction { get; init; } = -Vector3.UnitZ;
+
+    /// <summary>Where a <see cref="LightType.Point"/> light is, in world coordinates.</summary>
+    public Vector3 Position { get; init; }
+
+    /// <summary>Color of the light.</summary>
+    public Color Color { get; init; } = Color.White;
+
+    /// <summary>Brightness of the light, multiplying <see cref="Color"/>; 1 is as bright as the default light.</summary>
+    public double Intensity { get; init; } = 1;
+
+    internal object ToJavaScript()
+    {
+        var intensity = (float)Math.Max(Intensity, 0);
+        return new
+        {
+            type = Type switch
+            {
+                LightType.Point => "point",
+                LightType.Headlight => "headlight",
+                _ => "directional"
+            },
+            direction = new[] { Direction.X, Direction.Y, Direction.Z },
+            position = new[] { Position.X, Position.Y, Position.Z },
+            color = new[] { Color.R / 255f * intensity, Color.G / 255f * intensity, Color.B / 255f * intensity }
+        };
+    }
+}
@@ -0,0 +1,25 @@
+namespace BugViewer;
+
+/// <summary>
+/// The result of picking the scene at a screen position with the GPU ID pass.
+/// </summary>
+public record PickResult
+{
+    /// <summary>The kind of object that was hit.</summary>
+    public required PickedObjectType ObjectType { get; init; }
+
+    /// <summary>The Id of the mesh, line, billboard, point cloud or instanced mesh that was hit.</summary>
+    public required string Id { get; init; }
+
+    /// <summary>
+    /// The index of the triangle (meshes), segment (lines), point (point clouds) or instance (instanced meshes)
+    /// under the cursor.
+    /// Always 0 for billboards.
+    /// </summary>
+    public int PrimitiveIndex { get; init; }
+
+    /// <summary>
+    /// Normalized depth of the hit, from 0 at the near plane to 1 at the far plane.
+    /// </summary>
+    public float Depth { get; init; }
+}
@@ -0,0 +1,22 @@
+namespace BugViewer;
+
+/// <summary>
+/// The Ids of the objects the renderer holds, by kind, as returned by <c>BugViewer.GetSceneObjectIdsAsync</c>.
+/// </summary>
+public record SceneObjectIds
+{
+    /// <summary>Ids of the meshes, in the order they were added.</summary>
+    public IReadOnlyList<string> Meshes { get; init; } = [];
+
+    /// <summary>Ids of the lines, in the order they were added.</summary>
+    public IReadOnlyList<string> Lines { get; init; } = [];
+
+    /// <summary>Ids of the text billboards, in the order they were added.</summary>
+    public IReadOnlyList<string> TextBillboards { get; init; } = [];
+
+    /// <summary>Ids of the point clouds, in the order they were added.</summary>
+    public IReadOnlyList<string> PointClouds { get; init; } = [];
+
+    /// <summary>Ids of the instanced meshes, in the order they were added.</summary>
+    public IReadOnlyList<string> InstancedMeshes { get; init; } = [];
+}
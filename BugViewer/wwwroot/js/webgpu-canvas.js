@@ -5,9 +5,133 @@
 // Constants & Shaders
 // ============================================================================
 
-const FRAME_BUFFER_SIZE = Float32Array.BYTES_PER_ELEMENT * 32; // projection + view matrices
+const FRAME_BUFFER_SIZE = Float32Array.BYTES_PER_ELEMENT * 36; // projection + view matrices + viewport size (padded)
+const OBJECT_BUFFER_SIZE = 80; // model matrix + pick id + shader parameter (padded to 16 bytes)
+const IDENTITY_MATRIX = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+const MAX_CLIP_PLANES = 4;
+const CLIP_BUFFER_SIZE = 96; // 4 planes + cap color + plane count (padded to 16 bytes)
+const SHADOW_BUFFER_SIZE = 96; // light view-projection matrix + 4 parameters + enabled flag (padded to 16 bytes)
+const SHADOW_MAP_SIZE = 2048;
+const MAX_SHADOW_BLUR = 0.02; // Filter radius at full softness, as a fraction of the shadow map's width
+const AO_BUFFER_SIZE = 16; // radius + intensity (padded to 16 bytes)
+const AO_NORMAL_FORMAT = 'rgba16float';
+const MESH_BUFFER_SIZE = 96; // color + material + scalar mapping (see MESH_MATERIAL_WGSL)
+const COLORMAP_SIZE = 256; // texels of a scalar colormap
+const MAX_LIGHTS = 4;
+const CHECKER_SQUARE_SIZE = 32; // texels per square of a checkerboard texture
+const LIGHT_SIZE = 32; // one Light of LIGHT_WGSL
 
 // WGSL Shaders (moved to top for clarity)
+
+// Per-object uniforms shared by the mesh, line and billboard shaders. `param` is shader specific:
+// the index format for mesh picking, vertices per segment for lines, the sizing of billboards and points.
+const OBJECT_WGSL = `
+  struct ObjectUniforms {
+    model: mat4x4f,
+    pickId: u32,
+    param: u32
+  }
+`;
+
+// Clip planes live next to the camera in the frame bind group. Each plane is (normal, distance);
+// a point is clipped when dot(normal, point) > distance, so the normal points at the removed side.
+const CLIP_WGSL = `
+  struct ClipPlanes {
+    planes: array<vec4f, ${MAX_CLIP_PLANES}>,
+    capColor: vec4f,
+    count: u32
+  }
+  @group(0) @binding(1) var<uniform> clipPlanes: ClipPlanes;
+  fn isClipped(worldPos: vec3f) -> bool {
+    for (var i = 0u; i < clipPlanes.count; i++) {
+      let plane = clipPlanes.planes[i];
+      if (dot(plane.xyz, worldPos) > plane.w) { return true; }
+    }
+    return false;
+  }
+`;
+
+// Directional shadows, next to the camera and clip planes in the frame bind group. The shadow map holds
+// the depth of the opaque meshes as seen from the light (see encodeShadowMap). lightViewProjection maps
+// world space to the map; bias (in map depth) and normalOffset (in world units) keep surfaces from
+// shadowing themselves, and blur is the radius of the filter in map coordinates.
+const SHADOW_STRUCT_WGSL = `
+  struct Shadow {
+    lightViewProjection: mat4x4f,
+    bias: f32,
+    blur: f32,
+    normalOffset: f32,
+    ambient: f32,
+    enabled: u32
+  }
+`;
+
+const SHADOW_WGSL = `
+  ${SHADOW_STRUCT_WGSL}
+  @group(0) @binding(2) var<uniform> shadow: Shadow;
+  @group(0) @binding(3) var shadowMap: texture_depth_2d;
+  @group(0) @binding(4) var shadowSampler: sampler_comparison;
+  // 1 where worldPos is lit, down to 0 in full shadow. Points beyond the map are lit.
+  // towardLight is the surface normal on the light's side (or zero), along which the lookup is offset.
+  fn lightVisibility(worldPos: vec3f, towardLight: vec3f) -> f32 {
+    if (shadow.enabled == 0u) { return 1.0; }
+    let lightPos = shadow.lightViewProjection * vec4f(worldPos + towardLight * shadow.normalOffset, 1.0);
+    let uv = lightPos.xy * vec2f(0.5, -0.5) + 0.5;
+    // How the surface's map depth changes across the map, so that each filter tap compares at the
+    // depth the surface has there rather than shadowing itself where it slopes away from the light
+    let uvDx = dpdx(uv);
+    let uvDy = dpdy(uv);
+    let depthDx = dpdx(lightPos.z);
+    let depthDy = dpdy(lightPos.z);
+    let det = uvDx.x * uvDy.y - uvDy.x * uvDx.y;
+    var depthSlope = vec2f(0.0);
+    if (abs(det) > 1e-12) {
+      depthSlope = vec2f(depthDx * uvDy.y - depthDy * uvDx.y, depthDy * uvDx.x - depthDx * uvDy.x) / det;
+    }
+    if (any(uv < vec2f(0.0)) || any(uv > vec2f(1.0))) { return 1.0; }
+    // Receivers behind every caster (such as the grid) compare at the far end of the map
+    let depth = min(lightPos.z, 1.0) - shadow.bias;
+    var lit = 0.0;
+    for (var y = -2; y <= 2; y++) {
+      for (var x = -2; x <= 2; x++) {
+        let offset = vec2f(f32(x), f32(y)) * 0.5 * shadow.blur;
+        lit += textureSampleCompareLevel(shadowMap, shadowSampler, uv + offset, depth + dot(depthSlope, offset));
+      }
+    }
+    return lit / 25.0;
+  }
+`;
+
+// Weighted blended order-independent transparency (McGuire and Bavoil 2013). Shaders that can be
+// accumulated have a fragmentOit entry point next to fragmentMain, both calling the shader's shade().
+// Each fragment adds its premultiplied color, weighted to favor the nearer ones, to accum, and
+// multiplies reveal (cleared to 1) by its transparency; OIT_COMPOSITE_SHADER resolves the two.
+const OIT_WGSL = `
+  struct OitOut { @location(0) accum: vec4f, @location(1) reveal: f32 }
+  fn oitOutput(color: vec4f, depth: f32) -> OitOut {
+    let weight = clamp(color.a * max(1e-2, 3e3 * pow(1.0 - depth, 3.0)), 1e-2, 3e3);
+    var out: OitOut;
+    // Clamped as the color target clamps what fragmentMain writes
+    out.accum = vec4f(saturate(color.rgb) * color.a, color.a) * weight;
+    out.reveal = color.a;
+    return out;
+  }
+`;
+
+// The opaque pass of a frame with ambient occlusion also keeps each pixel's view space normal, facing
+// the camera, for ssaoShader. It is the face normal, so flat faces don't occlude themselves.
+const AO_NORMAL_WGSL = `
+  struct AoOut { @location(0) color: vec4f, @location(1) normal: vec4f }
+  fn aoOutput(color: vec4f, worldPos: vec3f) -> AoOut {
+    var out: AoOut;
+    out.color = color;
+    // Screen y runs down, so the cross product points away from the camera
+    let normal = -normalize(cross(dpdx(worldPos), dpdy(worldPos)));
+    out.normal = vec4f((camera.view * vec4f(normal, 0.0)).xyz, 1.0);
+    return out;
+  }
+`;
+
 const GRID_SHADER = `
   fn PristineGrid(uv: vec2f, lineWidth: vec2f) -> f32 {
       let uvDDXY = vec4f(dpdx(uv), dpdy(uv));
@@ -25,125 +149,414 @@ const GRID_SHADER = `
       return mix(grid2.x, 1.0, grid2.y);
   }
   struct VertexIn { @location(0) pos: vec3f, @location(1) uv: vec2f }
-  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f }
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f, @location(1) worldPos: vec3f }
   struct Camera { projection: mat4x4f, view: mat4x4f }
   @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${SHADOW_WGSL}
   struct GridArgs { lineColor: vec4f, baseColor: vec4f, lineWidth: vec2f, spacing: f32 }
   @group(1) @binding(0) var<uniform> gridArgs: GridArgs;
-  @vertex fn vertexMain(in: VertexIn) -> VertexOut { var out: VertexOut; out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0); out.uv = in.uv - vec2f(50.0, 50.0); return out; }
-  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { var grid = PristineGrid(in.uv * gridArgs.spacing, gridArgs.lineWidth); return mix(gridArgs.baseColor, gridArgs.lineColor, grid); }
+  @vertex fn vertexMain(in: VertexIn) -> VertexOut { var out: VertexOut; out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0); out.uv = in.uv - vec2f(50.0, 50.0); out.worldPos = in.pos; return out; }
+  fn shade(in: VertexOut) -> vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    var grid = PristineGrid(in.uv * gridArgs.spacing, gridArgs.lineWidth);
+    let color = mix(gridArgs.baseColor, gridArgs.lineColor, grid);
+    // The grid is unlit, so shadows darken it down to the ambient light
+    return vec4f(color.rgb * mix(shadow.ambient, 1.0, lightVisibility(in.worldPos, vec3f(0.0))), color.a);
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { return shade(in); }
+  ${OIT_WGSL}
+  @fragment fn fragmentOit(in: VertexOut) -> OitOut { return oitOutput(shade(in), in.pos.z); }
+  ${AO_NORMAL_WGSL}
+  @fragment fn fragmentAo(in: VertexOut) -> AoOut { return aoOutput(shade(in), in.worldPos); }
 `;
 
-const MESH_SHADER = `
-  struct Camera { projection: mat4x4f, view: mat4x4f }
-  @group(0) @binding(0) var<uniform> camera: Camera;
+// Meshes without normals get a zero normal (see addMesh), which falls back to the flat face normal
+// from the screen-space derivatives, as does the flatShading option
+const SHADING_NORMAL_WGSL = `
+  fn shadingNormal(worldPos: vec3f, vertexNormal: vec3f) -> vec3f {
+    let faceNormal = normalize(cross(dpdx(worldPos), dpdy(worldPos)));
+    if (light.flatShading != 0u || dot(vertexNormal, vertexNormal) == 0.0) { return faceNormal; }
+    // Keep the interpolated normal on the visible side of the face
+    let normal = normalize(vertexNormal);
+    return select(normal, -normal, dot(normal, faceNormal) < 0.0);
+  }
+`;
 
+// The lights of the scene (see writeLights). Each light is directional, with vector the way it travels
+// in world space, or a point light at position vector, lighting the same at any distance. Headlights
+// reach the shader as directional lights. At most one light is shadowed, by the shadow map.
+const LIGHT_WGSL = `
+  struct Light { vector: vec3f, kind: u32, color: vec3f, shadowed: u32 }
   struct LightUniforms {
-    lightDir: vec3f,
     ambient: f32,
-    specularPower: f32
+    specularPower: f32,
+    flatShading: u32,
+    count: u32,
+    up: vec3f,
+    sources: array<Light, ${MAX_LIGHTS}>
   }
   @group(1) @binding(0) var<uniform> light: LightUniforms;
 
-  struct MeshUniforms { color: vec4f }
+  // The direction the light travels at worldPos
+  fn lightTravel(source: Light, worldPos: vec3f) -> vec3f {
+    if (source.kind == 1u) { return normalize(worldPos - source.vector); }
+    return normalize(source.vector);
+  }
+
+  // What reaches worldPos of the light, given the shadow map's visibility there
+  fn lightColor(source: Light, visibility: f32) -> vec3f {
+    return source.color * select(1.0, visibility, source.shadowed != 0u);
+  }
+
+  fn blinnPhong(base: vec3f, normal: vec3f, worldPos: vec3f, visibility: f32) -> vec3f {
+    // View space position and view direction (camera at origin in view space)
+    let viewPos = (camera.view * vec4f(worldPos, 1.0)).xyz;
+    let viewDir = normalize(-viewPos);
+
+    var diffuse = vec3f(0.0);
+    var specular = vec3f(0.0);
+    for (var i = 0u; i < light.count; i++) {
+      let source = light.sources[i];
+      let lightDir = lightTravel(source, worldPos);
+      let halfDir = normalize(lightDir + viewDir);
+      let color = lightColor(source, visibility);
+      diffuse += max(dot(normal, lightDir), 0.0) * color;
+      specular += pow(max(dot(normal, halfDir), 0.0), light.specularPower) * color;
+    }
+    return base * (light.ambient + diffuse) + specular;
+  }
+`;
+
+// A mesh's material (see setMeshMaterial) and the lighting of its surface. The Blinn-Phong model is
+// the viewer's original look, with the global specularPower. The physically based one takes metallic
+// and roughness, and lights the surface with sky and ground light (a hemisphere) besides the sun.
+// Both take baseColor as a tint of the mesh's colors, with the opacity in its alpha, plus emissive.
+// The mesh's texture (see writeMeshTexture) tints its colors too.
+const MESH_MATERIAL_WGSL = `
+  struct Material { baseColor: vec4f, emissive: vec3f, metallic: f32, roughness: f32, model: u32 }
+  struct ScalarMapping { min: f32, max: f32, clampToRange: u32, outOfRangeColor: vec4f }
+  struct MeshUniforms { color: vec4f, material: Material, scalars: ScalarMapping }
   @group(1) @binding(1) var<uniform> meshUniforms: MeshUniforms;
+  @group(1) @binding(2) var meshTexture: texture_2d<f32>;
+  @group(1) @binding(3) var meshSampler: sampler;
 
-  struct VertexIn { @location(0) pos: vec3f }
-  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f }
+  // UV (0, 0) is the bottom left of the image. Untextured meshes read white.
+  fn textureColor(uv: vec2f) -> vec4f {
+    return textureSample(meshTexture, meshSampler, vec2f(uv.x, 1.0 - uv.y));
+  }
+  const PI = 3.14159265;
+
+  // Light from the sky above and, dimmer, bounced off the ground, arriving along -direction.
+  // It's the ambient light where sky and ground meet, so that sides look as with Blinn-Phong.
+  fn hemisphereLight(direction: vec3f, up: vec3f) -> vec3f {
+    return vec3f(light.ambient * mix(0.5, 1.5, 0.5 + 0.5 * dot(direction, up)));
+  }
+
+  // Share of the surrounding light a surface reflects toward the viewer, fitted analytically
+  // (Karis, "Physically Based Shading on Mobile")
+  fn environmentBrdf(f0: vec3f, roughness: f32, nDotV: f32) -> vec3f {
+    let r = roughness * vec4f(-1.0, -0.0275, -0.572, 0.022) + vec4f(1.0, 0.0425, 1.04, -0.04);
+    let a004 = min(r.x * r.x, exp2(-9.28 * nDotV)) * r.x + r.y;
+    let ab = vec2f(-1.04, 1.04) * a004 + r.zw;
+    return f0 * ab.x + ab.y;
+  }
+
+  // Cook-Torrance with the GGX distribution, Schlick-GGX geometry and Schlick's Fresnel
+  fn physicallyBased(base: vec3f, normal: vec3f, worldPos: vec3f, visibility: f32) -> vec3f {
+    let material = meshUniforms.material;
+    // In view space, with the normal turned toward the camera
+    let n = normalize((camera.view * vec4f(-normal, 0.0)).xyz);
+    let up = normalize((camera.view * vec4f(light.up, 0.0)).xyz);
+    let viewPos = (camera.view * vec4f(worldPos, 1.0)).xyz;
+    // An orthographic camera (whose w doesn't depend on z) looks along -z everywhere
+    let v = select(normalize(-viewPos), vec3f(0.0, 0.0, 1.0), camera.projection[2][3] == 0.0);
+    let nDotV = max(dot(n, v), 1e-4);
+    let roughness = clamp(material.roughness, 0.03, 1.0);
+    let a2 = pow(roughness, 4.0);
+    let k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+    let f0 = mix(vec3f(0.04), base, material.metallic);
+
+    var direct = vec3f(0.0);
+    for (var i = 0u; i < light.count; i++) {
+      let source = light.sources[i];
+      // Toward the light
+      let l = normalize((camera.view * vec4f(-lightTravel(source, worldPos), 0.0)).xyz);
+      let h = normalize(l + v);
+      let nDotL = max(dot(n, l), 0.0);
+      let nDotH = max(dot(n, h), 0.0);
+      let d = a2 / (PI * pow(nDotH * nDotH * (a2 - 1.0) + 1.0, 2.0));
+      let g = nDotL / (nDotL * (1.0 - k) + k) * nDotV / (nDotV * (1.0 - k) + k);
+      let f = f0 + (1.0 - f0) * pow(1.0 - max(dot(h, v), 0.0), 5.0);
+      let specular = d * g * f / (4.0 * nDotL * nDotV + 1e-4);
+      let diffuse = (1.0 - f) * (1.0 - material.metallic) * base / PI;
+      // A light of radiance pi makes a white matte face lit head-on as bright as with Blinn-Phong
+      direct += (diffuse + specular) * PI * nDotL * lightColor(source, visibility);
+    }
+
+    let ambientDiffuse = hemisphereLight(n, up) * (1.0 - material.metallic) * base;
+    // Rough surfaces reflect light from all around rather than from the mirror direction
+    let reflected = mix(hemisphereLight(reflect(-v, n), up), hemisphereLight(n, up), roughness);
+    let ambientSpecular = reflected * environmentBrdf(f0, roughness, nDotV);
+    return direct + ambientDiffuse + ambientSpecular;
+  }
+
+  fn shadeSurface(color: vec4f, worldPos: vec3f, vertexNormal: vec3f) -> vec4f {
+    let material = meshUniforms.material;
+    let base = color * material.baseColor;
+    let normal = shadingNormal(worldPos, vertexNormal);
+    let visibility = lightVisibility(worldPos, -normal); // Lit faces' normals point along the light
+    var lit: vec3f;
+    if (material.model == 0u) {
+      lit = blinnPhong(base.rgb, normal, worldPos, visibility);
+    } else {
+      lit = physicallyBased(base.rgb, normal, worldPos, visibility);
+    }
+    return vec4f(lit + material.emissive, base.a);
+  }
+`;
+
+const MESH_SHADER = `
+  struct Camera { projection: mat4x4f, view: mat4x4f }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${SHADOW_WGSL}
+
+  ${LIGHT_WGSL}
+  ${SHADING_NORMAL_WGSL}
+  ${MESH_MATERIAL_WGSL}
+
+  ${OBJECT_WGSL}
+  @group(2) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
+
+  struct VertexIn { @location(0) pos: vec3f, @location(2) normal: vec3f, @location(3) uv: vec2f }
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) worldPos: vec3f,
+    @location(2) normal: vec3f,
+    @location(3) uv: vec2f
+  }
 
   @vertex fn vertexMain(in: VertexIn) -> VertexOut {
     var out: VertexOut;
-    out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0);
-    out.worldPos = in.pos;
+    let worldPos = objectUniforms.model * vec4f(in.pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    out.normal = (objectUniforms.model * vec4f(in.normal, 0.0)).xyz;
+    out.uv = in.uv;
     return out;
   }
 
-  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
-    let normal = normalize(cross(dpdx(in.worldPos), dpdy(in.worldPos)));
-    let lightDir = normalize(light.lightDir);
+  fn shade(in: VertexOut) -> vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    return shadeSurface(meshUniforms.color * textureColor(in.uv), in.worldPos, in.normal);
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { return shade(in); }
+  ${OIT_WGSL}
+  @fragment fn fragmentOit(in: VertexOut) -> OitOut { return oitOutput(shade(in), in.pos.z); }
+  ${AO_NORMAL_WGSL}
+  @fragment fn fragmentAo(in: VertexOut) -> AoOut { return aoOutput(shade(in), in.worldPos); }
+`;
 
-    // View space position and view direction (camera at origin in view space)
-    let viewPos = (camera.view * vec4f(in.worldPos, 1.0)).xyz;
-    let viewDir = normalize(-viewPos);
-    let halfDir = normalize(lightDir + viewDir);
+const MESH_SHADER_VERTEX_COLOR = `
+  struct Camera { projection: mat4x4f, view: mat4x4f }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${SHADOW_WGSL}
 
-    // Diffuse
-    let diffuse = max(dot(normal, lightDir), 0.0);
-    // Specular
-    let specAngle = max(dot(normal, halfDir), 0.0);
-    let specular = pow(specAngle, light.specularPower);
+  ${LIGHT_WGSL}
+  ${SHADING_NORMAL_WGSL}
+  ${MESH_MATERIAL_WGSL}
 
-    let finalColor = meshUniforms.color.rgb * (light.ambient + diffuse) + vec3f(1.0) * specular;
-    return vec4f(finalColor, meshUniforms.color.a);
+  ${OBJECT_WGSL}
+  @group(2) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
+
+  struct VertexIn {
+    @location(0) pos: vec3f,
+    @location(1) color: vec4f,
+    @location(2) normal: vec3f,
+    @location(3) uv: vec2f
+  }
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) worldPos: vec3f,
+    @location(1) @interpolate(flat) color: vec4f,
+    @location(2) normal: vec3f,
+    @location(3) uv: vec2f
+  }
+  @vertex fn vertexMain(in: VertexIn) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = objectUniforms.model * vec4f(in.pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    out.color = in.color;
+    out.normal = (objectUniforms.model * vec4f(in.normal, 0.0)).xyz;
+    out.uv = in.uv;
+    return out;
   }
+  fn shade(in: VertexOut) -> vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    return shadeSurface(in.color * textureColor(in.uv), in.worldPos, in.normal);
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { return shade(in); }
+  ${OIT_WGSL}
+  @fragment fn fragmentOit(in: VertexOut) -> OitOut { return oitOutput(shade(in), in.pos.z); }
+  ${AO_NORMAL_WGSL}
+  @fragment fn fragmentAo(in: VertexOut) -> AoOut { return aoOutput(shade(in), in.worldPos); }
 `;
 
-const MESH_SHADER_VERTEX_COLOR = `
+// Meshes colored by a scalar per vertex through a colormap (see writeScalarColoring). The scalar is
+// interpolated across each triangle and looked up for each pixel, so changing the range only
+// rewrites the mesh uniforms.
+const MESH_SHADER_SCALAR = `
   struct Camera { projection: mat4x4f, view: mat4x4f }
   @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${SHADOW_WGSL}
 
-  struct LightUniforms {
-    lightDir: vec3f,
-    ambient: f32,
-    specularPower: f32
-  }
-  @group(1) @binding(0) var<uniform> light: LightUniforms;
+  ${LIGHT_WGSL}
+  ${SHADING_NORMAL_WGSL}
+  ${MESH_MATERIAL_WGSL}
+  @group(1) @binding(4) var colormap: texture_2d<f32>;
+
+  ${OBJECT_WGSL}
+  @group(2) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
 
   struct VertexIn {
     @location(0) pos: vec3f,
-    @location(1) color: vec4f
+    @location(1) scalar: f32,
+    @location(2) normal: vec3f,
+    @location(3) uv: vec2f
   }
   struct VertexOut {
     @builtin(position) pos: vec4f,
     @location(0) worldPos: vec3f,
-    @location(1) @interpolate(flat) color: vec4f
+    @location(1) scalar: f32,
+    @location(2) normal: vec3f,
+    @location(3) uv: vec2f
   }
   @vertex fn vertexMain(in: VertexIn) -> VertexOut {
     var out: VertexOut;
-    out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0);
-    out.worldPos = in.pos;
-    out.color = in.color;
+    let worldPos = objectUniforms.model * vec4f(in.pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    out.scalar = in.scalar;
+    out.normal = (objectUniforms.model * vec4f(in.normal, 0.0)).xyz;
+    out.uv = in.uv;
     return out;
   }
-  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
-    let normal = normalize(cross(dpdx(in.worldPos), dpdy(in.worldPos)));
-    let lightDir = normalize(light.lightDir);
 
-    // View space position and view direction
-    let viewPos = (camera.view * vec4f(in.worldPos, 1.0)).xyz;
-    let viewDir = normalize(-viewPos);
-    let halfDir = normalize(lightDir + viewDir);
+  // Values outside min..max take the colors at the ends of the map, or outOfRangeColor unless clamped
+  fn scalarColor(value: f32) -> vec4f {
+    let mapping = meshUniforms.scalars;
+    let span = mapping.max - mapping.min;
+    let t = select(0.5, (value - mapping.min) / span, span != 0.0);
+    if (mapping.clampToRange == 0u && (value < mapping.min || value > mapping.max)) { return mapping.outOfRangeColor; }
+    // Linear between the centers of the two nearest texels
+    let x = saturate(t) * f32(${COLORMAP_SIZE - 1});
+    let i = u32(x);
+    let next = min(i + 1u, ${COLORMAP_SIZE - 1}u);
+    return mix(textureLoad(colormap, vec2u(i, 0u), 0), textureLoad(colormap, vec2u(next, 0u), 0), fract(x));
+  }
 
-    let diffuse = max(dot(normal, lightDir), 0.0);
-    let specAngle = max(dot(normal, halfDir), 0.0);
-    let specular = pow(specAngle, light.specularPower);
+  fn shade(in: VertexOut) -> vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    return shadeSurface(scalarColor(in.scalar) * textureColor(in.uv), in.worldPos, in.normal);
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { return shade(in); }
+  ${OIT_WGSL}
+  @fragment fn fragmentOit(in: VertexOut) -> OitOut { return oitOutput(shade(in), in.pos.z); }
+  ${AO_NORMAL_WGSL}
+  @fragment fn fragmentAo(in: VertexOut) -> AoOut { return aoOutput(shade(in), in.worldPos); }
+`;
+
+// One geometry drawn once per instance. Each instance has its own color and transform, applied
+// before the object's model matrix; fragmentPick reports the instance as the primitive.
+const INSTANCED_MESH_SHADER = `
+  struct Camera { projection: mat4x4f, view: mat4x4f }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${SHADOW_WGSL}
+
+  ${LIGHT_WGSL}
+  ${SHADING_NORMAL_WGSL}
 
-    let finalColor = in.color.rgb * (light.ambient + diffuse) + vec3f(1.0) * specular;
-    return vec4f(finalColor, in.color.a);
+  ${OBJECT_WGSL}
+  @group(2) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
+
+  struct VertexIn {
+    @builtin(instance_index) instanceIndex: u32,
+    @location(0) pos: vec3f,
+    @location(1) color: vec4f,
+    @location(2) normal: vec3f,
+    @location(3) transform0: vec4f,
+    @location(4) transform1: vec4f,
+    @location(5) transform2: vec4f,
+    @location(6) transform3: vec4f
+  }
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) worldPos: vec3f,
+    @location(1) @interpolate(flat) color: vec4f,
+    @location(2) normal: vec3f,
+    @location(3) @interpolate(flat) instanceIndex: u32
+  }
+  @vertex fn vertexMain(in: VertexIn) -> VertexOut {
+    var out: VertexOut;
+    let model = objectUniforms.model * mat4x4f(in.transform0, in.transform1, in.transform2, in.transform3);
+    let worldPos = model * vec4f(in.pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    out.color = in.color;
+    out.normal = (model * vec4f(in.normal, 0.0)).xyz;
+    out.instanceIndex = in.instanceIndex;
+    return out;
+  }
+  fn shade(in: VertexOut) -> vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    let normal = shadingNormal(in.worldPos, in.normal);
+    let visibility = lightVisibility(in.worldPos, -normal); // Lit faces' normals point along the light
+    return vec4f(blinnPhong(in.color.rgb, normal, in.worldPos, visibility), in.color.a);
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { return shade(in); }
+  ${OIT_WGSL}
+  @fragment fn fragmentOit(in: VertexOut) -> OitOut { return oitOutput(shade(in), in.pos.z); }
+  ${AO_NORMAL_WGSL}
+  @fragment fn fragmentAo(in: VertexOut) -> AoOut { return aoOutput(shade(in), in.worldPos); }
+  @fragment fn fragmentPick(in: VertexOut) -> @location(0) vec4u {
+    if (isClipped(in.worldPos)) { discard; }
+    return vec4u(objectUniforms.pickId, in.instanceIndex, bitcast<u32>(in.pos.z), 0u);
   }
 `;
 
 const BILLBOARD_LINE_SHADER = `
   struct Camera { projection: mat4x4f, view: mat4x4f }
   @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
   struct VertexIn {
     @location(0) pos: vec3f,
     @location(1) color: vec4f,
     @location(2) thickness: f32,
     @location(3) uv: vec2f,
     @location(4) endPos: vec3f,
-    @location(5) fade: f32
+    @location(5) fade: f32,
+    @builtin(vertex_index) vertexIndex: u32
   }
   struct VertexOut {
     @builtin(position) clipPos: vec4f,
     @location(0) color: vec4f,
     @location(1) uvY: f32,
-    @location(2) fade: f32
+    @location(2) fade: f32,
+    @location(3) @interpolate(flat) vertexIndex: u32,
+    @location(4) worldPos: vec3f
   }
+  ${OBJECT_WGSL}
+  @group(1) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
   @vertex fn vertexMain(in: VertexIn) -> VertexOut {
     var out: VertexOut;
-    let viewStart = camera.view * vec4f(in.pos, 1.0);
-    let viewEnd = camera.view * vec4f(in.endPos, 1.0);
+    let modelView = camera.view * objectUniforms.model;
+    let viewStart = modelView * vec4f(in.pos, 1.0);
+    let viewEnd = modelView * vec4f(in.endPos, 1.0);
     let rawDir = viewEnd.xy - viewStart.xy;
     let dist = max(length(rawDir), 1e-6);
     let viewDir = rawDir / dist;
@@ -156,12 +569,17 @@ const BILLBOARD_LINE_SHADER = `
     let finalXY = interpPos.xy + offsetPerp + offsetTan;
     let finalPos = vec4f(finalXY, interpPos.z, interpPos.w);
     out.clipPos = camera.projection * finalPos;
+    // The view matrix is rigid, so its inverse is the transposed rotation applied after the translation
+    let viewRotation = mat3x3f(camera.view[0].xyz, camera.view[1].xyz, camera.view[2].xyz);
+    out.worldPos = transpose(viewRotation) * (finalPos.xyz / finalPos.w - camera.view[3].xyz);
     out.color = in.color;
     out.uvY = in.uv.y;
     out.fade = in.fade;
+    out.vertexIndex = in.vertexIndex;
     return out;
   }
-  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+  fn shade(in: VertexOut) -> vec4f {
+    if (isClipped(in.worldPos)) { discard; }
     var alpha = in.color.a;
     if (in.fade > 0.0) {
       let dist = abs(in.uvY);
@@ -170,318 +588,1010 @@ const BILLBOARD_LINE_SHADER = `
     }
     return vec4f(in.color.rgb, alpha);
   }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { return shade(in); }
+  ${OIT_WGSL}
+  @fragment fn fragmentOit(in: VertexOut) -> OitOut { return oitOutput(shade(in), in.clipPos.z); }
+  @fragment fn fragmentPick(in: VertexOut) -> @location(0) vec4u {
+    if (isClipped(in.worldPos)) { discard; }
+    let segment = in.vertexIndex / max(objectUniforms.param, 1u);
+    return vec4u(objectUniforms.pickId, segment, bitcast<u32>(in.clipPos.z), 0u);
+  }
 `;
 
+// Text billboards: a quad facing the camera, placed by label.shift from its anchor point (see
+// addTextBillboard). Sizes are in pixels, or in world units when bit 0 of objectUniforms.param is set.
 const BILLBOARD_SHADER = `
-  struct Camera { projection: mat4x4f, view: mat4x4f }
+  struct Camera { projection: mat4x4f, view: mat4x4f, viewport: vec2f }
   @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
   @group(1) @binding(0) var sampler0: sampler;
   @group(1) @binding(1) var texture0: texture_2d<f32>;
+  struct Label { size: vec2f, shift: vec2f }
+  @group(1) @binding(2) var<uniform> label: Label;
+  ${OBJECT_WGSL}
+  @group(2) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
   struct VertexIn { @location(0) pos: vec3f, @location(1) uv: vec2f }
-  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f }
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f, @location(1) anchor: vec3f }
   @vertex fn vertexMain(in: VertexIn) -> VertexOut {
     var out: VertexOut;
-    let size = 1.0;
-    let offset = vec3f((in.uv.x - 0.5) * 2.0 * size, (in.uv.y - 0.5) * 2.0 * size, 0.0);
-    let right = vec3f(camera.view[0][0], camera.view[1][0], camera.view[2][0]);
-    let up = vec3f(camera.view[0][1], camera.view[1][1], camera.view[2][1]);
-    let world_pos = in.pos + right * offset.x + up * offset.y;
-    out.pos = camera.projection * camera.view * vec4f(world_pos, 1.0);
+    // The corner's offset from the anchor along the camera's right and up
+    let offset = in.uv * label.size + label.shift;
+    let anchor = (objectUniforms.model * vec4f(in.pos, 1.0)).xyz;
+    if ((objectUniforms.param & 1u) != 0u) {
+      let right = vec3f(camera.view[0][0], camera.view[1][0], camera.view[2][0]);
+      let up = vec3f(camera.view[0][1], camera.view[1][1], camera.view[2][1]);
+      let world_pos = anchor + right * offset.x + up * offset.y;
+      out.pos = camera.projection * camera.view * vec4f(world_pos, 1.0);
+    } else {
+      let clipPos = camera.projection * camera.view * vec4f(anchor, 1.0);
+      out.pos = vec4f(clipPos.xy + 2.0 * offset / camera.viewport * clipPos.w, clipPos.zw);
+    }
     out.uv = in.uv;
+    out.anchor = anchor;
     return out;
   }
+  // Labels are clipped whole, by their anchor point, so a plane never cuts through text
   @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.anchor)) { discard; }
     let color = textureSample(texture0, sampler0, in.uv);
     if (color.a < 0.1) { discard; }
     return color;
   }
+  @fragment fn fragmentPick(in: VertexOut) -> @location(0) vec4u {
+    if (isClipped(in.anchor)) { discard; }
+    let color = textureSample(texture0, sampler0, in.uv);
+    if (color.a < 0.1) { discard; }
+    return vec4u(objectUniforms.pickId, 0u, bitcast<u32>(in.pos.z), 0u);
+  }
 `;
 
-// ============================================================================
-// Global State (WebGPU resources that can't be in C#)
-// ============================================================================
-
-let canvas = null;
-let context = null;
-let device = null;
-let dotNetRef = null;
-
-// Frame timing
-const frameMs = new Array(20);
-let frameMsIndex = 0;
-
-// Matrices
-const frameArrayBuffer = new ArrayBuffer(FRAME_BUFFER_SIZE);
-const projectionMatrix = new Float32Array(frameArrayBuffer, 0, 16);
-const viewMatrix = new Float32Array(frameArrayBuffer, 16 * Float32Array.BYTES_PER_ELEMENT, 16);
-
-// GPU resources
-let frameUniformBuffer = null;
-let frameBindGroupLayout = null;
-let frameBindGroup = null;
-
-// Render targets
-let msaaColorTexture = null;
-let depthTexture = null;
-let colorAttachment = null;
-let renderPassDescriptor = null;
-
-// Lighting resources
-let lightUniformArray = new ArrayBuffer(8 * Float32Array.BYTES_PER_ELEMENT); // 3 (vec3f) + 1 (f32) + 1 (f32) + 3 padding
-const lightDirection = new Float32Array(lightUniformArray, 0, 3);
-const lightAmbient = new Float32Array(lightUniformArray, 12, 1);
-const lightSpecularPower = new Float32Array(lightUniformArray, 16, 1);
-let lightUniformBuffer = null;
-let lightBindGroupLayout = null;
-let lightBindGroup = null;
-
-
-// Grid resources
-let gridPipeline = null;
-let gridVertexBuffer = null;
-let gridIndexBuffer = null;
-let gridUniformBuffer = null;
-let gridBindGroup = null;
-let gridBindGroupLayout = null;
-const gridUniformArray = new ArrayBuffer(16 * Float32Array.BYTES_PER_ELEMENT);
-const gridLineColor = new Float32Array(gridUniformArray, 0, 4);
-const gridBaseColor = new Float32Array(gridUniformArray, 16, 4);
-const gridLineWidth = new Float32Array(gridUniformArray, 32, 2);
-const gridSpacingUniform = new Float32Array(gridUniformArray, 40, 1);
-
-// Grid configuration (updated from C#)
-let gridSize = 20.0;
-let gridSpacing = 1.0;
-let zIsUp = false;
-let gridDepthWriteEnabled = false;  // New variable to control depth writing
-let gridIsTransparent = false;
-
-// Coordinate axes
-let coordinateThickness = 1.0;
-let coordinateAxes = null;
-let axisExtent = gridSize;
-
-// Render settings (updated from C#)
-let colorFormat = 'bgra8unorm';
-let depthFormat = 'depth24plus';
-let sampleCount = 4;
-let clearColor = { r: 0, g: 0, b: 0, a: 1.0 };
-
-// Scene objects (maintained in sync with C#)
-const meshes = [];
-const lines = [];
-const textBillboards = [];
+// Point clouds: one instance per point, drawn as a screen-aligned quad (4-vertex strip) and cut to
+// a disc in the fragment shader. Sizes are diameters in pixels, or in world units when bit 0 of
+// objectUniforms.param is set; bit 1 draws squares instead of discs. This shader and BILLBOARD_SHADER
+// read the viewport size that follows the matrices in the frame uniforms.
+const POINT_SHADER = `
+  struct Camera { projection: mat4x4f, view: mat4x4f, viewport: vec2f }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${OBJECT_WGSL}
+  @group(1) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
+  struct VertexIn {
+    @builtin(vertex_index) vertexIndex: u32,
+    @builtin(instance_index) instanceIndex: u32,
+    @location(0) center: vec3f,
+    @location(1) color: vec4f,
+    @location(2) size: f32
+  }
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) color: vec4f,
+    @location(1) corner: vec2f,
+    @location(2) @interpolate(flat) center: vec3f,
+    @location(3) @interpolate(flat) instanceIndex: u32
+  }
+  @vertex fn vertexMain(in: VertexIn) -> VertexOut {
+    var out: VertexOut;
+    let corner = vec2f(f32(in.vertexIndex & 1u), f32(in.vertexIndex >> 1u)) * 2.0 - 1.0;
+    let worldCenter = objectUniforms.model * vec4f(in.center, 1.0);
+    var viewPos = camera.view * worldCenter;
+    if ((objectUniforms.param & 1u) != 0u) {
+      viewPos = vec4f(viewPos.xy + corner * 0.5 * in.size, viewPos.zw);
+      out.pos = camera.projection * viewPos;
+    } else {
+      let clipPos = camera.projection * viewPos;
+      out.pos = vec4f(clipPos.xy + corner * in.size / camera.viewport * clipPos.w, clipPos.zw);
+    }
+    out.color = in.color;
+    out.corner = corner;
+    out.center = worldCenter.xyz;
+    out.instanceIndex = in.instanceIndex;
+    return out;
+  }
+  // Points are clipped whole, by their center
+  fn isCovered(in: VertexOut) -> bool {
+    if (isClipped(in.center)) { return false; }
+    return (objectUniforms.param & 2u) != 0u || dot(in.corner, in.corner) <= 1.0;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    if (!isCovered(in)) { discard; }
+    return in.color;
+  }
+  @fragment fn fragmentPick(in: VertexOut) -> @location(0) vec4u {
+    if (!isCovered(in)) { discard; }
+    return vec4u(objectUniforms.pickId, in.instanceIndex, bitcast<u32>(in.pos.z), 0u);
+  }
+`;
 
-// ============================================================================
-// Initialization
-// ============================================================================
+// Vertex buffers of a line or the coordinate axes: position, color, thickness, uv, end position, fade
+const LINE_BUFFER_LAYOUT = [
+    { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
+    { arrayStride: 4, attributes: [{ shaderLocation: 1, offset: 0, format: 'unorm8x4' }] },
+    { arrayStride: 4, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32' }] },
+    { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] },
+    { arrayStride: 12, attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x3' }] },
+    { arrayStride: 4, attributes: [{ shaderLocation: 5, offset: 0, format: 'float32' }] }
+];
+
+// Interleaved position and uv of the grid and billboard quads
+const QUAD_BUFFER_LAYOUT = [{
+    arrayStride: 20,
+    attributes: [
+        { shaderLocation: 0, offset: 0, format: 'float32x3' },
+        { shaderLocation: 1, offset: 12, format: 'float32x2' }
+    ]
+}];
+
+// Per-instance vertex buffers of a point cloud: position, color, size
+const POINT_BUFFER_LAYOUT = [
+    { arrayStride: 12, stepMode: 'instance', attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
+    { arrayStride: 4, stepMode: 'instance', attributes: [{ shaderLocation: 1, offset: 0, format: 'unorm8x4' }] },
+    { arrayStride: 4, stepMode: 'instance', attributes: [{ shaderLocation: 2, offset: 0, format: 'float32' }] }
+];
+
+// Vertex buffers of an instanced mesh: position and normal per vertex, color and transform (four
+// columns) per instance. Without normals the normal slot reads renderer.zeroNormalBuffer.
+function instancedMeshBufferLayout(hasNormals) {
+    return [
+        { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
+        { arrayStride: 4, stepMode: 'instance', attributes: [{ shaderLocation: 1, offset: 0, format: 'unorm8x4' }] },
+        { arrayStride: hasNormals ? 12 : 0, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x3' }] },
+        {
+            arrayStride: 64,
+            stepMode: 'instance',
+            attributes: [0, 1, 2, 3].map(column => ({ shaderLocation: 3 + column, offset: 16 * column, format: 'float32x4' }))
+        }
+    ];
+}
 
-export async function initGPU_Canvas(dotnet, canvasEl, options, initialViewMatrix) {
-    dotNetRef = dotnet;
-    canvas = canvasEl;
-    context = canvas.getContext('webgpu');
+// Selection/hover highlight settings shared by the outline pass and the selected-triangle overlay
+const HIGHLIGHT_WGSL = `
+  struct Highlight {
+    selectionColor: vec4f,
+    hoverColor: vec4f,
+    triangleColor: vec4f,
+    outlineWidth: f32,
+    selectedId: u32,
+    hoveredId: u32
+  }
+`;
 
-    colorFormat = navigator.gpu?.getPreferredCanvasFormat?.() || 'bgra8unorm';
+// A mesh's positions and indices bound as storage (the mesh pick bind group), so shaders can pull
+// the vertices of triangle vertex_index / 3 themselves. The object uniforms carry the index format.
+const MESH_STORAGE_WGSL = `
+  ${OBJECT_WGSL}
+  @group(1) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
+  @group(1) @binding(1) var<storage, read> positions: array<f32>;
+  @group(1) @binding(2) var<storage, read> indices: array<u32>;
+
+  fn fetchIndex(i: u32) -> u32 {
+    if (objectUniforms.param == 0u) { return indices[i]; }
+    let word = indices[i / 2u];
+    return select(word & 0xFFFFu, word >> 16u, (i & 1u) == 1u);
+  }
+  fn fetchPosition(i: u32) -> vec3f {
+    let v = fetchIndex(i);
+    return vec3f(positions[3u * v], positions[3u * v + 1u], positions[3u * v + 2u]);
+  }
+`;
 
-    // Set initial view matrix from parameter
-    viewMatrix.set(initialViewMatrix);
+// ID pass for meshes; the object uniforms carry the pick id.
+// fragmentTriangle reuses the same vertex stage to tint the selected triangle, and fragmentCap to
+// fill back faces exposed by a clip plane with the cap color.
+const PICK_MESH_SHADER = `
+  ${HIGHLIGHT_WGSL}
+  @group(2) @binding(0) var<uniform> highlight: Highlight;
+  struct Camera { projection: mat4x4f, view: mat4x4f }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${MESH_STORAGE_WGSL}
 
-    // Apply options
-    await updateDisplayOptions(options);
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) @interpolate(flat) triangle: u32,
+    @location(1) worldPos: vec3f
+  }
+  @vertex fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = objectUniforms.model * vec4f(fetchPosition(vertexIndex), 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.triangle = vertexIndex / 3u;
+    out.worldPos = worldPos.xyz;
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4u {
+    if (isClipped(in.worldPos)) { discard; }
+    return vec4u(objectUniforms.pickId, in.triangle, bitcast<u32>(in.pos.z), 0u);
+  }
+  @fragment fn fragmentTriangle(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    return highlight.triangleColor;
+  }
+  @fragment fn fragmentCap(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    return clipPlanes.capColor;
+  }
+`;
 
-    // Set up resize observer
-    setupResizeObserver();
+// Triangle edges for the wireframe, shaded-with-edges and hidden-line display modes. Each corner
+// gets a unit barycentric coordinate; dividing by its screen-space derivative gives the distance in
+// pixels to the opposite edge. fragmentEdges keeps only the edges, fragmentHiddenLine fills the
+// faces with the background so they hide what is behind them.
+const EDGE_SHADER = `
+  struct Camera { projection: mat4x4f, view: mat4x4f }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  ${CLIP_WGSL}
+  ${MESH_STORAGE_WGSL}
+  struct EdgeUniforms { color: vec4f, fillColor: vec4f, width: f32 }
+  @group(2) @binding(0) var<uniform> edges: EdgeUniforms;
 
-    // Initialize WebGPU
-    try {
-        await initWebGPU();
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) barycentric: vec3f,
+    @location(1) worldPos: vec3f
+  }
+  @vertex fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = objectUniforms.model * vec4f(fetchPosition(vertexIndex), 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.barycentric = vec3f(0.0);
+    out.barycentric[vertexIndex % 3u] = 1.0;
+    out.worldPos = worldPos.xyz;
+    return out;
+  }
+  fn edgeCoverage(barycentric: vec3f) -> f32 {
+    let pixels = barycentric / max(fwidth(barycentric), vec3f(1e-6));
+    let distance = min(pixels.x, min(pixels.y, pixels.z));
+    // Half the width lies in this triangle, the other half in its neighbor
+    let halfWidth = 0.5 * edges.width;
+    return 1.0 - smoothstep(halfWidth - 0.5, halfWidth + 0.5, distance);
+  }
+  @fragment fn fragmentEdges(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    let coverage = edgeCoverage(in.barycentric);
+    if (coverage <= 0.0) { discard; }
+    return vec4f(edges.color.rgb, edges.color.a * coverage);
+  }
+  @fragment fn fragmentHiddenLine(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    return mix(edges.fillColor, edges.color, edges.color.a * edgeCoverage(in.barycentric));
+  }
+`;
 
-        // Initialize render targets BEFORE starting render loop
-        if (canvas.width > 0 && canvas.height > 0) {
-            allocateRenderTargets(canvas.width, canvas.height);
-        }
+// Screen-space silhouette outline. The ID texture holds only the selected and hovered objects;
+// a pixel outside an object that has one of them within outlineWidth pixels gets the outline color.
+const OUTLINE_SHADER = `
+  ${HIGHLIGHT_WGSL}
+  @group(0) @binding(0) var<uniform> highlight: Highlight;
+  @group(0) @binding(1) var idTexture: texture_2d<u32>;
+
+  @vertex fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> @builtin(position) vec4f {
+    // Single triangle covering the whole screen
+    let uv = vec2f(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    return vec4f(uv * 2.0 - 1.0, 0.0, 1.0);
+  }
 
-        startRenderLoop();
-        startFrameTimer();
-        dotNetRef.invokeMethodAsync('OnWebGpuReady');
-    } catch (error) {
-        dotNetRef.invokeMethodAsync('OnWebGpuError', error.message);
-        throw error;
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let size = vec2i(textureDimensions(idTexture));
+    let center = vec2i(pos.xy);
+    let centerId = textureLoad(idTexture, center, 0).r;
+    let radius = i32(ceil(highlight.outlineWidth));
+    var nearSelected = false;
+    var nearHovered = false;
+    for (var dy = -radius; dy <= radius; dy++) {
+      for (var dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy > radius * radius) { continue; }
+        let id = textureLoad(idTexture, clamp(center + vec2i(dx, dy), vec2i(0), size - 1), 0).r;
+        if (id == 0u || id == centerId) { continue; }
+        nearSelected = nearSelected || id == highlight.selectedId;
+        nearHovered = nearHovered || id == highlight.hoveredId;
+      }
     }
-}
-
-async function initWebGPU() {
-    const adapter = await navigator.gpu.requestAdapter();
-    const requiredFeatures = [];
-    if (adapter.features.has('texture-compression-bc')) requiredFeatures.push('texture-compression-bc');
-    if (adapter.features.has('texture-compression-etc2')) requiredFeatures.push('texture-compression-etc2');
-
-    device = await adapter.requestDevice({ requiredFeatures });
-    context.configure({
-        device,
-        format: colorFormat,
-        alphaMode: 'opaque',
-        viewFormats: [`${colorFormat}-srgb`]
-    });
-
-    // Create frame uniform buffer
-    frameUniformBuffer = device.createBuffer({
-        size: FRAME_BUFFER_SIZE,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-    });
+    if (nearSelected) { return highlight.selectionColor; }
+    if (nearHovered) { return highlight.hoverColor; }
+    discard;
+    return vec4f(0.0);
+  }
+`;
 
-    frameBindGroupLayout = device.createBindGroupLayout({
-        label: 'Frame BGL',
-        entries: [{
-            binding: 0,
-            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
-            buffer: {}
-        }]
-    });
+// Blends the weighted average of the accumulated transparent colors over the scene (see OIT_WGSL)
+const OIT_COMPOSITE_SHADER = `
+  @group(0) @binding(0) var accumTexture: texture_2d<f32>;
+  @group(0) @binding(1) var revealTexture: texture_2d<f32>;
 
-    frameBindGroup = device.createBindGroup({
-        label: 'Frame BG',
-        layout: frameBindGroupLayout,
-        entries: [{ binding: 0, resource: { buffer: frameUniformBuffer } }]
-    });
+  @vertex fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> @builtin(position) vec4f {
+    // Single triangle covering the whole screen
+    let uv = vec2f(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    return vec4f(uv * 2.0 - 1.0, 0.0, 1.0);
+  }
 
-    // Create lighting uniform buffer and bind group
-    lightUniformBuffer = device.createBuffer({
-        size: lightUniformArray.byteLength,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let pixel = vec2i(pos.xy);
+    let reveal = textureLoad(revealTexture, pixel, 0).r;
+    if (reveal >= 1.0) { discard; } // Nothing transparent covers this pixel
+    let accum = textureLoad(accumTexture, pixel, 0);
+    return vec4f(accum.rgb / max(accum.a, 1e-5), 1.0 - reveal);
+  }
+`;
 
-    lightBindGroupLayout = device.createBindGroupLayout({
-        label: 'Light BGL',
-        entries: [{
-            binding: 0,
-            visibility: GPUShaderStage.FRAGMENT,
-            buffer: {}
-        }]
-    });
+// Ambient occlusion from the opaque pass's depth and view space normals (see AO_NORMAL_WGSL): the share
+// of samples in the hemisphere of radius ao.radius over each pixel's surface that lie behind the depth
+// buffer. The samples turn from pixel to pixel over 4x4 tiles, which AO_COMPOSITE_SHADER averages.
+// g is 1 where there is a surface to occlude.
+// The depth texture is multisampled when the scene is; averaging its samples gives the depth at the
+// pixel's center, where the position is reconstructed.
+function ssaoShader(multisampled) {
+    const sceneDepth = multisampled
+        ? `
+  @group(1) @binding(1) var depthTexture: texture_depth_multisampled_2d;
+  fn sceneDepth(pixel: vec2i) -> f32 {
+    var depth = 0.0;
+    let samples = textureNumSamples(depthTexture);
+    for (var i = 0u; i < samples; i++) { depth += textureLoad(depthTexture, pixel, i); }
+    return depth / f32(samples);
+  }`
+        : `
+  @group(1) @binding(1) var depthTexture: texture_depth_2d;
+  fn sceneDepth(pixel: vec2i) -> f32 { return textureLoad(depthTexture, pixel, 0); }`;
+    return `
+  struct Camera { projection: mat4x4f, view: mat4x4f }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  struct AmbientOcclusion { radius: f32, intensity: f32 }
+  @group(1) @binding(0) var<uniform> ao: AmbientOcclusion;
+  ${sceneDepth}
+  @group(1) @binding(2) var normalTexture: texture_2d<f32>;
+  const SAMPLES = 16u;
+
+  @vertex fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> @builtin(position) vec4f {
+    // Single triangle covering the whole screen
+    let uv = vec2f(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    return vec4f(uv * 2.0 - 1.0, 0.0, 1.0);
+  }
 
-    lightBindGroup = device.createBindGroup({
-        label: 'Light BG',
-        layout: lightBindGroupLayout,
-        entries: [{ binding: 0, resource: { buffer: lightUniformBuffer } }]
-    });
+  // Solves the projection's z and w rows for the view space z, which both camera types allow
+  fn viewZ(depth: f32) -> f32 {
+    let p = camera.projection;
+    return (p[3][2] - depth * p[3][3]) / (depth * p[2][3] - p[2][2]);
+  }
 
+  fn viewPosition(pixel: vec2f, depth: f32) -> vec3f {
+    let p = camera.projection;
+    let ndc = pixel / vec2f(textureDimensions(normalTexture)) * vec2f(2.0, -2.0) + vec2f(-1.0, 1.0);
+    let z = viewZ(depth);
+    let w = z * p[2][3] + p[3][3];
+    return vec3f((ndc * w - p[2].xy * z - p[3].xy) / vec2f(p[0][0], p[1][1]), z);
+  }
 
-    await initGrid();
-    await initCoordinateAxes();
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let pixel = vec2i(pos.xy);
+    let encodedNormal = textureLoad(normalTexture, pixel, 0).xyz;
+    let depth = sceneDepth(pixel);
+    // The background, points, edges and caps keep no normal and are not occluded
+    if (dot(encodedNormal, encodedNormal) < 1e-4 || depth >= 1.0) { return vec4f(1.0, 0.0, 0.0, 0.0); }
+    let normal = normalize(encodedNormal);
+    let position = viewPosition(pos.xy, depth);
+    let axis = select(vec3f(1.0, 0.0, 0.0), vec3f(0.0, 1.0, 0.0), abs(normal.x) > 0.9);
+    let tangent = normalize(cross(normal, axis));
+    let bitangent = cross(normal, tangent);
+    let tile = vec2u(pixel) % vec2u(4u);
+    let turn = f32(tile.y * 4u + tile.x) * 0.3926991; // 2 pi / 16
+    let size = vec2f(textureDimensions(normalTexture));
+
+    var occlusion = 0.0;
+    for (var i = 0u; i < SAMPLES; i++) {
+      // A spiral over the hemisphere, cosine weighted, at distances crowding toward the surface
+      let t = (f32(i) + 0.5) / f32(SAMPLES);
+      let angle = f32(i) * 2.3999632 + turn;
+      let cosTheta = sqrt(1.0 - t);
+      let sinTheta = sqrt(t);
+      let direction = (tangent * cos(angle) + bitangent * sin(angle)) * sinTheta + normal * cosTheta;
+      let distance = fract(f32(i) * 0.618034 + 0.5);
+      let samplePos = position + direction * ao.radius * mix(0.1, 1.0, distance * distance);
+
+      let clip = camera.projection * vec4f(samplePos, 1.0);
+      let uv = clip.xy / clip.w * vec2f(0.5, -0.5) + 0.5;
+      if (any(uv < vec2f(0.0)) || any(uv >= vec2f(1.0))) { continue; }
+      let sceneZ = viewZ(sceneDepth(vec2i(uv * size)));
+      // Occluded when the scene is in front of the sample, fading out for surfaces far in front
+      let inRange = smoothstep(0.0, 1.0, ao.radius / abs(position.z - sceneZ));
+      occlusion += select(0.0, inRange, sceneZ >= samplePos.z + 0.02 * ao.radius);
+    }
+    return vec4f(saturate(1.0 - ao.intensity * occlusion / f32(SAMPLES)), 1.0, 0.0, 0.0);
+  }
+`;
 }
 
-async function initGrid() {
-    // Create grid pipeline
-    const bindGroupLayout = device.createBindGroupLayout({
-        label: 'Grid BGL',
-        entries: [{ binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }]
-    });
+// Darkens the opaque scene by its ambient occlusion, averaged over the 4x4 tile around each pixel
+// (see ssaoShader) and only across the pixels that have a surface
+const AO_COMPOSITE_SHADER = `
+  @group(0) @binding(0) var occlusionTexture: texture_2d<f32>;
 
-    const module = device.createShaderModule({ label: 'Grid Shader', code: GRID_SHADER });
-
-    gridPipeline = await device.createRenderPipelineAsync({
-        label: 'Grid Pipeline',
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, bindGroupLayout] }),
-        vertex: {
-            module,
-            entryPoint: 'vertexMain',
-            buffers: [{
-                arrayStride: 20,
-                attributes: [
-                    { shaderLocation: 0, offset: 0, format: 'float32x3' },
-                    { shaderLocation: 1, offset: 12, format: 'float32x2' }
-                ]
-            }]
-        },
-        fragment: {
-            module,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: !gridIsTransparent,
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount }
+  @vertex fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> @builtin(position) vec4f {
+    // Single triangle covering the whole screen
+    let uv = vec2f(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    return vec4f(uv * 2.0 - 1.0, 0.0, 1.0);
+  }
+
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let pixel = vec2i(pos.xy);
+    let last = vec2i(textureDimensions(occlusionTexture)) - 1;
+    if (textureLoad(occlusionTexture, pixel, 0).g == 0.0) { discard; }
+    var sum = vec2f(0.0);
+    for (var y = -2; y < 2; y++) {
+      for (var x = -2; x < 2; x++) {
+        let occlusion = textureLoad(occlusionTexture, clamp(pixel + vec2i(x, y), vec2i(0), last), 0).rg;
+        sum += vec2f(occlusion.r * occlusion.g, occlusion.g);
+      }
+    }
+    return vec4f(vec3f(sum.x / sum.y), 1.0);
+  }
+`;
+
+// Depth of the shadow casters as seen from the light. Group 0 holds the shadow uniforms in place of
+// the camera, next to the clip planes, so clipped parts cast no shadow.
+const SHADOW_SHADER = `
+  ${SHADOW_STRUCT_WGSL}
+  @group(0) @binding(0) var<uniform> shadow: Shadow;
+  ${CLIP_WGSL}
+  ${OBJECT_WGSL}
+  @group(1) @binding(0) var<uniform> objectUniforms: ObjectUniforms;
+
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f }
+
+  fn lightSpace(worldPos: vec4f) -> VertexOut {
+    var out: VertexOut;
+    out.pos = shadow.lightViewProjection * worldPos;
+    out.worldPos = worldPos.xyz;
+    return out;
+  }
+
+  @vertex fn vertexMain(@location(0) pos: vec3f) -> VertexOut {
+    return lightSpace(objectUniforms.model * vec4f(pos, 1.0));
+  }
+
+  struct InstanceIn {
+    @location(0) pos: vec3f,
+    @location(3) transform0: vec4f,
+    @location(4) transform1: vec4f,
+    @location(5) transform2: vec4f,
+    @location(6) transform3: vec4f
+  }
+  @vertex fn vertexInstanced(in: InstanceIn) -> VertexOut {
+    let model = objectUniforms.model * mat4x4f(in.transform0, in.transform1, in.transform2, in.transform3);
+    return lightSpace(model * vec4f(in.pos, 1.0));
+  }
+
+  @fragment fn fragmentMain(in: VertexOut) {
+    if (isClipped(in.worldPos)) { discard; }
+  }
+`;
+
+// ============================================================================
+// Shared Device (one GPUDevice for every BugViewer on the page)
+// ============================================================================
+
+let device = null;
+let devicePromise = null;
+// The viewers drawing with the shared device, which are told when it is lost
+const liveRenderers = new Set();
+
+function getDevice() {
+    if (!devicePromise) {
+        devicePromise = requestDevice().catch(error => {
+            devicePromise = null; // allow a later viewer to retry
+            throw error;
+        });
+    }
+    return devicePromise;
+}
+
+async function requestDevice() {
+    if (!navigator.gpu) throw new Error('WebGPU is not supported by this browser.');
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) throw new Error('No WebGPU adapter is available. The GPU may be blocked or WebGPU disabled in this browser.');
+    const requiredFeatures = [];
+    if (adapter.features.has('texture-compression-bc')) requiredFeatures.push('texture-compression-bc');
+    if (adapter.features.has('texture-compression-etc2')) requiredFeatures.push('texture-compression-etc2');
+
+    const newDevice = await adapter.requestDevice({ requiredFeatures });
+    newDevice.lost.then(info => onDeviceLost(newDevice, info));
+    device = newDevice;
+    return device;
+}
+
+// A lost device (after a GPU reset or driver update) takes every resource made with it, so the viewers
+// using it stop drawing and report the error, and the next viewer requests a new device
+function onDeviceLost(lostDevice, info) {
+    if (lostDevice !== device) return;
+    device = null;
+    devicePromise = null;
+    shaderModules.clear();
+    for (const renderer of liveRenderers) {
+        renderer.gpuReady = false;
+        // C# disposes this renderer and initializes a new one (on a new device) with the scene re-sent
+        renderer.dotNetRef?.invokeMethodAsync('OnWebGpuDeviceLost', info.message || info.reason);
+    }
+    liveRenderers.clear();
+}
+
+// ============================================================================
+// Renderer State (one per canvas; returned to C# as the handle for every call)
+// ============================================================================
+
+function createRenderer(dotnet, canvasEl) {
+    // Matrices
+    const frameArrayBuffer = new ArrayBuffer(FRAME_BUFFER_SIZE);
+    // Lighting: ambient (f32) + specular power (f32) + flat shading (u32) + light count (u32) + up (vec3f)
+    // + padding + the lights
+    const lightUniformArray = new ArrayBuffer(8 * Float32Array.BYTES_PER_ELEMENT + MAX_LIGHTS * LIGHT_SIZE);
+    const gridUniformArray = new ArrayBuffer(16 * Float32Array.BYTES_PER_ELEMENT);
+    // Highlight: 3 colors (vec4f) + outline width (f32) + selected/hovered ids (u32) + padding
+    const highlightArray = new ArrayBuffer(16 * Float32Array.BYTES_PER_ELEMENT);
+    const clipArray = new ArrayBuffer(CLIP_BUFFER_SIZE);
+    // Edges: color (vec4f) + fill color (vec4f) + width in pixels (f32) + padding
+    const edgeArray = new ArrayBuffer(12 * Float32Array.BYTES_PER_ELEMENT);
+    const shadowArray = new ArrayBuffer(SHADOW_BUFFER_SIZE);
+    const aoArray = new ArrayBuffer(AO_BUFFER_SIZE);
+
+    return {
+        canvas: canvasEl,
+        context: canvasEl.getContext('webgpu'),
+        dotNetRef: dotnet,
+        gpuReady: false,
+        disposed: false,
+
+        // Frame timing (see startFrameTimer)
+        frameMsTotal: 0,
+        frameCount: 0,
+        frameIntervalId: 0,
+        animationFrameId: 0, // The requested frame, 0 when none is pending (see requestRender)
+        continuousRendering: false,
+        resizeObserver: null,
+
+        frameArrayBuffer,
+        projectionMatrix: new Float32Array(frameArrayBuffer, 0, 16),
+        viewMatrix: new Float32Array(frameArrayBuffer, 16 * Float32Array.BYTES_PER_ELEMENT, 16),
+        viewportSize: new Float32Array(frameArrayBuffer, 32 * Float32Array.BYTES_PER_ELEMENT, 2),
+
+        // GPU resources
+        frameUniformBuffer: null,
+        frameBindGroupLayout: null,
+        frameBindGroup: null,
+
+        // Render targets
+        msaaColorTexture: null,
+        depthTexture: null,
+        colorAttachment: null,
+        renderPassDescriptor: null,
+        oitTargets: null, // see screenOitTargets
+        aoTargets: null, // see screenAoTargets
+
+        // Lighting resources
+        lightUniformArray,
+        lightAmbient: new Float32Array(lightUniformArray, 0, 1),
+        lightSpecularPower: new Float32Array(lightUniformArray, 4, 1),
+        lightFlatShading: new Uint32Array(lightUniformArray, 8, 1),
+        lightCount: new Uint32Array(lightUniformArray, 12, 1),
+        lightUp: new Float32Array(lightUniformArray, 16, 3), // for the sky light of MESH_MATERIAL_WGSL
+        lightSources: new Float32Array(lightUniformArray, 32, MAX_LIGHTS * LIGHT_SIZE / 4),
+        lightSourceFlags: new Uint32Array(lightUniformArray, 32, MAX_LIGHTS * LIGHT_SIZE / 4), // kind and shadowed
+        // { type: 'directional' | 'point' | 'headlight', direction, position, color } (see writeLights)
+        lights: [{ type: 'directional', direction: [0, -1, 0] }],
+        shadowDirection: null, // the way the shadowed light travels, null when every light is a point light
+        lightUniformBuffer: null,
+        lightBindGroupLayout: null,
+        lightBindGroup: null,
+        meshBindGroupLayout: null, // light + the mesh's color and material + its texture and sampler + colormap
+        // Stands in for the normals and UVs of meshes that have none (read with an arrayStride of 0)
+        zeroNormalBuffer: null,
+        // Stand in for the texture of untextured meshes, and the colormap of meshes without scalars
+        whiteTexture: null,
+        meshSampler: null,
+
+        // Grid resources
+        gridBindGroupLayout: null,
+        gridVertexBuffer: null,
+        gridIndexBuffer: null,
+        gridUniformBuffer: null,
+        gridBindGroup: null,
+        gridUniformArray,
+        gridLineColor: new Float32Array(gridUniformArray, 0, 4),
+        gridBaseColor: new Float32Array(gridUniformArray, 16, 4),
+        gridLineWidth: new Float32Array(gridUniformArray, 32, 2),
+        gridSpacingUniform: new Float32Array(gridUniformArray, 40, 1),
+
+        // Grid configuration (updated from C#)
+        gridSize: 20.0,
+        gridSpacing: 1.0,
+        zIsUp: false,
+        gridIsTransparent: false,
+
+        // Coordinate axes
+        coordinateThickness: 1.0,
+        coordinateAxes: null,
+        axisExtent: 20.0,
+
+        // Render settings (updated from C#)
+        colorFormat: 'bgra8unorm',
+        depthFormat: 'depth24plus',
+        sampleCount: 4,
+        clearColor: { r: 0, g: 0, b: 0, a: 1.0 },
+        transparency: 'sorted', // or 'weighted' (see OIT_WGSL)
+        oitBindGroupLayout: null,
+        pipelineCache: new Map(), // see requestPipeline
+
+        // Picking (ID pass, rendered on demand by pickAt)
+        pickTexture: null,
+        pickDepthTexture: null,
+        pickables: new Map(), // pickId -> { type, object }
+        nextPickId: 1,
+
+        // Selection & hover highlighting
+        highlightArray,
+        selectionColor: new Float32Array(highlightArray, 0, 4),
+        hoverColor: new Float32Array(highlightArray, 16, 4),
+        selectedTriangleColor: new Float32Array(highlightArray, 32, 4),
+        outlineWidth: new Float32Array(highlightArray, 48, 1),
+        highlightIds: new Uint32Array(highlightArray, 52, 2), // selected, hovered pick ids
+        highlightUniformBuffer: null,
+        highlightBindGroupLayout: null,
+        highlightBindGroup: null,
+        selected: null, // { type, object }
+        selectedTriangle: -1,
+        hovered: null, // { type, object }
+        highlightOnHover: true,
+        hoverPosition: null,
+        hoverPickPending: false,
+        removeHoverListeners: null,
+
+        // Clip planes (see CLIP_WGSL)
+        clipArray,
+        clipPlanes: new Float32Array(clipArray, 0, 4 * MAX_CLIP_PLANES),
+        clipCapColor: new Float32Array(clipArray, 64, 4),
+        clipPlaneCount: new Uint32Array(clipArray, 80, 1),
+        clipUniformBuffer: null,
+        showClipCaps: false,
+
+        // Shadows (see SHADOW_WGSL)
+        shadows: false,
+        shadowArray,
+        shadowMatrix: new Float32Array(shadowArray, 0, 16),
+        shadowBias: new Float32Array(shadowArray, 64, 1),
+        shadowBlur: new Float32Array(shadowArray, 68, 1),
+        shadowNormalOffset: new Float32Array(shadowArray, 72, 1),
+        shadowAmbient: new Float32Array(shadowArray, 76, 1),
+        shadowEnabled: new Uint32Array(shadowArray, 80, 1),
+        shadowUniformBuffer: null,
+        shadowMapTexture: null, // 1x1 while shadows are off
+        shadowSampler: null,
+        shadowBindGroupLayout: null,
+        shadowBindGroup: null, // shadow uniforms + clip planes, for drawing the shadow map
+
+        // Screen-space ambient occlusion (see ssaoShader)
+        ambientOcclusion: false,
+        aoArray,
+        aoRadius: new Float32Array(aoArray, 0, 1),
+        aoIntensity: new Float32Array(aoArray, 4, 1),
+        aoUniformBuffer: null,
+        aoBindGroupLayouts: null, // { single, multisampled }: by the depth texture's sample count
+        aoCompositeBindGroupLayout: null,
+
+        // Mesh display modes (see EDGE_SHADER); a mesh's own displayMode overrides this one
+        displayMode: 'shaded',
+        edgeArray,
+        edgeColor: new Float32Array(edgeArray, 0, 4),
+        edgeFillColor: new Float32Array(edgeArray, 16, 4),
+        edgeWidth: new Float32Array(edgeArray, 32, 1),
+        edgeUniformBuffer: null,
+        edgeBindGroupLayout: null,
+        edgeBindGroup: null,
+
+        // Scene objects (maintained in sync with C#)
+        // Scene objects by id, in the order they were added
+        meshes: new Map(),
+        lines: new Map(),
+        textBillboards: new Map(),
+        pointClouds: new Map(),
+        instancedMeshes: new Map()
+    };
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+export async function initGPU_Canvas(dotnet, canvasEl, options, initialViewMatrix) {
+    const renderer = createRenderer(dotnet, canvasEl);
+
+    renderer.colorFormat = navigator.gpu?.getPreferredCanvasFormat?.() || 'bgra8unorm';
+
+    // Set initial view matrix from parameter
+    renderer.viewMatrix.set(initialViewMatrix);
+
+    // Apply options
+    await updateDisplayOptions(renderer, options);
+
+    // Set up resize observer
+    setupResizeObserver(renderer);
+
+    // Initialize WebGPU
+    try {
+        await initWebGPU(renderer);
+        liveRenderers.add(renderer);
+
+        // Initialize render targets BEFORE starting render loop
+        if (renderer.canvas.width > 0 && renderer.canvas.height > 0) {
+            allocateRenderTargets(renderer, renderer.canvas.width, renderer.canvas.height);
+        }
+
+        setupHoverHighlight(renderer);
+        requestRender(renderer);
+        startFrameTimer(renderer);
+    } catch (error) {
+        renderer.dotNetRef.invokeMethodAsync('OnWebGpuError', error.message);
+        // C# never gets this renderer to dispose, so release the observer and what was created so far
+        disposeWebGPU_Canvas(renderer);
+        throw error;
+    }
+    return renderer;
+}
+
+function configureContext(renderer) {
+    renderer.context.configure({
+        device,
+        format: renderer.colorFormat,
+        alphaMode: 'opaque',
+        viewFormats: [`${renderer.colorFormat}-srgb`]
+    });
+}
+
+async function initWebGPU(renderer) {
+    await getDevice();
+    configureContext(renderer);
+
+    // Create frame uniform buffer
+    renderer.frameUniformBuffer = device.createBuffer({
+        size: FRAME_BUFFER_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+
+    renderer.clipUniformBuffer = device.createBuffer({
+        size: CLIP_BUFFER_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    device.queue.writeBuffer(renderer.clipUniformBuffer, 0, renderer.clipArray);
+
+    renderer.shadowUniformBuffer = device.createBuffer({
+        size: SHADOW_BUFFER_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    renderer.shadowSampler = device.createSampler({ compare: 'less-equal', magFilter: 'linear', minFilter: 'linear' });
+
+    renderer.frameBindGroupLayout = device.createBindGroupLayout({
+        label: 'Frame BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: {} }, // Camera
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} }, // Clip planes
+            { binding: 2, visibility: GPUShaderStage.FRAGMENT, buffer: {} }, // Shadow
+            { binding: 3, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'depth' } }, // Shadow map
+            { binding: 4, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'comparison' } }
+        ]
+    });
+
+    renderer.shadowBindGroupLayout = device.createBindGroupLayout({
+        label: 'Shadow BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: {} }, // Shadow
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} } // Clip planes
+        ]
+    });
+
+    renderer.shadowBindGroup = device.createBindGroup({
+        label: 'Shadow BG',
+        layout: renderer.shadowBindGroupLayout,
+        entries: [
+            { binding: 0, resource: { buffer: renderer.shadowUniformBuffer } },
+            { binding: 1, resource: { buffer: renderer.clipUniformBuffer } }
+        ]
+    });
+
+    allocateShadowMap(renderer); // also creates the frame bind group
+
+    // Create lighting uniform buffer and bind group
+    renderer.lightUniformBuffer = device.createBuffer({
+        size: renderer.lightUniformArray.byteLength,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(renderer.lightUniformBuffer, 0, renderer.lightUniformArray);
+    renderer.zeroNormalBuffer = createBuffer(new Float32Array(3), GPUBufferUsage.VERTEX);
+    renderer.whiteTexture = device.createTexture({
+        size: [1, 1],
+        format: 'rgba8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+    });
+    device.queue.writeTexture({ texture: renderer.whiteTexture }, new Uint8Array([255, 255, 255, 255]), { bytesPerRow: 4 }, [1, 1]);
+    renderer.meshSampler = device.createSampler();
+
+    renderer.lightBindGroupLayout = device.createBindGroupLayout({
+        label: 'Light BGL',
+        entries: [{
+            binding: 0,
+            visibility: GPUShaderStage.FRAGMENT,
+            buffer: {}
+        }]
+    });
+
+    renderer.lightBindGroup = device.createBindGroup({
+        label: 'Light BG',
+        layout: renderer.lightBindGroupLayout,
+        entries: [{ binding: 0, resource: { buffer: renderer.lightUniformBuffer } }]
+    });
+
+    renderer.meshBindGroupLayout = device.createBindGroupLayout({
+        label: 'Mesh BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }, // Light uniforms
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} }, // Mesh color and material
+            { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+            { binding: 3, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+            { binding: 4, visibility: GPUShaderStage.FRAGMENT, texture: {} } // Colormap
+        ]
+    });
+
+
+    // Shared layouts for billboard textures, per-object uniforms and the mesh ID pass
+    renderer.billboardBindGroupLayout = device.createBindGroupLayout({
+        label: 'Billboard BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+            { binding: 2, visibility: GPUShaderStage.VERTEX, buffer: {} } // Label size and shift
+        ]
+    });
+
+    renderer.objectBindGroupLayout = device.createBindGroupLayout({
+        label: 'Object BGL',
+        entries: [{ binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: {} }]
+    });
+
+    renderer.meshPickBindGroupLayout = device.createBindGroupLayout({
+        label: 'Mesh Pick BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } },
+            { binding: 2, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }
+        ]
+    });
+
+    renderer.highlightUniformBuffer = device.createBuffer({
+        size: renderer.highlightArray.byteLength,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+
+    renderer.highlightBindGroupLayout = device.createBindGroupLayout({
+        label: 'Highlight BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'uint' } }
+        ]
+    });
+
+    renderer.edgeUniformBuffer = device.createBuffer({
+        size: renderer.edgeArray.byteLength,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    device.queue.writeBuffer(renderer.edgeUniformBuffer, 0, renderer.edgeArray);
+
+    renderer.edgeBindGroupLayout = device.createBindGroupLayout({
+        label: 'Edge BGL',
+        entries: [{ binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }]
+    });
+
+    renderer.edgeBindGroup = device.createBindGroup({
+        label: 'Edge BG',
+        layout: renderer.edgeBindGroupLayout,
+        entries: [{ binding: 0, resource: { buffer: renderer.edgeUniformBuffer } }]
+    });
+
+    renderer.oitBindGroupLayout = device.createBindGroupLayout({
+        label: 'OIT BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: {} }, // Accum
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {} }  // Reveal
+        ]
+    });
+
+    renderer.aoUniformBuffer = device.createBuffer({
+        size: AO_BUFFER_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
     });
+    device.queue.writeBuffer(renderer.aoUniformBuffer, 0, renderer.aoArray);
+
+    const aoBindGroupLayout = (multisampled) => device.createBindGroupLayout({
+        label: 'Ambient Occlusion BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'depth', multisampled } },
+            { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: {} } // Normals
+        ]
+    });
+    renderer.aoBindGroupLayouts = { single: aoBindGroupLayout(false), multisampled: aoBindGroupLayout(true) };
+
+    renderer.aoCompositeBindGroupLayout = device.createBindGroupLayout({
+        label: 'Ambient Occlusion Composite BGL',
+        entries: [{ binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: {} }]
+    });
+
+    initGrid(renderer);
+    initCoordinateAxes(renderer);
+    await preparePipelines(renderer, renderer.sampleCount);
+    renderer.gpuReady = true;
+}
+
+// The frame bind group holds the shadow map, so it is recreated with it
+function allocateShadowMap(renderer) {
+    const size = renderer.shadows ? SHADOW_MAP_SIZE : 1;
+    renderer.shadowMapTexture?.destroy();
+    renderer.shadowMapTexture = device.createTexture({
+        size: { width: size, height: size },
+        format: 'depth32float',
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+    });
+
+    renderer.frameBindGroup = device.createBindGroup({
+        label: 'Frame BG',
+        layout: renderer.frameBindGroupLayout,
+        entries: [
+            { binding: 0, resource: { buffer: renderer.frameUniformBuffer } },
+            { binding: 1, resource: { buffer: renderer.clipUniformBuffer } },
+            { binding: 2, resource: { buffer: renderer.shadowUniformBuffer } },
+            { binding: 3, resource: renderer.shadowMapTexture.createView() },
+            { binding: 4, resource: renderer.shadowSampler }
+        ]
+    });
+}
+
+function initGrid(renderer) {
+    if (!renderer.gridBindGroupLayout) {
+        renderer.gridBindGroupLayout = device.createBindGroupLayout({
+            label: 'Grid BGL',
+            entries: [{ binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }]
+        });
+    }
 
     // Create grid uniform buffer
-    if (!gridUniformBuffer) {
-        gridUniformBuffer = device.createBuffer({
-            size: gridUniformArray.byteLength,
+    if (!renderer.gridUniformBuffer) {
+        renderer.gridUniformBuffer = device.createBuffer({
+            size: renderer.gridUniformArray.byteLength,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
     }
 
 
-    if (!gridBindGroup) {
-        gridBindGroup = device.createBindGroup({
+    if (!renderer.gridBindGroup) {
+        renderer.gridBindGroup = device.createBindGroup({
             label: 'Grid BG',
-            layout: bindGroupLayout,
-            entries: [{ binding: 0, resource: { buffer: gridUniformBuffer } }]
+            layout: renderer.gridBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: renderer.gridUniformBuffer } }]
         });
     }
 
 
-    createGridGeometry();
-    updateGridUniforms();
+    createGridGeometry(renderer);
+    updateGridUniforms(renderer);
 }
 
-async function initCoordinateAxes() {
+function initCoordinateAxes(renderer) {
 
-    const axisData = createAxisGeometry();
+    const axisData = createAxisGeometry(renderer);
     const posBuffer = createBuffer(axisData.vertices, GPUBufferUsage.VERTEX);
-    const colorBuffer = createBuffer(axisData.colors, GPUBufferUsage.VERTEX);
+    const colorBuffer = createBuffer(axisData.colors, GPUBufferUsage.VERTEX, Uint8Array);
     const thicknessBuffer = createBuffer(axisData.thickness, GPUBufferUsage.VERTEX);
     const uvBuffer = createBuffer(axisData.uvs, GPUBufferUsage.VERTEX);
     const endPosBuffer = createBuffer(axisData.endPositions, GPUBufferUsage.VERTEX);
     const fadeBuffer = createBuffer(axisData.fades, GPUBufferUsage.VERTEX);
-    const indexBuffer = createBuffer(axisData.indices, GPUBufferUsage.INDEX, Uint16Array);
-
-    const shaderModule = device.createShaderModule({ label: 'Coordinate Axes Shader', code: BILLBOARD_LINE_SHADER });
-
-    const vertexBufferLayout = [
-        { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 16, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32' }] },
-        { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] },
-        { arrayStride: 12, attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 5, offset: 0, format: 'float32' }] }
-    ];
-
-    const pipeline = await device.createRenderPipelineAsync({
-        label: 'Coordinate Axes Pipeline',
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout] }),
-        vertex: { module: shaderModule, entryPoint: 'vertexMain', buffers: vertexBufferLayout },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: false, // Axes are transparent and should not write to depth
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount },
-        primitive: { topology: 'triangle-list', cullMode: 'none' }
-    });
+    const { buffer: indexBuffer, format: indexFormat } = createIndexBuffer(axisData.indices);
 
-    coordinateAxes = {
+    renderer.coordinateAxes = {
         posBuffer,
         colorBuffer,
         thicknessBuffer,
@@ -489,12 +1599,13 @@ async function initCoordinateAxes() {
         endPosBuffer,
         fadeBuffer,
         indexBuffer,
-        indexCount: axisData.indices.length,
-        pipeline
+        indexFormat,
+        indexCount: axisData.indices.length
     };
+    createObjectUniforms(renderer, renderer.coordinateAxes);
 }
 
-function createAxisGeometry() {
+function createAxisGeometry(renderer) {
     const vertices = [];
     const colors = [];
     const thickness = [];
@@ -503,7 +1614,8 @@ function createAxisGeometry() {
     const fades = [];
     const indices = [];
 
-    const lineThickness = coordinateThickness;
+    const lineThickness = renderer.coordinateThickness;
+    const axisExtent = renderer.axisExtent;
     const axes = [
         { start: [0, 0, 0], end: [axisExtent, 0, 0], color: [1, 0, 0, 1], fade: 0 },
         { start: [0, 0, 0], end: [-axisExtent, 0, 0], color: [0.5, 0, 0, 1], fade: 1 },
@@ -532,7 +1644,7 @@ function createAxisGeometry() {
 
     return {
         vertices: new Float32Array(vertices),
-        colors: new Float32Array(colors),
+        colors: colorArray(colors),
         thickness: new Float32Array(thickness),
         uvs: new Float32Array(uvs),
         endPositions: new Float32Array(endPositions),
@@ -541,11 +1653,12 @@ function createAxisGeometry() {
     };
 }
 
-function createGridGeometry() {
+function createGridGeometry(renderer) {
     // Destroy existing buffers if they exist
-    if (gridVertexBuffer) gridVertexBuffer.destroy();
-    if (gridIndexBuffer) gridIndexBuffer.destroy();
+    if (renderer.gridVertexBuffer) renderer.gridVertexBuffer.destroy();
+    if (renderer.gridIndexBuffer) renderer.gridIndexBuffer.destroy();
 
+    const { gridSize, zIsUp } = renderer;
     var yNeg = zIsUp ? -gridSize : -0.01;
     var zNeg = zIsUp ? -0.01 : -gridSize;
     var yPos = zIsUp ? gridSize : -0.01;
@@ -558,56 +1671,91 @@ function createGridGeometry() {
         gridSize, yPos, zPos, 100, 100,
     ]);
 
-    gridVertexBuffer = device.createBuffer({
+    renderer.gridVertexBuffer = device.createBuffer({
         size: vertexArray.byteLength,
         usage: GPUBufferUsage.VERTEX,
         mappedAtCreation: true
     });
-    new Float32Array(gridVertexBuffer.getMappedRange()).set(vertexArray);
-    gridVertexBuffer.unmap();
+    new Float32Array(renderer.gridVertexBuffer.getMappedRange()).set(vertexArray);
+    renderer.gridVertexBuffer.unmap();
 
     const indexArray = new Uint32Array([0, 1, 2, 1, 2, 3]);
-    gridIndexBuffer = device.createBuffer({
+    renderer.gridIndexBuffer = device.createBuffer({
         size: indexArray.byteLength,
         usage: GPUBufferUsage.INDEX,
         mappedAtCreation: true
     });
-    new Uint32Array(gridIndexBuffer.getMappedRange()).set(indexArray);
-    gridIndexBuffer.unmap();
+    new Uint32Array(renderer.gridIndexBuffer.getMappedRange()).set(indexArray);
+    renderer.gridIndexBuffer.unmap();
 }
 
-function updateGridUniforms() {
-    const scale = 100 / gridSize;
-    const factor = 1 / (scale * gridSpacing);
-    gridSpacingUniform[0] = factor;
-    device.queue.writeBuffer(gridUniformBuffer, 0, gridUniformArray);
+function updateGridUniforms(renderer) {
+    const scale = 100 / renderer.gridSize;
+    const factor = 1 / (scale * renderer.gridSpacing);
+    renderer.gridSpacingUniform[0] = factor;
+    device.queue.writeBuffer(renderer.gridUniformBuffer, 0, renderer.gridUniformArray);
 }
 
 // ============================================================================
 // Rendering
 // ============================================================================
 
-function startRenderLoop() {
-    function frameCallback() {
-        if (!device) return;
-        requestAnimationFrame(frameCallback);
+// Draws a frame on the next animation frame, once however often it is called before then.
+// Frames are drawn on demand: everything that changes what is on screen calls this. In continuous
+// mode (for animations) every frame also requests the next one.
+function requestRender(renderer) {
+    if (!renderer.gpuReady || renderer.disposed || renderer.animationFrameId) return;
+    renderer.animationFrameId = requestAnimationFrame(() => {
+        renderer.animationFrameId = 0;
+        if (renderer.disposed || !renderer.gpuReady) return;
+        if (renderer.continuousRendering) requestRender(renderer);
         const frameStart = performance.now();
 
-        device.queue.writeBuffer(frameUniformBuffer, 0, frameArrayBuffer);
-        renderFrame();
-
-        frameMs[frameMsIndex++ % frameMs.length] = performance.now() - frameStart;
-    }
+        device.queue.writeBuffer(renderer.frameUniformBuffer, 0, renderer.frameArrayBuffer);
+        renderFrame(renderer);
 
-    requestAnimationFrame(frameCallback);
+        renderer.frameMsTotal += performance.now() - frameStart;
+        renderer.frameCount++;
+    });
 }
 
-function renderFrame() {
-    const renderPass = getRenderPassDescriptor();
+function renderFrame(renderer) {
+    const renderPass = getRenderPassDescriptor(renderer);
     if (!renderPass) return; // Skip frame if render targets aren't ready
 
     const encoder = device.createCommandEncoder();
-    const pass = encoder.beginRenderPass(renderPass);
+    encodeScene(renderer, encoder, renderPass, {
+        sampleCount: renderer.sampleCount,
+        highlight: true,
+        frustum: cameraFrustum(renderer.projectionMatrix, renderer.viewMatrix, renderer.viewportSize[1]),
+        oit: renderer.transparency === 'weighted' ? screenOitTargets(renderer) : null,
+        ao: renderer.ambientOcclusion ? screenAoTargets(renderer) : null
+    });
+    device.queue.submit([encoder.finish()]);
+}
+
+// Records the scene into renderPass. target.sampleCount picks the pipeline variants to draw with;
+// target.highlight draws the selection/hover highlight (on-screen frames only).
+// target.frustum (from cameraFrustum) culls the objects outside it and picks the meshes' levels of detail.
+// target.oit (from createOitTargets) draws transparent meshes, lines and the grid with weighted blended
+// transparency instead of sorting them.
+// target.ao (from createAoTargets) darkens the opaque objects by their ambient occlusion before the
+// transparent ones are drawn.
+// Objects whose pipeline is still being built are skipped until it is ready.
+function encodeScene(renderer, encoder, renderPass, target) {
+    const { viewMatrix, frameBindGroup, coordinateAxes } = renderer;
+    const { frustum, oit, ao } = target;
+    const pipelineFor = (key) => getPipeline(renderer, key, target.sampleCount);
+    // With ambient occlusion, the opaque pass also writes the normals (see AO_NORMAL_WGSL)
+    const opaquePipelineFor = ao ? (key) => pipelineFor(`${key}/ao`) : pipelineFor;
+    const inView = (object) => isInFrustum(frustum, object);
+    const highlighting = target.highlight && prepareHighlight(renderer);
+    encodeShadowMap(renderer, encoder);
+    // Ambient occlusion and weighted blended transparency split the frame in several passes, so the
+    // first keeps what it drew
+    const firstPass = oit || ao ? firstOfSplitPass(renderPass) : renderPass;
+    if (ao) firstPass.colorAttachments.push(ao.normalAttachment);
+    let pass = encoder.beginRenderPass(firstPass);
 
     // ========================================================================
     // 1. Opaque Pass: Draw all opaque objects first.
@@ -615,129 +1763,120 @@ function renderFrame() {
     // ========================================================================
 
     // Draw opaque meshes
+    const meshes = [...renderer.meshes.values()].filter(inView);
+    const instancedMeshes = [...renderer.instancedMeshes.values()].filter(inView);
+    const pointClouds = [...renderer.pointClouds.values()].filter(inView);
     for (const mesh of meshes.filter(m => !m.isTransparent)) {
-        if (!mesh.pipeline || !mesh.vertexBuffer || !mesh.indexBuffer) continue;
+        if (!mesh.vertexBuffer || !mesh.indexBuffer) continue;
+        drawMesh(renderer, pass, mesh, opaquePipelineFor, meshLod(frustum, mesh));
+    }
 
-        pass.setPipeline(mesh.pipeline);
-        pass.setBindGroup(0, frameBindGroup);
+    // Draw opaque instanced meshes
+    for (const mesh of instancedMeshes.filter(m => !m.isTransparent)) {
+        drawInstancedMesh(renderer, pass, mesh, opaquePipelineFor(instancedMeshPipelineKey(mesh)));
+    }
 
-        if (mesh.singleColor && mesh.bindGroup) {
-            pass.setBindGroup(1, mesh.bindGroup);
-        }
+    // Draw opaque point clouds
+    for (const cloud of pointClouds.filter(c => !c.isTransparent)) {
+        drawPointCloud(renderer, pass, cloud, opaquePipelineFor('points/opaque'));
+    }
 
-        pass.setVertexBuffer(0, mesh.vertexBuffer);
-        if (!mesh.singleColor && mesh.colorBuffer) {
-            pass.setVertexBuffer(1, mesh.colorBuffer);
-        }
-        if (!mesh.singleColor) {
-            pass.setBindGroup(1, lightBindGroup);
+    // Fill the inside of clipped opaque meshes: back faces a plane exposes get the cap color
+    const capPipeline = opaquePipelineFor('cap');
+    if (renderer.showClipCaps && renderer.clipPlaneCount[0] > 0 && capPipeline) {
+        pass.setPipeline(capPipeline);
+        pass.setBindGroup(0, frameBindGroup);
+        for (const mesh of meshes) {
+            if (mesh.isTransparent || !mesh.pickBindGroup || meshDisplayMode(renderer, mesh) === 'wireframe') continue;
+            pass.setBindGroup(1, mesh.pickBindGroup);
+            pass.draw(mesh.indexCount);
         }
-
-        pass.setIndexBuffer(mesh.indexBuffer, 'uint16');
-        pass.drawIndexed(mesh.indexCount);
     }
 
     // Draw grid if it's opaque
-    if (gridPipeline && !gridIsTransparent) {
-        pass.setPipeline(gridPipeline);
-        pass.setBindGroup(0, frameBindGroup);
-        pass.setBindGroup(1, gridBindGroup);
-        pass.setVertexBuffer(0, gridVertexBuffer);
-        pass.setIndexBuffer(gridIndexBuffer, 'uint32');
-        pass.drawIndexed(6);
-    }
+    if (!renderer.gridIsTransparent) drawGrid(renderer, pass, opaquePipelineFor(gridPipelineKey(renderer)));
 
     // ========================================================================
     // 2. Transparent Pass: Draw all transparent objects, sorted back-to-front.
     // Depth test is enabled, but depth write is disabled.
+    // With weighted blended transparency, the transparent meshes, lines and grid are instead
+    // accumulated in any order (oitDrawables); the rest is still sorted.
     // ========================================================================
 
     const transparentDrawables = [];
+    const oitDrawables = [];
+    const addTransparent = (depth, draw) => {
+        if (oit) oitDrawables.push(draw);
+        else transparentDrawables.push({ depth, draw });
+    };
 
     // Add transparent grid
-    if (gridPipeline && gridIsTransparent) {
-        transparentDrawables.push({
-            // The grid is at the origin, so its depth is determined by the view matrix's translation
-            depth: (viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14]),
-            draw: () => {
-                pass.setPipeline(gridPipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                pass.setBindGroup(1, gridBindGroup);
-                pass.setVertexBuffer(0, gridVertexBuffer);
-                pass.setIndexBuffer(gridIndexBuffer, 'uint32');
-                pass.drawIndexed(6);
-            }
-        });
+    if (renderer.gridIsTransparent) {
+        // The grid is at the origin, so its depth is determined by the view matrix's translation
+        const depth = viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14];
+        const gridPipeline = pipelineFor(gridPipelineKey(renderer, !!oit));
+        addTransparent(depth, (pass) => drawGrid(renderer, pass, gridPipeline));
     }
 
     // Add coordinate axes
-    if (coordinateThickness && coordinateAxes) {
-        transparentDrawables.push({
-            depth: (viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14]),
-            draw: () => {
-                pass.setPipeline(coordinateAxes.pipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                pass.setVertexBuffer(0, coordinateAxes.posBuffer);
-                pass.setVertexBuffer(1, coordinateAxes.colorBuffer);
-                pass.setVertexBuffer(2, coordinateAxes.thicknessBuffer);
-                pass.setVertexBuffer(3, coordinateAxes.uvBuffer);
-                pass.setVertexBuffer(4, coordinateAxes.endPosBuffer);
-                pass.setVertexBuffer(5, coordinateAxes.fadeBuffer);
-                pass.setIndexBuffer(coordinateAxes.indexBuffer, 'uint16');
-                pass.drawIndexed(coordinateAxes.indexCount);
-            }
-        });
+    const linePipeline = pipelineFor(linePipelineKey(!!oit));
+    if (renderer.coordinateThickness && coordinateAxes) {
+        const depth = viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14];
+        addTransparent(depth, (pass) => drawLine(renderer, pass, coordinateAxes, linePipeline));
     }
 
     // Add transparent meshes
+    // Sorted by the center of their bounds, which setBounds keeps in world space
     for (const mesh of meshes.filter(m => m.isTransparent)) {
-        if (!mesh.pipeline || !mesh.vertexBuffer || !mesh.indexBuffer) continue;
-        const viewSpacePos = transformPoint(mesh.center, viewMatrix);
+        if (!mesh.vertexBuffer || !mesh.indexBuffer) continue;
+        const depth = transformPoint(mesh.worldCenter, viewMatrix)[2];
+        const lod = meshLod(frustum, mesh);
+        if (!oit) {
+            transparentDrawables.push({ depth, draw: (pass) => drawMesh(renderer, pass, mesh, pipelineFor, lod) });
+            continue;
+        }
+        // The faces are accumulated, their edges drawn sorted over the result
+        const mode = meshDisplayMode(renderer, mesh);
+        if (mode === 'shaded' || mode === 'shadedWithEdges') {
+            const pipeline = pipelineFor(meshPipelineKey(mesh, true));
+            oitDrawables.push((pass) => drawMeshFaces(renderer, pass, mesh, pipeline, mode === 'shaded' ? lod : null));
+        }
+        if (mode !== 'shaded') {
+            transparentDrawables.push({ depth, draw: (pass) => drawMeshEdges(renderer, pass, mesh, pipelineFor(`edges/${mode}`)) });
+        }
+    }
+
+    // Add transparent instanced meshes, sorted as a whole
+    for (const mesh of instancedMeshes.filter(m => m.isTransparent)) {
+        const pipeline = pipelineFor(instancedMeshPipelineKey(mesh, !!oit));
+        addTransparent(transformPoint(mesh.worldCenter, viewMatrix)[2], (pass) => drawInstancedMesh(renderer, pass, mesh, pipeline));
+    }
+
+    // Add transparent point clouds
+    for (const cloud of pointClouds.filter(c => c.isTransparent)) {
         transparentDrawables.push({
-            depth: viewSpacePos[2],
-            draw: () => {
-                pass.setPipeline(mesh.pipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                if (mesh.singleColor && mesh.bindGroup) pass.setBindGroup(1, mesh.bindGroup);
-                pass.setVertexBuffer(0, mesh.vertexBuffer);
-                if (!mesh.singleColor && mesh.colorBuffer) pass.setVertexBuffer(1, mesh.colorBuffer);
-                pass.setIndexBuffer(mesh.indexBuffer, 'uint16');
-                pass.drawIndexed(mesh.indexCount);
-            }
+            depth: transformPoint(cloud.worldCenter, viewMatrix)[2],
+            draw: (pass) => drawPointCloud(renderer, pass, cloud, pipelineFor('points/transparent'))
         });
     }
 
     // Add lines
-    for (const line of lines) {
-        if (!line.pipeline || !line.posBuffer || !line.indexBuffer) continue;
-        const viewSpacePos = transformPoint(line.center, viewMatrix);
-        transparentDrawables.push({
-            depth: viewSpacePos[2],
-            draw: () => {
-                pass.setPipeline(line.pipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                pass.setVertexBuffer(0, line.posBuffer);
-                pass.setVertexBuffer(1, line.colorBuffer);
-                pass.setVertexBuffer(2, line.thicknessBuffer);
-                pass.setVertexBuffer(3, line.uvBuffer);
-                pass.setVertexBuffer(4, line.endPosBuffer);
-                pass.setVertexBuffer(5, line.fadeBuffer);
-                pass.setIndexBuffer(line.indexBuffer, 'uint16');
-                pass.drawIndexed(line.indexCount);
-            }
-        });
+    for (const line of renderer.lines.values()) {
+        if (!line.posBuffer || !line.indexBuffer || !inView(line)) continue;
+        addTransparent(transformPoint(line.worldCenter, viewMatrix)[2], (pass) => drawLine(renderer, pass, line, linePipeline));
     }
 
     // Add text billboards
-    for (const billboard of textBillboards) {
-        if (!billboard.pipeline || !billboard.vertexBuffer || !billboard.indexBuffer) continue;
-        const viewSpacePos = transformPoint(billboard.position, viewMatrix);
+    const billboardPipeline = pipelineFor('billboards');
+    for (const billboard of renderer.textBillboards.values()) {
+        if (!billboardPipeline || !billboard.vertexBuffer || !billboard.indexBuffer || !inView(billboard)) continue;
         transparentDrawables.push({
-            depth: viewSpacePos[2],
-            draw: () => {
-                pass.setPipeline(billboard.pipeline);
+            depth: transformPoint(billboard.worldCenter, viewMatrix)[2],
+            draw: (pass) => {
+                pass.setPipeline(billboardPipeline);
                 pass.setBindGroup(0, frameBindGroup);
                 pass.setBindGroup(1, billboard.bindGroup);
+                pass.setBindGroup(2, billboard.objectBindGroup);
                 pass.setVertexBuffer(0, billboard.vertexBuffer);
                 pass.setIndexBuffer(billboard.indexBuffer, 'uint16');
                 pass.drawIndexed(billboard.indexCount);
@@ -745,43 +1884,251 @@ function renderFrame() {
         });
     }
 
+    // Compute the ambient occlusion of the opaque scene and accumulate into oit's targets, testing
+    // against the opaque depth, then blend them over the scene
+    if (oit || ao) {
+        pass.end();
+        if (ao) encodeAmbientOcclusion(renderer, encoder, ao);
+        if (oit) {
+            const oitPass = encoder.beginRenderPass({
+                colorAttachments: oit.colorAttachments,
+                depthStencilAttachment: { view: renderPass.depthStencilAttachment.view, depthReadOnly: true }
+            });
+            for (const draw of oitDrawables) draw(oitPass);
+            oitPass.end();
+        }
+
+        pass = encoder.beginRenderPass(lastOfSplitPass(renderPass));
+        const aoCompositePipeline = ao && pipelineFor('aoComposite');
+        if (aoCompositePipeline) {
+            pass.setPipeline(aoCompositePipeline);
+            pass.setBindGroup(0, ao.compositeBindGroup);
+            pass.draw(3);
+        }
+        const compositePipeline = oit && pipelineFor('oitComposite');
+        if (compositePipeline && oitDrawables.length > 0) {
+            pass.setPipeline(compositePipeline);
+            pass.setBindGroup(0, oit.bindGroup);
+            pass.draw(3);
+        }
+    }
+
     // Sort transparent objects from back to front (descending depth)
     transparentDrawables.sort((a, b) => b.depth - a.depth);
 
     // Execute draw calls
     for (const drawable of transparentDrawables) {
-        drawable.draw();
+        drawable.draw(pass);
     }
 
+    if (highlighting) drawSelectedTriangle(renderer, pass, pipelineFor('selectedTriangle'));
+
     pass.end();
-    device.queue.submit([encoder.finish()]);
+
+    // ========================================================================
+    // 3. Highlight: outline the selected and hovered objects on the final image.
+    // ========================================================================
+    if (highlighting) drawHighlightOutline(renderer, encoder);
 }
 
-function getRenderPassDescriptor() {
-    // Ensure render targets are allocated
-    if (!colorAttachment || !renderPassDescriptor) {
-        if (canvas.width > 0 && canvas.height > 0) {
-            allocateRenderTargets(canvas.width, canvas.height);
-        } else {
-            // Return null to skip this frame if canvas isn't ready
-            return null;
-        }
-    }
+// renderPass for the first of several passes drawing one frame: it stores what it draws instead of
+// resolving it...
+function firstOfSplitPass(renderPass) {
+    const [colorAttachment] = renderPass.colorAttachments;
+    return {
+        ...renderPass,
+        colorAttachments: [{ ...colorAttachment, resolveTarget: undefined, storeOp: 'store' }],
+        depthStencilAttachment: { ...renderPass.depthStencilAttachment, depthStoreOp: 'store' }
+    };
+}
 
-    const colorView = context.getCurrentTexture().createView({ format: `${colorFormat}-srgb` });
-    if (sampleCount > 1) {
-        colorAttachment.resolveTarget = colorView;
-    } else {
-        colorAttachment.view = colorView;
+// ...and for the last, which loads it and ends the frame as renderPass does
+function lastOfSplitPass(renderPass) {
+    const [colorAttachment] = renderPass.colorAttachments;
+    return {
+        ...renderPass,
+        colorAttachments: [{ ...colorAttachment, loadOp: 'load' }],
+        depthStencilAttachment: { ...renderPass.depthStencilAttachment, depthLoadOp: 'load' }
+    };
+}
+
+// Computes the ambient occlusion of the opaque pass into ao's occlusion texture. While its pipeline is
+// being built, the texture is only cleared to no occlusion.
+function encodeAmbientOcclusion(renderer, encoder, ao) {
+    const pass = encoder.beginRenderPass({ colorAttachments: [ao.occlusionAttachment] });
+    const pipeline = getPipeline(renderer, aoPipelineKey(ao.sampleCount), 1);
+    if (pipeline) {
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, renderer.frameBindGroup);
+        pass.setBindGroup(1, ao.bindGroup);
+        pass.draw(3);
     }
-    return renderPassDescriptor;
+    pass.end();
 }
 
-// ============================================================================
-// Resize Handling
+// Draws the opaque meshes and instanced meshes into the shadow map as seen from the light, fitted
+// around their bounding sphere, and writes the shadow uniforms the shaded objects read.
+// Casters outside the view still cast shadows into it, so nothing is culled.
+function encodeShadowMap(renderer, encoder) {
+    const meshes = [...renderer.meshes.values()].filter(m => !m.isTransparent && m.vertexBuffer && m.indexBuffer);
+    const instancedMeshes = [...renderer.instancedMeshes.values()].filter(m => !m.isTransparent && m.instanceCount > 0);
+    const sphere = renderer.shadows && renderer.shadowDirection ? boundingSphere([...meshes, ...instancedMeshes]) : null;
+    renderer.shadowEnabled[0] = sphere ? 1 : 0;
+    renderer.shadowAmbient[0] = renderer.lightAmbient[0];
+    if (sphere) {
+        renderer.shadowMatrix.set(lightViewProjection(renderer.shadowDirection, sphere));
+        // About one and a half texels of the map, which spans the sphere's diameter
+        renderer.shadowNormalOffset[0] = 3 * sphere.radius / SHADOW_MAP_SIZE;
+    }
+    device.queue.writeBuffer(renderer.shadowUniformBuffer, 0, renderer.shadowArray);
+    if (!sphere) return;
+
+    const pass = encoder.beginRenderPass({
+        colorAttachments: [],
+        depthStencilAttachment: {
+            view: renderer.shadowMapTexture.createView(),
+            depthClearValue: 1.0,
+            depthLoadOp: 'clear',
+            depthStoreOp: 'store'
+        }
+    });
+    pass.setBindGroup(0, renderer.shadowBindGroup);
+    const meshPipeline = getPipeline(renderer, 'shadow/mesh', 1);
+    if (meshPipeline) {
+        pass.setPipeline(meshPipeline);
+        for (const mesh of meshes) {
+            pass.setBindGroup(1, mesh.objectBindGroup);
+            pass.setVertexBuffer(0, mesh.vertexBuffer);
+            pass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+            pass.drawIndexed(mesh.indexCount);
+        }
+    }
+    const instancesPipeline = getPipeline(renderer, 'shadow/instances', 1);
+    if (instancesPipeline) {
+        pass.setPipeline(instancesPipeline);
+        for (const mesh of instancedMeshes) {
+            pass.setBindGroup(1, mesh.objectBindGroup);
+            setInstancedMeshVertexBuffers(renderer, pass, mesh);
+            pass.drawIndexed(mesh.indexCount, mesh.instanceCount);
+        }
+    }
+    pass.end();
+}
+
+function meshDisplayMode(renderer, mesh) {
+    return mesh.displayMode ?? renderer.displayMode;
+}
+
+// Draws a mesh in its display mode: shaded faces, edges, or both. Hidden-line draws faces and
+// edges in one pass with the edge pipeline. The shaded mode draws `lod`'s triangles when one is given.
+function drawMesh(renderer, pass, mesh, pipelineFor, lod = null) {
+    const mode = meshDisplayMode(renderer, mesh);
+    if (mode === 'shaded' || mode === 'shadedWithEdges') {
+        const drawn = drawMeshFaces(renderer, pass, mesh, pipelineFor(meshPipelineKey(mesh)), mode === 'shaded' ? lod : null);
+        if (!drawn || mode === 'shaded') return;
+    }
+    drawMeshEdges(renderer, pass, mesh, pipelineFor(`edges/${mode}`));
+}
+
+// Draws the mesh's shaded triangles, or lod's. Returns false while the pipeline is being built.
+function drawMeshFaces(renderer, pass, mesh, pipeline, lod = null) {
+    if (!pipeline) return false;
+    const triangles = lod ?? mesh;
+    if (triangles.indexCount === 0) return true; // An empty level of detail hides the mesh
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    pass.setBindGroup(1, mesh.bindGroup);
+    pass.setBindGroup(2, mesh.objectBindGroup);
+    setMeshVertexBuffers(renderer, pass, mesh);
+    pass.setIndexBuffer(triangles.indexBuffer, triangles.indexFormat);
+    pass.drawIndexed(triangles.indexCount);
+    return true;
+}
+
+function drawMeshEdges(renderer, pass, mesh, pipeline) {
+    if (!pipeline || !mesh.pickBindGroup) return;
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    pass.setBindGroup(1, mesh.pickBindGroup);
+    pass.setBindGroup(2, renderer.edgeBindGroup);
+    pass.draw(mesh.indexCount);
+}
+
+function drawGrid(renderer, pass, pipeline) {
+    if (!pipeline) return;
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    pass.setBindGroup(1, renderer.gridBindGroup);
+    pass.setVertexBuffer(0, renderer.gridVertexBuffer);
+    pass.setIndexBuffer(renderer.gridIndexBuffer, 'uint32');
+    pass.drawIndexed(6);
+}
+
+// Draws a line or the coordinate axes, which share the line buffers
+function drawLine(renderer, pass, line, pipeline) {
+    if (!pipeline) return;
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    pass.setBindGroup(1, line.objectBindGroup);
+    pass.setVertexBuffer(0, line.posBuffer);
+    pass.setVertexBuffer(1, line.colorBuffer);
+    pass.setVertexBuffer(2, line.thicknessBuffer);
+    pass.setVertexBuffer(3, line.uvBuffer);
+    pass.setVertexBuffer(4, line.endPosBuffer);
+    pass.setVertexBuffer(5, line.fadeBuffer);
+    pass.setIndexBuffer(line.indexBuffer, line.indexFormat);
+    pass.drawIndexed(line.indexCount);
+}
+
+function drawInstancedMesh(renderer, pass, mesh, pipeline) {
+    if (!pipeline || mesh.instanceCount === 0) return;
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    pass.setBindGroup(1, renderer.lightBindGroup);
+    pass.setBindGroup(2, mesh.objectBindGroup);
+    setInstancedMeshVertexBuffers(renderer, pass, mesh);
+    pass.drawIndexed(mesh.indexCount, mesh.instanceCount);
+}
+
+function drawPointCloud(renderer, pass, cloud, pipeline) {
+    if (!pipeline || cloud.count === 0) return;
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    pass.setBindGroup(1, cloud.objectBindGroup);
+    pass.setVertexBuffer(0, cloud.positionBuffer);
+    pass.setVertexBuffer(1, cloud.colorBuffer);
+    pass.setVertexBuffer(2, cloud.sizeBuffer);
+    pass.draw(4, cloud.count);
+}
+
+function getRenderPassDescriptor(renderer) {
+    const { canvas } = renderer;
+    // Ensure render targets are allocated
+    if (!renderer.colorAttachment || !renderer.renderPassDescriptor) {
+        if (canvas.width > 0 && canvas.height > 0) {
+            allocateRenderTargets(renderer, canvas.width, canvas.height);
+        } else {
+            // Return null to skip this frame if canvas isn't ready
+            return null;
+        }
+    }
+
+    const colorView = renderer.context.getCurrentTexture().createView({ format: `${renderer.colorFormat}-srgb` });
+    renderer.colorView = colorView;
+    if (renderer.sampleCount > 1) {
+        renderer.colorAttachment.resolveTarget = colorView;
+    } else {
+        renderer.colorAttachment.view = colorView;
+    }
+    return renderer.renderPassDescriptor;
+}
+
+// ============================================================================
+// Resize Handling
 // ============================================================================
 
-function setupResizeObserver() {
+function setupResizeObserver(renderer) {
+    const { canvas } = renderer;
     const observer = new ResizeObserver((entries) => {
         for (let entry of entries) {
             if (entry.target !== canvas) continue;
@@ -806,50 +2153,55 @@ function setupResizeObserver() {
             canvas.height = height;
 
             // Notify C# to recompute projection matrix
-            dotNetRef?.invokeMethodAsync('OnCanvasResized', width, height);
+            renderer.dotNetRef?.invokeMethodAsync('OnCanvasResized', width, height);
 
-            if (device) {
-                allocateRenderTargets(width, height);
+            if (renderer.gpuReady) {
+                allocateRenderTargets(renderer, width, height);
             }
         }
     });
 
     observer.observe(canvas);
+    renderer.resizeObserver = observer;
 }
 
-function allocateRenderTargets(width, height) {
+function allocateRenderTargets(renderer, width, height) {
     const size = { width, height };
+    const { sampleCount } = renderer;
+    renderer.viewportSize.set([width, height]);
+    requestRender(renderer);
 
-    if (msaaColorTexture) msaaColorTexture.destroy();
+    if (renderer.msaaColorTexture) renderer.msaaColorTexture.destroy();
+    renderer.msaaColorTexture = null;
     if (sampleCount > 1) {
-        msaaColorTexture = device.createTexture({
+        renderer.msaaColorTexture = device.createTexture({
             size,
             sampleCount,
-            format: `${colorFormat}-srgb`,
+            format: `${renderer.colorFormat}-srgb`,
             usage: GPUTextureUsage.RENDER_ATTACHMENT
         });
     }
 
-    if (depthTexture) depthTexture.destroy();
-    depthTexture = device.createTexture({
+    if (renderer.depthTexture) renderer.depthTexture.destroy();
+    renderer.depthTexture = device.createTexture({
         size,
         sampleCount,
-        format: depthFormat,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT
+        format: renderer.depthFormat,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING // Read for ambient occlusion
     });
 
-    colorAttachment = {
-        view: sampleCount > 1 ? msaaColorTexture.createView() : undefined,
+    renderer.colorAttachment = {
+        view: sampleCount > 1 ? renderer.msaaColorTexture.createView() : undefined,
         resolveTarget: undefined,
-        clearValue: clearColor,
+        clearValue: renderer.clearColor,
         loadOp: 'clear',
         storeOp: sampleCount > 1 ? 'discard' : 'store'
     };
 
-    renderPassDescriptor = {
-        colorAttachments: [colorAttachment],
+    renderer.renderPassDescriptor = {
+        colorAttachments: [renderer.colorAttachment],
         depthStencilAttachment: {
-            view: depthTexture.createView(),
+            view: renderer.depthTexture.createView(),
             depthClearValue: 1.0,
             depthLoadOp: 'clear',
             depthStoreOp: 'discard'
@@ -857,394 +2209,1352 @@ function allocateRenderTargets(width, height) {
     };
 }
 
+// The weighted blended transparency targets for a width x height scene at sampleCount: accum and
+// reveal (see OIT_WGSL), drawn multisampled when the scene is and resolved for the composite to read
+function createOitTargets(renderer, width, height, sampleCount) {
+    const textures = [];
+    const createView = (format, count, usage) => {
+        const texture = device.createTexture({ size: { width, height }, sampleCount: count, format, usage });
+        textures.push(texture);
+        return texture.createView();
+    };
+    const attachment = (format, clear) => {
+        const resolved = createView(format, 1, GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING);
+        const multisampled = sampleCount > 1;
+        return {
+            resolved,
+            view: multisampled ? createView(format, sampleCount, GPUTextureUsage.RENDER_ATTACHMENT) : resolved,
+            resolveTarget: multisampled ? resolved : undefined,
+            clearValue: { r: clear, g: clear, b: clear, a: clear },
+            loadOp: 'clear',
+            storeOp: multisampled ? 'discard' : 'store'
+        };
+    };
+    const { resolved: accum, ...accumAttachment } = attachment('rgba16float', 0);
+    const { resolved: reveal, ...revealAttachment } = attachment('r8unorm', 1);
+    return {
+        width,
+        height,
+        sampleCount,
+        textures,
+        colorAttachments: [accumAttachment, revealAttachment],
+        bindGroup: device.createBindGroup({
+            label: 'OIT BG',
+            layout: renderer.oitBindGroupLayout,
+            entries: [{ binding: 0, resource: accum }, { binding: 1, resource: reveal }]
+        })
+    };
+}
+
+// Destroys the textures of OIT or ambient occlusion targets
+function destroyTargets(targets) {
+    for (const texture of targets?.textures ?? []) texture.destroy();
+}
+
+// The on-screen weighted blended transparency targets, reallocated when the canvas or sample count changes
+function screenOitTargets(renderer) {
+    const { width, height } = renderer.canvas;
+    const targets = renderer.oitTargets;
+    if (targets && targets.width === width && targets.height === height && targets.sampleCount === renderer.sampleCount) {
+        return targets;
+    }
+    destroyTargets(targets);
+    renderer.oitTargets = createOitTargets(renderer, width, height, renderer.sampleCount);
+    return renderer.oitTargets;
+}
+
+// The ambient occlusion targets for a scene drawn with depthTexture: the view space normals the opaque
+// pass keeps (multisampled like the scene and resolved for ssaoShader) and the occlusion it computes
+function createAoTargets(renderer, depthTexture) {
+    const { width, height, sampleCount } = depthTexture;
+    const multisampled = sampleCount > 1;
+    const textures = [];
+    const createView = (format, count, usage) => {
+        const texture = device.createTexture({ size: { width, height }, sampleCount: count, format, usage });
+        textures.push(texture);
+        return texture.createView();
+    };
+    const usage = GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING;
+    const normals = createView(AO_NORMAL_FORMAT, 1, usage);
+    const occlusion = createView('rg8unorm', 1, usage);
+    return {
+        depthTexture,
+        sampleCount,
+        textures,
+        normalAttachment: {
+            view: multisampled ? createView(AO_NORMAL_FORMAT, sampleCount, GPUTextureUsage.RENDER_ATTACHMENT) : normals,
+            resolveTarget: multisampled ? normals : undefined,
+            clearValue: { r: 0, g: 0, b: 0, a: 0 },
+            loadOp: 'clear',
+            storeOp: multisampled ? 'discard' : 'store'
+        },
+        occlusionAttachment: { view: occlusion, clearValue: { r: 1, g: 0, b: 0, a: 0 }, loadOp: 'clear', storeOp: 'store' },
+        bindGroup: device.createBindGroup({
+            label: 'Ambient Occlusion BG',
+            layout: multisampled ? renderer.aoBindGroupLayouts.multisampled : renderer.aoBindGroupLayouts.single,
+            entries: [
+                { binding: 0, resource: { buffer: renderer.aoUniformBuffer } },
+                { binding: 1, resource: depthTexture.createView() },
+                { binding: 2, resource: normals }
+            ]
+        }),
+        compositeBindGroup: device.createBindGroup({
+            label: 'Ambient Occlusion Composite BG',
+            layout: renderer.aoCompositeBindGroupLayout,
+            entries: [{ binding: 0, resource: occlusion }]
+        })
+    };
+}
+
+// The on-screen ambient occlusion targets, reallocated with the depth texture
+function screenAoTargets(renderer) {
+    if (renderer.aoTargets?.depthTexture !== renderer.depthTexture) {
+        destroyTargets(renderer.aoTargets);
+        renderer.aoTargets = createAoTargets(renderer, renderer.depthTexture);
+    }
+    return renderer.aoTargets;
+}
+
+// Reallocates the render targets after a sample count or format change and builds the pipelines
+// the scene draws with for the new variant
+async function rebuildRenderTargets(renderer) {
+    const { canvas } = renderer;
+    configureContext(renderer);
+    if (canvas.width > 0 && canvas.height > 0) {
+        allocateRenderTargets(renderer, canvas.width, canvas.height);
+    }
+    await preparePipelines(renderer, renderer.sampleCount);
+}
+
 // ============================================================================
 // Updates from C#
 // ============================================================================
 
-export function writeViewMatrix(matrixArray) {
-    viewMatrix.set(matrixArray);
+export function writeViewMatrix(renderer, matrixArray) {
+    renderer.viewMatrix.set(matrixArray);
+    if (renderer.lights.some(light => light.type === 'headlight')) writeLights(renderer);
+    requestRender(renderer);
 }
 
-export function writeProjectionMatrix(matrixArray) {
-    projectionMatrix.set(matrixArray);
+export function writeProjectionMatrix(renderer, matrixArray) {
+    renderer.projectionMatrix.set(matrixArray);
+    requestRender(renderer);
 }
 
-export async function updateDisplayOptions(options) {
+export async function updateDisplayOptions(renderer, options) {
+    // Pipelines are built in the background and only awaited once every option is applied, so that a call
+    // finishing after a newer one cannot bring back its older options
+    const pipelineWork = [];
     let gridChanged = false;
-    let needsGridPipelineRecreation = false;
-    if (zIsUp !== options.zIsUp) {
-        zIsUp = options.zIsUp;
+    let gridTransparencyChanged = false;
+    if (renderer.zIsUp !== options.zIsUp) {
+        renderer.zIsUp = options.zIsUp;
         gridChanged = true;
     }
-    if (typeof options.sampleCount === 'number') sampleCount = options.sampleCount;
+
+    // Render targets are allocated and pipelines built per sample count and formats.
+    // colorFormat is 'bgra8unorm' or 'rgba8unorm' (the scene renders through an sRGB view of it).
+    let renderTargetsChanged = false;
+    if (typeof options.sampleCount === 'number' && options.sampleCount !== renderer.sampleCount) {
+        renderer.sampleCount = options.sampleCount;
+        renderTargetsChanged = true;
+    }
+    if (options.colorFormat && options.colorFormat !== renderer.colorFormat) {
+        renderer.colorFormat = options.colorFormat;
+        renderTargetsChanged = true;
+    }
+    if (options.depthFormat && options.depthFormat !== renderer.depthFormat) {
+        renderer.depthFormat = options.depthFormat;
+        renderTargetsChanged = true;
+    }
+    if (renderTargetsChanged && renderer.gpuReady) pipelineWork.push(rebuildRenderTargets(renderer));
+
+    // Transparency is 'sorted' (back to front by object) or 'weighted' (weighted blended, see OIT_WGSL)
+    if (typeof options.transparency === 'string' && options.transparency !== renderer.transparency) {
+        renderer.transparency = options.transparency;
+        if (renderer.transparency !== 'weighted') {
+            destroyTargets(renderer.oitTargets);
+            renderer.oitTargets = null;
+        }
+        if (renderer.gpuReady) pipelineWork.push(preparePipelines(renderer, renderer.sampleCount));
+    }
 
     // Handle coordinate axes visibility
-    if (typeof options.coordinateThickness === 'number' && coordinateThickness !== options.coordinateThickness) {
-        coordinateThickness = options.coordinateThickness;
-        if (device) {
-            if (coordinateAxes) {
-                coordinateAxes.posBuffer?.destroy();
-                coordinateAxes.colorBuffer?.destroy();
-                coordinateAxes.thicknessBuffer?.destroy();
-                coordinateAxes.uvBuffer?.destroy();
-                coordinateAxes.endPosBuffer?.destroy();
-                coordinateAxes.fadeBuffer?.destroy();
-                coordinateAxes.indexBuffer?.destroy();
-                coordinateAxes = null;
-            }
-            if (coordinateThickness > 0.0) {
-                await initCoordinateAxes();
+    if (typeof options.coordinateThickness === 'number' && renderer.coordinateThickness !== options.coordinateThickness) {
+        renderer.coordinateThickness = options.coordinateThickness;
+        if (renderer.gpuReady) {
+            destroyCoordinateAxes(renderer);
+            if (renderer.coordinateThickness > 0.0) {
+                initCoordinateAxes(renderer);
             }
         }
     }
 
-    // Update lighting uniforms
-    if (options.lightDir) lightDirection.set(options.lightDir);
-    if (typeof options.ambient === 'number') lightAmbient[0] = options.ambient;
-    if (typeof options.specularPower === 'number') lightSpecularPower[0] = options.specularPower;
-    if (device) {
-        device.queue.writeBuffer(lightUniformBuffer, 0, lightUniformArray);
+    // Update lighting uniforms; lightDir alone stands for a single directional light
+    if (Array.isArray(options.lights)) renderer.lights = options.lights.slice(0, MAX_LIGHTS);
+    else if (options.lightDir) renderer.lights = [{ type: 'directional', direction: options.lightDir }];
+    if (typeof options.ambient === 'number') renderer.lightAmbient[0] = options.ambient;
+    if (typeof options.specularPower === 'number') renderer.lightSpecularPower[0] = options.specularPower;
+    if (typeof options.flatShading === 'boolean') renderer.lightFlatShading[0] = options.flatShading ? 1 : 0;
+    renderer.lightUp.set(renderer.zIsUp ? [0, 0, 1] : [0, 1, 0]);
+    writeLights(renderer);
+
+    // Shadows from the light (see encodeShadowMap); the map only takes memory while they are on
+    if (typeof options.shadowBias === 'number') renderer.shadowBias[0] = options.shadowBias;
+    // shadowSoftness runs from 0 (hard edges) to 1
+    if (typeof options.shadowSoftness === 'number') renderer.shadowBlur[0] = options.shadowSoftness * MAX_SHADOW_BLUR;
+    if (typeof options.shadows === 'boolean' && options.shadows !== renderer.shadows) {
+        renderer.shadows = options.shadows;
+        if (renderer.gpuReady) {
+            allocateShadowMap(renderer);
+            if (renderer.shadows) pipelineWork.push(...SHADOW_PIPELINE_KEYS.map(key => loadPipeline(renderer, key, 1)));
+        }
+    }
+
+    // Ambient occlusion darkens creases and pockets of the opaque objects (see ssaoShader).
+    // aoRadius is in world units.
+    if (typeof options.aoRadius === 'number') renderer.aoRadius[0] = options.aoRadius;
+    if (typeof options.aoIntensity === 'number') renderer.aoIntensity[0] = options.aoIntensity;
+    if (renderer.gpuReady) {
+        device.queue.writeBuffer(renderer.aoUniformBuffer, 0, renderer.aoArray);
+    }
+    if (typeof options.ambientOcclusion === 'boolean' && options.ambientOcclusion !== renderer.ambientOcclusion) {
+        renderer.ambientOcclusion = options.ambientOcclusion;
+        if (!renderer.ambientOcclusion) {
+            destroyTargets(renderer.aoTargets);
+            renderer.aoTargets = null;
+        }
+        if (renderer.gpuReady) pipelineWork.push(preparePipelines(renderer, renderer.sampleCount));
     }
 
     // Update grid uniforms
     if (options.baseColor) {
         const newIsTransparent = options.baseColor[3] < 1.0;
-        if (newIsTransparent !== gridIsTransparent) {
-            gridIsTransparent = newIsTransparent;
-            needsGridPipelineRecreation = true;
+        if (newIsTransparent !== renderer.gridIsTransparent) {
+            renderer.gridIsTransparent = newIsTransparent;
+            gridTransparencyChanged = true;
         }
-        gridBaseColor.set(options.baseColor);
+        renderer.gridBaseColor.set(options.baseColor);
     }
-    if (options.lineColor) gridLineColor.set(options.lineColor);
+    if (options.lineColor) renderer.gridLineColor.set(options.lineColor);
     if (typeof options.lineWidthX === 'number' && typeof options.lineWidthY === 'number') {
-        gridLineWidth.set([options.lineWidthX, options.lineWidthY]);
+        renderer.gridLineWidth.set([options.lineWidthX, options.lineWidthY]);
     }
 
-    if (typeof options.gridSize === 'number' && options.gridSize !== gridSize) {
-        gridSize = options.gridSize;
-        axisExtent = gridSize;  // Update axis extent to match grid size
+    if (typeof options.gridSize === 'number' && options.gridSize !== renderer.gridSize) {
+        renderer.gridSize = options.gridSize;
+        renderer.axisExtent = renderer.gridSize;  // Update axis extent to match grid size
         gridChanged = true;
         // Recreate coordinate axes with new extent if they exist
-        if (coordinateAxes) {
-            coordinateAxes.posBuffer?.destroy();
-            coordinateAxes.colorBuffer?.destroy();
-            coordinateAxes.thicknessBuffer?.destroy();
-            coordinateAxes.uvBuffer?.destroy();
-            coordinateAxes.endPosBuffer?.destroy();
-            coordinateAxes.fadeBuffer?.destroy();
-            coordinateAxes.indexBuffer?.destroy();
-            coordinateAxes = null;
-            if (coordinateThickness > 0.0) {
-                await initCoordinateAxes();
+        if (renderer.coordinateAxes) {
+            destroyCoordinateAxes(renderer);
+            if (renderer.coordinateThickness > 0.0) {
+                initCoordinateAxes(renderer);
             }
         }
     }
-    if (typeof options.gridSpacing === 'number' && options.gridSpacing !== gridSpacing) {
-        gridSpacing = options.gridSpacing;
+    if (typeof options.gridSpacing === 'number' && options.gridSpacing !== renderer.gridSpacing) {
+        renderer.gridSpacing = options.gridSpacing;
         gridChanged = true;
     }
 
-    if (device) {
-        if (needsGridPipelineRecreation) {
-            await initGrid(); // This recreates pipeline and geometry
-        } else if (gridChanged) {
-            createGridGeometry();
-            updateGridUniforms();
-        } else if (gridUniformBuffer) {
-            device.queue.writeBuffer(gridUniformBuffer, 0, gridUniformArray);
+    if (renderer.gpuReady) {
+        if (gridChanged) {
+            createGridGeometry(renderer);
+            updateGridUniforms(renderer);
+        } else if (renderer.gridUniformBuffer) {
+            device.queue.writeBuffer(renderer.gridUniformBuffer, 0, renderer.gridUniformArray);
         }
+        // Opaque and transparent grids differ in depth writes, so each has its own pipeline
+        if (gridTransparencyChanged) pipelineWork.push(loadPipeline(renderer, gridPipelineKey(renderer)));
     }
 
 
+    // Update selection/hover highlight settings
+    if (typeof options.highlightOnHover === 'boolean') {
+        renderer.highlightOnHover = options.highlightOnHover;
+        if (!renderer.highlightOnHover) renderer.hovered = null;
+    }
+    if (options.selectionColor) renderer.selectionColor.set(options.selectionColor);
+    if (options.hoverColor) renderer.hoverColor.set(options.hoverColor);
+    if (options.selectedTriangleColor) renderer.selectedTriangleColor.set(options.selectedTriangleColor);
+    if (typeof options.outlineWidth === 'number') renderer.outlineWidth[0] = options.outlineWidth;
+
+    // Update clip planes: an array of [nx, ny, nz, distance]; a null cap color turns caps off
+    if (Array.isArray(options.clipPlanes)) {
+        const planes = options.clipPlanes.slice(0, MAX_CLIP_PLANES);
+        renderer.clipPlanes.fill(0);
+        planes.forEach((plane, i) => renderer.clipPlanes.set(plane, 4 * i));
+        renderer.clipPlaneCount[0] = planes.length;
+    }
+    if (options.clipCapColor !== undefined) {
+        renderer.showClipCaps = !!options.clipCapColor;
+        if (options.clipCapColor) renderer.clipCapColor.set(options.clipCapColor);
+    }
+    if (renderer.gpuReady) {
+        device.queue.writeBuffer(renderer.clipUniformBuffer, 0, renderer.clipArray);
+    }
+
     // Update clear color
     if (options.clearColor) {
-        clearColor = options.clearColor;
-        if (colorAttachment) colorAttachment.clearValue = clearColor;
+        renderer.clearColor = options.clearColor;
+        if (renderer.colorAttachment) renderer.colorAttachment.clearValue = renderer.clearColor;
+    }
+
+    // Update mesh display mode and edges; hidden-line faces are filled with the clear color
+    if (typeof options.displayMode === 'string') renderer.displayMode = options.displayMode;
+    if (options.edgeColor) renderer.edgeColor.set(options.edgeColor);
+    if (typeof options.edgeWidth === 'number') renderer.edgeWidth[0] = options.edgeWidth;
+    const { r, g, b } = renderer.clearColor;
+    renderer.edgeFillColor.set([r, g, b, 1]);
+    if (renderer.gpuReady) {
+        device.queue.writeBuffer(renderer.edgeUniformBuffer, 0, renderer.edgeArray);
     }
+
+    // Continuous rendering redraws every animation frame, for scenes that animate
+    if (typeof options.continuousRendering === 'boolean') renderer.continuousRendering = options.continuousRendering;
+    requestRender(renderer);
+    await Promise.all(pipelineWork);
+}
+
+function destroyCoordinateAxes(renderer) {
+    const { coordinateAxes } = renderer;
+    if (!coordinateAxes) return;
+    coordinateAxes.posBuffer?.destroy();
+    coordinateAxes.colorBuffer?.destroy();
+    coordinateAxes.thicknessBuffer?.destroy();
+    coordinateAxes.uvBuffer?.destroy();
+    coordinateAxes.endPosBuffer?.destroy();
+    coordinateAxes.fadeBuffer?.destroy();
+    coordinateAxes.indexBuffer?.destroy();
+    coordinateAxes.objectUniformBuffer?.destroy();
+    renderer.coordinateAxes = null;
 }
 
 // ============================================================================
-// Scene Management (Mesh, Lines, Billboards)
+// Pipeline Cache
 // ============================================================================
 
-export async function addMesh(meshData) {
-    const { id, vertices, indices, colors, singleColor } = meshData;
+// Pipelines are shared by every object that draws the same way. A pipeline is named by a key such as
+// 'mesh/uniform/normals/none/opaque': the part before the first '/' picks its builder in PIPELINE_BUILDERS
+// and the rest are the builder's arguments. Each key is compiled once per sample count and formats.
+// Pipelines drawn in the opaque pass take a last 'ao' argument for the variant that also writes the
+// normals target of ambient occlusion (see AO_NORMAL_WGSL).
+
+const ALPHA_BLEND = {
+    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+};
+
+// Weighted blended transparency adds up the weighted colors in accum and multiplies reveal by
+// each fragment's transparency (see OIT_WGSL)
+const OIT_TARGETS = [
+    {
+        format: 'rgba16float',
+        blend: {
+            color: { srcFactor: 'one', dstFactor: 'one', operation: 'add' },
+            alpha: { srcFactor: 'one', dstFactor: 'one', operation: 'add' }
+        }
+    },
+    {
+        format: 'r8unorm',
+        blend: {
+            color: { srcFactor: 'zero', dstFactor: 'one-minus-src', operation: 'add' },
+            alpha: { srcFactor: 'zero', dstFactor: 'one-minus-src', operation: 'add' }
+        }
+    }
+];
+
+// Pipelines drawn into the ID texture (always single-sampled), and the outline read from it
+const PICK_PIPELINE_KEYS = ['pick/mesh', 'pick/line', 'pick/billboard', 'pick/points', 'pick/instances', 'outline'];
+
+// Pipelines drawn into the shadow map (single-sampled)
+const SHADOW_PIPELINE_KEYS = ['shadow/mesh', 'shadow/instances'];
+
+// Ambient occlusion keeps the opaque scene's colors and multiplies them by the occlusion
+const MULTIPLY_BLEND = {
+    color: { srcFactor: 'zero', dstFactor: 'src', operation: 'add' },
+    alpha: { srcFactor: 'zero', dstFactor: 'one', operation: 'add' }
+};
+
+const PIPELINE_BUILDERS = {
+    // grid/{opaque|transparent|oit}
+    grid: (renderer, transparency, ao) => {
+        const module = getShaderModule('Grid Shader', GRID_SHADER);
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.gridBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain', buffers: QUAD_BUFFER_LAYOUT },
+            fragment: blendedFragment(renderer, module, transparency, ao),
+            depthStencil: depthState(renderer, transparency === 'opaque')
+        };
+    },
+    // mesh/{uniform|vertex|scalar}/{normals|none}/{uvs|none}/{opaque|transparent|oit}: colored by a uniform,
+    // per vertex or by a scalar per vertex, with or without vertex normals and texture coordinates
+    mesh: (renderer, coloring, normals, uvs, transparency, ao) => {
+        const module = {
+            uniform: () => getShaderModule('Mesh Shader', MESH_SHADER),
+            vertex: () => getShaderModule('Vertex Color Mesh Shader', MESH_SHADER_VERTEX_COLOR),
+            scalar: () => getShaderModule('Scalar Mesh Shader', MESH_SHADER_SCALAR)
+        }[coloring]();
+        const buffers = [{ arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] }];
+        if (coloring === 'vertex') {
+            buffers.push({ arrayStride: 4, attributes: [{ shaderLocation: 1, offset: 0, format: 'unorm8x4' }] });
+        } else if (coloring === 'scalar') {
+            buffers.push({ arrayStride: 4, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32' }] });
+        }
+        // Meshes without normals or UVs bind renderer.zeroNormalBuffer, read by every vertex
+        buffers.push({
+            arrayStride: normals === 'normals' ? 12 : 0,
+            attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x3' }]
+        });
+        buffers.push({
+            arrayStride: uvs === 'uvs' ? 8 : 0,
+            attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }]
+        });
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.meshBindGroupLayout, renderer.objectBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain', buffers },
+            fragment: blendedFragment(renderer, module, transparency, ao),
+            depthStencil: depthState(renderer, transparency === 'opaque'),
+            primitive: { topology: 'triangle-list', cullMode: 'back' }
+        };
+    },
+    // instances/{normals|none}/{opaque|transparent|oit}
+    instances: (renderer, normals, transparency, ao) => {
+        const module = getShaderModule('Instanced Mesh Shader', INSTANCED_MESH_SHADER);
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.lightBindGroupLayout, renderer.objectBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain', buffers: instancedMeshBufferLayout(normals === 'normals') },
+            fragment: blendedFragment(renderer, module, transparency, ao),
+            depthStencil: depthState(renderer, transparency === 'opaque'),
+            primitive: { topology: 'triangle-list', cullMode: 'back' }
+        };
+    },
+    // Lines and the coordinate axes; lines/oit for weighted blended transparency
+    lines: (renderer, transparency = 'transparent') => {
+        const module = getShaderModule('Line Shader', BILLBOARD_LINE_SHADER);
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.objectBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain', buffers: LINE_BUFFER_LAYOUT },
+            fragment: blendedFragment(renderer, module, transparency),
+            depthStencil: depthState(renderer, false), // Transparent objects test depth but don't write to it
+            primitive: { topology: 'triangle-list', cullMode: 'none' }
+        };
+    },
+    billboards: (renderer) => {
+        const module = getShaderModule('Billboard Shader', BILLBOARD_SHADER);
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.billboardBindGroupLayout, renderer.objectBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain', buffers: QUAD_BUFFER_LAYOUT },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [colorTarget(renderer)] },
+            depthStencil: depthState(renderer, false)
+        };
+    },
+    // points/{opaque|transparent}
+    points: (renderer, transparency, ao) => {
+        const module = getShaderModule('Point Shader', POINT_SHADER);
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.objectBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain', buffers: POINT_BUFFER_LAYOUT },
+            fragment: { module, entryPoint: 'fragmentMain', targets: colorTargets(renderer, ao) },
+            depthStencil: depthState(renderer, transparency === 'opaque'),
+            primitive: { topology: 'triangle-strip' }
+        };
+    },
+    // Draws only the back faces of meshes, in the clip cap color (see fragmentCap in PICK_MESH_SHADER)
+    cap: (renderer, ao) => {
+        const module = getShaderModule('Mesh Pick Shader', PICK_MESH_SHADER);
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.meshPickBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentCap', targets: colorTargets(renderer, ao, false) },
+            depthStencil: depthState(renderer, true),
+            primitive: { topology: 'triangle-list', cullMode: 'front' }
+        };
+    },
+    // edges/{wireframe|shadedWithEdges|hiddenLine}: one per display mode that draws edges
+    edges: (renderer, mode, ao) => {
+        const module = getShaderModule('Edge Shader', EDGE_SHADER);
+        const hiddenLine = mode === 'hiddenLine';
+        const depthStencil = depthState(renderer, hiddenLine);
+        // Drawn over the already shaded faces, so pull it slightly toward the camera
+        if (mode === 'shadedWithEdges') Object.assign(depthStencil, { depthBias: -4, depthBiasSlopeScale: -1 });
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.meshPickBindGroupLayout, renderer.edgeBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: {
+                module,
+                entryPoint: hiddenLine ? 'fragmentHiddenLine' : 'fragmentEdges',
+                targets: colorTargets(renderer, ao, !hiddenLine)
+            },
+            depthStencil,
+            // A wireframe shows every edge, front or back, so nothing of the mesh itself hides an edge
+            primitive: { topology: 'triangle-list', cullMode: mode === 'wireframe' ? 'none' : 'back' }
+        };
+    },
+    selectedTriangle: (renderer) => {
+        const module = getShaderModule('Mesh Pick Shader', PICK_MESH_SHADER);
+        // Drawn over the already shaded triangle, so pull it slightly toward the camera
+        const depthStencil = { ...depthState(renderer, false), depthBias: -4, depthBiasSlopeScale: -1 };
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.meshPickBindGroupLayout, renderer.highlightBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentTriangle', targets: [colorTarget(renderer)] },
+            depthStencil,
+            primitive: { topology: 'triangle-list', cullMode: 'back' }
+        };
+    },
+    outline: (renderer) => {
+        const module = getShaderModule('Outline Shader', OUTLINE_SHADER);
+        return {
+            layout: pipelineLayout(renderer.highlightBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [colorTarget(renderer)] },
+            primitive: { topology: 'triangle-list' }
+        };
+    },
+    // shadow/{mesh|instances}: depth only, into the shadow map
+    shadow: (renderer, type) => {
+        const module = getShaderModule('Shadow Shader', SHADOW_SHADER);
+        const instanced = type === 'instances';
+        return {
+            layout: pipelineLayout(renderer.shadowBindGroupLayout, renderer.objectBindGroupLayout),
+            vertex: instanced
+                ? { module, entryPoint: 'vertexInstanced', buffers: instancedMeshBufferLayout(false) }
+                : { module, entryPoint: 'vertexMain', buffers: [{ arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] }] },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [] },
+            // Both sides cast, so open meshes and single surfaces still shadow
+            depthStencil: { format: 'depth32float', depthWriteEnabled: true, depthCompare: 'less-equal', depthBiasSlopeScale: 1.5 },
+            primitive: { topology: 'triangle-list', cullMode: 'none' }
+        };
+    },
+    // ssao/{single|multisampled}: ambient occlusion from a depth texture with one or several samples,
+    // into a single-sampled occlusion texture
+    ssao: (renderer, depth) => {
+        const module = getShaderModule('SSAO Shader', ssaoShader(depth === 'multisampled'));
+        return {
+            layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.aoBindGroupLayouts[depth]),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [{ format: 'rg8unorm' }] },
+            primitive: { topology: 'triangle-list' }
+        };
+    },
+    // Multiplies the scene by its ambient occlusion
+    aoComposite: (renderer) => {
+        const module = getShaderModule('AO Composite Shader', AO_COMPOSITE_SHADER);
+        return {
+            layout: pipelineLayout(renderer.aoCompositeBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [{ format: `${renderer.colorFormat}-srgb`, blend: MULTIPLY_BLEND }] },
+            depthStencil: { ...depthState(renderer, false), depthCompare: 'always' },
+            primitive: { topology: 'triangle-list' }
+        };
+    },
+    // Blends the weighted blended transparency targets over the scene
+    oitComposite: (renderer) => {
+        const module = getShaderModule('OIT Composite Shader', OIT_COMPOSITE_SHADER);
+        return {
+            layout: pipelineLayout(renderer.oitBindGroupLayout),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [colorTarget(renderer)] },
+            depthStencil: { ...depthState(renderer, false), depthCompare: 'always' },
+            primitive: { topology: 'triangle-list' }
+        };
+    },
+    // pick/{mesh|line|billboard|points|instances}: writes pick ids into the ID texture
+    pick: (renderer, type) => {
+        const targets = [{ format: 'rgba32uint' }];
+        const depthStencil = depthState(renderer, true);
+        switch (type) {
+            case 'mesh': {
+                const module = getShaderModule('Mesh Pick Shader', PICK_MESH_SHADER);
+                return {
+                    layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.meshPickBindGroupLayout),
+                    vertex: { module, entryPoint: 'vertexMain' },
+                    fragment: { module, entryPoint: 'fragmentMain', targets },
+                    depthStencil,
+                    primitive: { topology: 'triangle-list', cullMode: 'back' }
+                };
+            }
+            case 'line': {
+                const module = getShaderModule('Line Shader', BILLBOARD_LINE_SHADER);
+                return {
+                    layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.objectBindGroupLayout),
+                    vertex: { module, entryPoint: 'vertexMain', buffers: LINE_BUFFER_LAYOUT },
+                    fragment: { module, entryPoint: 'fragmentPick', targets },
+                    depthStencil,
+                    primitive: { topology: 'triangle-list', cullMode: 'none' }
+                };
+            }
+            case 'billboard': {
+                const module = getShaderModule('Billboard Shader', BILLBOARD_SHADER);
+                return {
+                    layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.billboardBindGroupLayout, renderer.objectBindGroupLayout),
+                    vertex: { module, entryPoint: 'vertexMain', buffers: QUAD_BUFFER_LAYOUT },
+                    fragment: { module, entryPoint: 'fragmentPick', targets },
+                    depthStencil
+                };
+            }
+            case 'points': {
+                const module = getShaderModule('Point Shader', POINT_SHADER);
+                return {
+                    layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.objectBindGroupLayout),
+                    vertex: { module, entryPoint: 'vertexMain', buffers: POINT_BUFFER_LAYOUT },
+                    fragment: { module, entryPoint: 'fragmentPick', targets },
+                    depthStencil,
+                    primitive: { topology: 'triangle-strip' }
+                };
+            }
+            case 'instances': {
+                const module = getShaderModule('Instanced Mesh Shader', INSTANCED_MESH_SHADER);
+                return {
+                    layout: pipelineLayout(renderer.frameBindGroupLayout, renderer.lightBindGroupLayout, renderer.objectBindGroupLayout),
+                    vertex: { module, entryPoint: 'vertexMain', buffers: instancedMeshBufferLayout(false) },
+                    fragment: { module, entryPoint: 'fragmentPick', targets },
+                    depthStencil,
+                    primitive: { topology: 'triangle-list', cullMode: 'back' }
+                };
+            }
+        }
+        throw new Error(`Unknown pick pipeline '${type}'.`);
+    }
+};
 
-    const vertexBuffer = createBuffer(vertices, GPUBufferUsage.VERTEX);
-    const indexBuffer = createBuffer(indices, GPUBufferUsage.INDEX, Uint16Array);
+// Shader modules by WGSL source, shared by every viewer on the device
+const shaderModules = new Map();
 
-    // Calculate bounding box and center for sorting
-    let min = [Infinity, Infinity, Infinity];
-    let max = [-Infinity, -Infinity, -Infinity];
-    for (let i = 0; i < vertices.length; i += 3) {
-        min[0] = Math.min(min[0], vertices[i]);
-        min[1] = Math.min(min[1], vertices[i + 1]);
-        min[2] = Math.min(min[2], vertices[i + 2]);
-        max[0] = Math.max(max[0], vertices[i]);
-        max[1] = Math.max(max[1], vertices[i + 1]);
-        max[2] = Math.max(max[2], vertices[i + 2]);
+function getShaderModule(label, code) {
+    let module = shaderModules.get(code);
+    if (!module) {
+        module = device.createShaderModule({ label, code });
+        shaderModules.set(code, module);
     }
-    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+    return module;
+}
 
-    let colorBuffer = null;
-    let bindGroup = null;
-    let meshBindGroupLayout = null;
-    let isTransparent = false;
-    let shaderCode = null;
-    let pipelineLayout = null;
+function pipelineLayout(...bindGroupLayouts) {
+    return device.createPipelineLayout({ bindGroupLayouts });
+}
 
-    if (singleColor) {
-        shaderCode = MESH_SHADER;
-        isTransparent = colors.length >= 4 && colors[3] < 1.0;
+function colorTarget(renderer, blend = true) {
+    const target = { format: `${renderer.colorFormat}-srgb` };
+    if (blend) target.blend = ALPHA_BLEND;
+    return target;
+}
 
-        colorBuffer = createBuffer(colors, GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST);
+// The color targets of a pipeline that writes no normals. In the opaque pass of a frame with ambient
+// occlusion (ao), it leaves the normals target as it is.
+function colorTargets(renderer, ao, blend = true) {
+    const targets = [colorTarget(renderer, blend)];
+    if (ao) targets.push({ format: AO_NORMAL_FORMAT, writeMask: 0 });
+    return targets;
+}
 
-        meshBindGroupLayout = device.createBindGroupLayout({
-            label: `Mesh ${id} BGL`,
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }, // Light uniforms
-                { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} }  // Mesh color
-            ]
-        });
+// The fragment stage of a pipeline that draws 'opaque', alpha blended ('transparent'), or into the
+// weighted blended transparency targets ('oit') with the shader's fragmentOit. The opaque pass of a
+// frame with ambient occlusion (ao) draws with fragmentAo, which also writes the normals.
+function blendedFragment(renderer, module, transparency, ao) {
+    if (transparency === 'oit') return { module, entryPoint: 'fragmentOit', targets: OIT_TARGETS };
+    if (ao) return { module, entryPoint: 'fragmentAo', targets: [colorTarget(renderer), { format: AO_NORMAL_FORMAT }] };
+    return { module, entryPoint: 'fragmentMain', targets: [colorTarget(renderer)] };
+}
 
-        bindGroup = device.createBindGroup({
-            label: `Mesh ${id} BG`,
-            layout: meshBindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: lightUniformBuffer } },
-                { binding: 1, resource: { buffer: colorBuffer } }
-            ]
+function depthState(renderer, depthWriteEnabled) {
+    return { format: renderer.depthFormat, depthWriteEnabled, depthCompare: 'less-equal' };
+}
+
+// The last part of a pipeline key. oit picks the variant drawn into the weighted blended
+// transparency targets for transparent objects.
+function transparencyKey(isTransparent, oit) {
+    if (!isTransparent) return 'opaque';
+    return oit ? 'oit' : 'transparent';
+}
+
+function meshPipelineKey(mesh, oit = false) {
+    const coloring = mesh.scalarBuffer ? 'scalar' : mesh.singleColor ? 'uniform' : 'vertex';
+    const normals = mesh.normalBuffer ? 'normals' : 'none';
+    const uvs = mesh.uvBuffer ? 'uvs' : 'none';
+    return `mesh/${coloring}/${normals}/${uvs}/${transparencyKey(mesh.isTransparent, oit)}`;
+}
+
+function instancedMeshPipelineKey(mesh, oit = false) {
+    return `instances/${mesh.normalBuffer ? 'normals' : 'none'}/${transparencyKey(mesh.isTransparent, oit)}`;
+}
+
+function gridPipelineKey(renderer, oit = false) {
+    return `grid/${transparencyKey(renderer.gridIsTransparent, oit)}`;
+}
+
+function linePipelineKey(oit = false) {
+    return oit ? 'lines/oit' : 'lines';
+}
+
+// The ambient occlusion pass reads the depth of a scene drawn at sampleCount
+function aoPipelineKey(sampleCount) {
+    return sampleCount > 1 ? 'ssao/multisampled' : 'ssao/single';
+}
+
+// Returns the cache entry { pipeline, ready } for key at sampleCount, starting its build if needed.
+// pipeline stays null until ready resolves.
+function requestPipeline(renderer, key, sampleCount) {
+    const cacheKey = `${key}@${sampleCount}/${renderer.colorFormat}/${renderer.depthFormat}`;
+    let entry = renderer.pipelineCache.get(cacheKey);
+    if (!entry) {
+        const [name, ...args] = key.split('/');
+        const descriptor = {
+            label: `${key} Pipeline`,
+            ...PIPELINE_BUILDERS[name](renderer, ...args),
+            multisample: { count: sampleCount }
+        };
+        entry = { pipeline: null, ready: null };
+        // Objects are skipped while their pipeline is built, so a frame is drawn once it is ready
+        entry.ready = device.createRenderPipelineAsync(descriptor).then(pipeline => {
+            entry.pipeline = pipeline;
+            requestRender(renderer);
         });
-        pipelineLayout = device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, meshBindGroupLayout] });
-    } else {
-        shaderCode = MESH_SHADER_VERTEX_COLOR;
-        colorBuffer = createBuffer(colors, GPUBufferUsage.VERTEX);
-        // Check if any vertex has transparency to correctly flag the mesh
-        isTransparent = false;
-        for (let i = 3; i < colors.length; i += 4) {
-            if (colors[i] < 1.0) {
-                isTransparent = true;
-                break;
-            }
-        }
-        // For vertex-colored meshes, the bind group layout is just the light BGL
-        meshBindGroupLayout = lightBindGroupLayout;
-        pipelineLayout = device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, lightBindGroupLayout] });
+        // A failed build is reported and dropped, so a later request tries again. The draw path never awaits
+        // ready, so this also keeps it from being an unhandled rejection; loadPipeline callers still see it.
+        entry.ready.catch(e => {
+            if (renderer.pipelineCache.get(cacheKey) === entry) renderer.pipelineCache.delete(cacheKey);
+            if (renderer.disposed || !renderer.gpuReady) return;
+            renderer.dotNetRef?.invokeMethodAsync('OnWebGpuError', `Building the ${key} pipeline failed: ${e.message}`);
+        });
+        renderer.pipelineCache.set(cacheKey, entry);
     }
+    return entry;
+}
 
-    const shaderModule = device.createShaderModule({ code: shaderCode });
+// Returns the pipeline to draw with, or null while it is being built
+function getPipeline(renderer, key, sampleCount) {
+    return requestPipeline(renderer, key, sampleCount).pipeline;
+}
 
-    const vertexBufferLayout = [
-        { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] }
-    ];
+function loadPipeline(renderer, key, sampleCount = renderer.sampleCount) {
+    return requestPipeline(renderer, key, sampleCount).ready;
+}
 
-    if (!singleColor) {
-        vertexBufferLayout.push({
-            arrayStride: 16,
-            attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }]
-        });
+// Builds every pipeline the scene draws with at sampleCount, plus the ID pass pipelines
+async function preparePipelines(renderer, sampleCount) {
+    const keys = new Set([
+        gridPipelineKey(renderer),
+        'lines',
+        'billboards',
+        'points/opaque',
+        'points/transparent',
+        'cap',
+        'edges/wireframe',
+        'edges/shadedWithEdges',
+        'edges/hiddenLine',
+        'selectedTriangle'
+    ]);
+    for (const mesh of renderer.meshes.values()) keys.add(meshPipelineKey(mesh));
+    for (const mesh of renderer.instancedMeshes.values()) keys.add(instancedMeshPipelineKey(mesh));
+    if (renderer.transparency === 'weighted') {
+        keys.add(gridPipelineKey(renderer, true));
+        keys.add(linePipelineKey(true));
+        keys.add('oitComposite');
+        for (const mesh of renderer.meshes.values()) keys.add(meshPipelineKey(mesh, true));
+        for (const mesh of renderer.instancedMeshes.values()) keys.add(instancedMeshPipelineKey(mesh, true));
     }
+    const singleSampledKeys = renderer.shadows ? [...PICK_PIPELINE_KEYS, ...SHADOW_PIPELINE_KEYS] : [...PICK_PIPELINE_KEYS];
+    if (renderer.ambientOcclusion) {
+        const opaqueKeys = ['points/opaque', 'cap', 'edges/wireframe', 'edges/shadedWithEdges', 'edges/hiddenLine'];
+        if (!renderer.gridIsTransparent) opaqueKeys.push(gridPipelineKey(renderer));
+        for (const mesh of renderer.meshes.values()) {
+            if (!mesh.isTransparent) opaqueKeys.push(meshPipelineKey(mesh));
+        }
+        for (const mesh of renderer.instancedMeshes.values()) {
+            if (!mesh.isTransparent) opaqueKeys.push(instancedMeshPipelineKey(mesh));
+        }
+        for (const key of opaqueKeys) keys.add(`${key}/ao`);
+        keys.add('aoComposite');
+        singleSampledKeys.push(aoPipelineKey(sampleCount));
+    }
+    await Promise.all([
+        ...[...keys].map(key => loadPipeline(renderer, key, sampleCount)),
+        ...singleSampledKeys.map(key => loadPipeline(renderer, key, 1))
+    ]);
+}
 
-    const pipeline = await device.createRenderPipelineAsync({
-        label: `Mesh ${id} Pipeline`,
-        layout: pipelineLayout,
-        vertex: { module: shaderModule, entryPoint: 'vertexMain', buffers: vertexBufferLayout },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: !isTransparent,
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount },
-        primitive: { topology: 'triangle-list', cullMode: 'back' }
-    });
+// ============================================================================
+// Scene Management (Mesh, Lines, Billboards)
+// ============================================================================
 
-    meshes.push({
+export async function addMesh(renderer, meshData) {
+    const { id, singleColor } = meshData;
+    const vertices = floatArray(meshData.vertices);
+    const indices = indexArray(meshData.indices);
+    const colors = colorArray(meshData.colors);
+    const normals = floatArray(meshData.normals);
+    const uvs = floatArray(meshData.uvs);
+    const scalars = floatArray(meshData.scalars);
+
+    // STORAGE so the ID pass can pull positions and indices per triangle
+    const vertexBuffer = createBuffer(vertices, growable(GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE));
+    const { buffer: indexBuffer, format: indexFormat } = createIndexBuffer(indices, growable(GPUBufferUsage.INDEX | GPUBufferUsage.STORAGE));
+
+    // The color of a single-color mesh, then its material (see MESH_MATERIAL_WGSL)
+    const uniformBuffer = device.createBuffer({
+        size: MESH_BUFFER_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    // Meshes colored by scalars have one scalar per vertex in place of colors
+    const scalarBuffer = scalars ? createBuffer(scalars, growable(GPUBufferUsage.VERTEX)) : null;
+    const colorBuffer = singleColor || scalars ? null : createBuffer(colors, growable(GPUBufferUsage.VERTEX), Uint8Array);
+    // Without normals every vertex reads the same zero normal, which the shader shades flat
+    const normalBuffer = normals?.length ? createBuffer(normals, growable(GPUBufferUsage.VERTEX)) : null;
+    const uvBuffer = uvs?.length ? createBuffer(uvs, growable(GPUBufferUsage.VERTEX)) : null;
+
+    const mesh = {
         id,
-        center, // Store center for sorting
+        bounds: computeBounds(vertices),
         vertexBuffer,
         colorBuffer,
+        scalarBuffer,
+        colormapTexture: null, // see writeScalarColoring
+        normalBuffer,
+        uvBuffer,
         indexBuffer,
-        bindGroup,
+        indexFormat,
+        uniformBuffer,
+        texture: null, // see writeMeshTexture
+        sampler: null,
+        latestTexture: null,
+        bindGroup: null,
         singleColor,
-        isTransparent,
+        isTransparent: false, // see updateMeshTransparency
+        transparentColors: singleColor || scalars ? false : hasTransparentColor(colors),
+        transparentTexture: false,
+        materialOpacity: 1,
+        vertexCount: vertices.length / 3,
         indexCount: indices.length,
-        pipeline
-    });
+        displayMode: meshData.displayMode ?? null
+    };
+    if (scalars) writeScalarColoring(mesh, meshData.scalarColoring);
+    createMeshBindGroup(renderer, mesh);
+    if (singleColor) writeMeshColors(mesh, 0, colors);
+    writeMeshMaterial(mesh, meshData.material);
+    addPickable(renderer, 'mesh', mesh, indexFormat === 'uint16' ? 1 : 0);
+    if (meshData.transform) setModelMatrix(mesh, meshData.transform);
+    createMeshPickBindGroup(renderer, mesh);
+    setMeshLods(mesh, meshData.lods);
+    register(renderer, renderer.meshes, mesh, destroyMesh);
+    await writeMeshTexture(renderer, mesh, meshData.texture);
+    await loadPipeline(renderer, meshPipelineKey(mesh));
 }
 
-export function addMeshes(meshArray) {
-    for (const mesh of meshArray) {
-        addMesh(mesh);
-    }
+// The light, the mesh's color and material, and its texture, rebuilt when the texture changes
+function createMeshBindGroup(renderer, mesh) {
+    mesh.bindGroup = device.createBindGroup({
+        label: `Mesh ${mesh.id} BG`,
+        layout: renderer.meshBindGroupLayout,
+        entries: [
+            { binding: 0, resource: { buffer: renderer.lightUniformBuffer } },
+            { binding: 1, resource: { buffer: mesh.uniformBuffer } },
+            { binding: 2, resource: (mesh.texture ?? renderer.whiteTexture).createView() },
+            { binding: 3, resource: mesh.sampler ?? renderer.meshSampler },
+            { binding: 4, resource: (mesh.colormapTexture ?? renderer.whiteTexture).createView() }
+        ]
+    });
 }
 
-export function removeMesh(index) {
-    const mesh = meshes[index];
-    if (!mesh) return;
-    mesh.vertexBuffer?.destroy();
-    mesh.colorBuffer?.destroy();
-    mesh.indexBuffer?.destroy();
-    meshes.splice(index, 1);
+// coloring: { colors: [[r, g, b, a], ...], min, max, clampToRange, outOfRangeColor: [r, g, b, a] } maps the
+// mesh's scalars from min to max onto colors, spaced evenly along the colormap and blended in between.
+// Scalars outside the range take the end colors when clampToRange is true, or else outOfRangeColor.
+function writeScalarColoring(mesh, coloring) {
+    const { colors, min = 0, max = 1, clampToRange = true, outOfRangeColor = [0.5, 0.5, 0.5, 1] } = coloring;
+    const mapping = new ArrayBuffer(32);
+    new Float32Array(mapping, 0, 2).set([min, max]);
+    new Uint32Array(mapping, 8, 1)[0] = clampToRange ? 1 : 0;
+    new Float32Array(mapping, 16, 4).set(outOfRangeColor);
+    device.queue.writeBuffer(mesh.uniformBuffer, 64, mapping);
+
+    mesh.colormapTexture ??= device.createTexture({
+        label: `Mesh ${mesh.id} Colormap`,
+        size: [COLORMAP_SIZE, 1],
+        format: 'rgba8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+    });
+    const texels = new Uint8Array(COLORMAP_SIZE * 4);
+    for (let i = 0; i < COLORMAP_SIZE; i++) {
+        const position = i / (COLORMAP_SIZE - 1) * (colors.length - 1);
+        const below = Math.floor(position);
+        const above = Math.min(below + 1, colors.length - 1);
+        const f = position - below;
+        for (let c = 0; c < 4; c++) {
+            texels[i * 4 + c] = Math.round((colors[below][c] * (1 - f) + colors[above][c] * f) * 255);
+        }
+    }
+    device.queue.writeTexture({ texture: mesh.colormapTexture }, texels, { bytesPerRow: COLORMAP_SIZE * 4 }, [COLORMAP_SIZE, 1]);
+    mesh.transparentColors = colors.some(color => color[3] < 1) || (!clampToRange && outOfRangeColor[3] < 1);
 }
 
-export function changeMeshColor(colorChangeData) {
-    const { index, color } = colorChangeData;
-    const mesh = meshes[index];
-    if (mesh && mesh.singleColor && mesh.colorBuffer) {
-        device.queue.writeBuffer(mesh.colorBuffer, 0, new Float32Array(color));
-        if (color.length >= 4) {
-            mesh.isTransparent = color[3] < 1.0;
+// texture is one of
+//   { type: 'pixels', width, height, data }: RGBA bytes, row by row from the top of the image
+//   { type: 'image', data }: the bytes of an image file the browser can decode, such as PNG or JPEG
+//   { type: 'checkerboard', squares, colors }: squares across each side, alternating two [r, g, b, a] colors
+// with repeat (UVs outside 0..1 wrap around rather than clamp to the edge) and smooth (texels are
+// filtered linearly rather than the nearest taken). The texture tints the mesh's colors through its
+// UVs; null leaves it untextured.
+async function writeMeshTexture(renderer, mesh, texture) {
+    mesh.latestTexture = texture;
+    const { width, height, data } = texture ? await texturePixels(texture) : {};
+    // The mesh may have been removed, or given another texture, while an image decoded
+    if (renderer.meshes.get(mesh.id) !== mesh || mesh.latestTexture !== texture) return;
+    mesh.texture?.destroy();
+    mesh.texture = null;
+    mesh.sampler = null;
+    mesh.transparentTexture = false;
+    if (texture) {
+        mesh.texture = device.createTexture({
+            label: `Mesh ${mesh.id} Texture`,
+            size: [width, height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+        device.queue.writeTexture({ texture: mesh.texture }, data, { bytesPerRow: width * 4 }, [width, height]);
+        const addressMode = texture.repeat === false ? 'clamp-to-edge' : 'repeat';
+        const filter = texture.smooth === false ? 'nearest' : 'linear';
+        mesh.sampler = device.createSampler({
+            addressModeU: addressMode,
+            addressModeV: addressMode,
+            magFilter: filter,
+            minFilter: filter
+        });
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) {
+                mesh.transparentTexture = true;
+                break;
+            }
         }
     }
+    createMeshBindGroup(renderer, mesh);
+    updateMeshTransparency(mesh);
+    requestRender(renderer);
 }
 
-export function clearAllMeshes() {
-    for (const mesh of meshes) {
-        mesh.vertexBuffer?.destroy();
-        mesh.colorBuffer?.destroy();
-        mesh.indexBuffer?.destroy();
+async function texturePixels({ type, width, height, data, squares, colors }) {
+    if (type === 'checkerboard') return checkerboardPixels(squares, colors);
+    if (type === 'image') {
+        const bitmap = await createImageBitmap(new Blob([data]));
+        const context = new OffscreenCanvas(bitmap.width, bitmap.height).getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return { width: context.canvas.width, height: context.canvas.height, data: context.getImageData(0, 0, context.canvas.width, context.canvas.height).data };
     }
-    meshes.length = 0;
+    return { width, height, data };
 }
 
-export async function addLines(lineData) {
-    const { id, vertices, thickness, colors, fades } = lineData;
-
-    // Calculate center for sorting
-    let min = [Infinity, Infinity, Infinity];
-    let max = [-Infinity, -Infinity, -Infinity];
-    for (let i = 0; i < vertices.length; i += 3) {
-        min[0] = Math.min(min[0], vertices[i]);
-        min[1] = Math.min(min[1], vertices[i + 1]);
-        min[2] = Math.min(min[2], vertices[i + 2]);
-        max[0] = Math.max(max[0], vertices[i]);
-        max[1] = Math.max(max[1], vertices[i + 1]);
-        max[2] = Math.max(max[2], vertices[i + 2]);
+// For checking UV distortion: squares that stay square on the mesh mean an even parameterization
+function checkerboardPixels(squares = 8, colors = [[1, 1, 1, 1], [0.3, 0.3, 0.3, 1]]) {
+    const size = Math.max(1, Math.min(squares, 64)) * CHECKER_SQUARE_SIZE;
+    const bytes = colors.map(color => color.map(c => Math.round(c * 255)));
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const square = (Math.floor(x / CHECKER_SQUARE_SIZE) + Math.floor(y / CHECKER_SQUARE_SIZE)) % 2;
+            data.set(bytes[square], (y * size + x) * 4);
+        }
     }
-    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+    return { width: size, height: size, data };
+}
 
-    // Geometry buffers are created from pre-computed data from C#
-    const posBuffer = createBuffer(vertices, GPUBufferUsage.VERTEX);
-    const colorBuffer = createBuffer(colors, GPUBufferUsage.VERTEX);
-    const thicknessBuffer = createBuffer(thickness, GPUBufferUsage.VERTEX);
-    const uvBuffer = createBuffer(lineData.uvs, GPUBufferUsage.VERTEX);
-    const endPosBuffer = createBuffer(lineData.endPositions, GPUBufferUsage.VERTEX);
-    const fadeBuffer = createBuffer(fades, GPUBufferUsage.VERTEX);
-    const indexBuffer = createBuffer(lineData.indices, GPUBufferUsage.INDEX, Uint16Array);
+// The ID pass and the edge display modes read the mesh's vertex and index buffers directly,
+// so this is rebuilt whenever either buffer is replaced
+function createMeshPickBindGroup(renderer, mesh) {
+    mesh.pickBindGroup = mesh.indexCount > 0 ? device.createBindGroup({
+        label: `Mesh ${mesh.id} Pick BG`,
+        layout: renderer.meshPickBindGroupLayout,
+        entries: [
+            { binding: 0, resource: { buffer: mesh.objectUniformBuffer } },
+            { binding: 1, resource: { buffer: mesh.vertexBuffer } },
+            { binding: 2, resource: { buffer: mesh.indexBuffer } }
+        ]
+    }) : null;
+}
 
-    const shaderModule = device.createShaderModule({ label: `Line ${id} Shader`, code: BILLBOARD_LINE_SHADER });
+// lods: [{ indices, maxScreenSize }], coarser triangles over the mesh's vertices. The shaded display mode
+// draws the one with the smallest maxScreenSize above the mesh's size on screen (in pixels across its bounds)
+// instead of the mesh's own indices. An empty one hides the mesh below its size.
+function setMeshLods(mesh, lods) {
+    for (const lod of mesh.lods ?? []) lod.indexBuffer.destroy();
+    mesh.lods = (lods ?? []).map(lod => {
+        const indices = indexArray(lod.indices);
+        const { buffer, format } = createIndexBuffer(indices);
+        return { indexBuffer: buffer, indexFormat: format, indexCount: indices.length, maxScreenSize: lod.maxScreenSize };
+    }).sort((a, b) => a.maxScreenSize - b.maxScreenSize);
+}
 
-    const vertexBufferLayout = [
-        { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 16, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32' }] },
-        { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] },
-        { arrayStride: 12, attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 5, offset: 0, format: 'float32' }] }
-    ];
+// colors as packed by colorArray
+function hasTransparentColor(colors) {
+    for (let i = 3; i < colors.length; i += 4) {
+        if (colors[i] < 255) return true;
+    }
+    return false;
+}
 
-    const pipeline = await device.createRenderPipelineAsync({
-        label: `Line ${id} Pipeline`,
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout] }),
-        vertex: { module: shaderModule, entryPoint: 'vertexMain', buffers: vertexBufferLayout },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: false, // Transparent objects test depth but don't write to it
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount },
-        primitive: { topology: 'triangle-list', cullMode: 'none' }
-    });
+// Positions, then per-vertex colors or scalars (if any), then normals and UVs, matching the layout of the
+// mesh pipelines
+function setMeshVertexBuffers(renderer, pass, mesh) {
+    pass.setVertexBuffer(0, mesh.vertexBuffer);
+    let slot = 1;
+    if (!mesh.singleColor && mesh.colorBuffer) pass.setVertexBuffer(slot++, mesh.colorBuffer);
+    else if (mesh.scalarBuffer) pass.setVertexBuffer(slot++, mesh.scalarBuffer);
+    pass.setVertexBuffer(slot++, mesh.normalBuffer ?? renderer.zeroNormalBuffer);
+    pass.setVertexBuffer(slot, mesh.uvBuffer ?? renderer.zeroNormalBuffer);
+}
 
-    lines.push({
-        id,
-        center, // Store center for sorting
-        posBuffer,
-        colorBuffer,
-        thicknessBuffer,
-        uvBuffer,
-        endPosBuffer,
-        fadeBuffer,
-        indexBuffer,
-        indexCount: lineData.indices.length,
-        pipeline
-    });
+// Resolves once every mesh is registered and its pipeline is ready. Each mesh registers before its
+// pipeline is awaited, so the meshes keep the order they were sent in.
+export async function addMeshes(renderer, meshArray) {
+    await Promise.all(meshArray.map(mesh => addMesh(renderer, mesh)));
 }
 
-export function removeLines(index) {
-    const line = lines[index];
-    line.posBuffer?.destroy();
-    line.colorBuffer?.destroy();
-    line.thicknessBuffer?.destroy();
-    line.uvBuffer?.destroy();
-    line.endPosBuffer?.destroy();
-    line.fadeBuffer?.destroy();
-    line.indexBuffer?.destroy();
-    lines.splice(index, 1);
+export function removeMesh(renderer, id) {
+    unregister(renderer, renderer.meshes, id, destroyMesh);
+}
+
+function destroyMesh(renderer, mesh) {
+    mesh.vertexBuffer?.destroy();
+    mesh.colorBuffer?.destroy();
+    mesh.uniformBuffer?.destroy();
+    mesh.normalBuffer?.destroy();
+    mesh.uvBuffer?.destroy();
+    mesh.texture?.destroy();
+    mesh.scalarBuffer?.destroy();
+    mesh.colormapTexture?.destroy();
+    mesh.indexBuffer?.destroy();
+    setMeshLods(mesh, null);
+    removePickable(renderer, mesh);
 }
 
-export function clearAllLines() {
-    for (const line of lines) {
-        line.posBuffer?.destroy();
-        line.colorBuffer?.destroy();
-        line.thicknessBuffer?.destroy();
-        line.uvBuffer?.destroy();
-        line.endPosBuffer?.destroy();
-        line.fadeBuffer?.destroy();
-        line.indexBuffer?.destroy();
+export function changeMeshColor(renderer, colorChangeData) {
+    const { id, color } = colorChangeData;
+    const mesh = renderer.meshes.get(id);
+    if (mesh && mesh.singleColor) {
+        device.queue.writeBuffer(mesh.uniformBuffer, 0, new Float32Array(color));
+        if (color.length >= 4) {
+            mesh.transparentColors = color[3] < 1.0;
+            updateMeshTransparency(mesh);
+        }
+        requestRender(renderer);
     }
-    lines.length = 0;
 }
 
-export async function addTextBillboard(billboardData) {
-    const { id, text, position, backgroundColor, textColor } = billboardData;
+// Sets the material of the mesh with this id: { model: 'blinnPhong' | 'physicallyBased', baseColor: [r, g, b, a],
+// metallic, roughness, emissive: [r, g, b], opacity } (see MESH_MATERIAL_WGSL). null is the Blinn-Phong look.
+export async function setMeshMaterial(renderer, id, material) {
+    const mesh = renderer.meshes.get(id);
+    if (!mesh) return;
+    writeMeshMaterial(mesh, material);
+    requestRender(renderer);
+    await loadPipeline(renderer, meshPipelineKey(mesh));
+}
 
-    // Create a canvas to render the text
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    ctx.font = 'bold 24px sans-serif';
-    const textMetrics = ctx.measureText(text);
-    canvas.width = Math.ceil(textMetrics.width) + 20;
-    canvas.height = 30;
+// Changes the colormap and range of a mesh colored by scalars (see writeScalarColoring) without
+// sending its scalars again
+export async function setMeshScalarColoring(renderer, id, coloring) {
+    const mesh = renderer.meshes.get(id);
+    if (!mesh?.scalarBuffer) return;
+    writeScalarColoring(mesh, coloring);
+    updateMeshTransparency(mesh);
+    requestRender(renderer);
+    await loadPipeline(renderer, meshPipelineKey(mesh));
+}
 
-    // Background
-    ctx.fillStyle = `rgba(${Math.floor(backgroundColor[0] * 255)}, ${Math.floor(backgroundColor[1] * 255)}, ${Math.floor(backgroundColor[2] * 255)}, ${backgroundColor[3]})`;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+function writeMeshMaterial(mesh, material) {
+    const { baseColor = [1, 1, 1, 1], emissive = [0, 0, 0], metallic = 0, roughness = 0.5, opacity = 1 } = material ?? {};
+    const data = new ArrayBuffer(48); // bytes 16 to 64 of the mesh uniforms, before the scalar mapping
+    new Float32Array(data, 0, 9).set([...baseColor.slice(0, 3), baseColor[3] * opacity, ...emissive, metallic, roughness]);
+    new Uint32Array(data, 36, 1)[0] = material?.model === 'physicallyBased' ? 1 : 0;
+    device.queue.writeBuffer(mesh.uniformBuffer, 16, data);
+    mesh.materialOpacity = baseColor[3] * opacity;
+    updateMeshTransparency(mesh);
+}
 
-    // Text
-    ctx.fillStyle = `rgba(${Math.floor(textColor[0] * 255)}, ${Math.floor(textColor[1] * 255)}, ${Math.floor(textColor[2] * 255)}, ${textColor[3]})`;
-    ctx.font = 'bold 24px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+// A mesh is drawn as transparent when any of its colors, its texture or its material is see-through
+function updateMeshTransparency(mesh) {
+    mesh.isTransparent = mesh.transparentColors || mesh.transparentTexture || mesh.materialOpacity < 1.0;
+}
 
-    // Create ImageBitmap for reliable texture copying
-    const bitmap = await createImageBitmap(canvas);
+export function clearAllMeshes(renderer) {
+    clearRegistry(renderer, renderer.meshes, destroyMesh);
+}
 
-    const texture = device.createTexture({
-        size: [canvas.width, canvas.height],
+// Replaces the geometry of the mesh with this id by writing meshData (as in addMesh) into its existing
+// buffers, which grow with headroom when they run out. Used for remeshing, where the triangles change too.
+// The transform, display mode and material are replaced too, so that the GPU matches the mesh C# holds; the coloring
+// (single, per-vertex or scalar) must stay the same.
+export async function updateMesh(renderer, id, meshData) {
+    const mesh = renderer.meshes.get(id);
+    if (!mesh) return;
+    const normals = floatArray(meshData.normals);
+    mesh.vertexCount = 0;
+    writeMeshVertices(renderer, mesh, 0, floatArray(meshData.vertices));
+    writeMeshIndices(renderer, mesh, indexArray(meshData.indices));
+    if (normals?.length) {
+        writeGrowableBuffer(mesh, 'normalBuffer', GPUBufferUsage.VERTEX, 0, normals);
+    } else {
+        mesh.normalBuffer?.destroy();
+        mesh.normalBuffer = null;
+    }
+    const uvs = floatArray(meshData.uvs);
+    if (uvs?.length) {
+        writeGrowableBuffer(mesh, 'uvBuffer', GPUBufferUsage.VERTEX, 0, uvs);
+    } else {
+        mesh.uvBuffer?.destroy();
+        mesh.uvBuffer = null;
+    }
+    if (mesh.scalarBuffer) {
+        writeGrowableBuffer(mesh, 'scalarBuffer', GPUBufferUsage.VERTEX, 0, floatArray(meshData.scalars));
+        writeScalarColoring(mesh, meshData.scalarColoring);
+    } else {
+        writeMeshColors(mesh, 0, colorArray(meshData.colors));
+    }
+    writeMeshMaterial(mesh, meshData.material); // Also updates the transparency for the new colors
+    setMeshLods(mesh, meshData.lods);
+    if (meshData.transform) setModelMatrix(mesh, meshData.transform);
+    mesh.displayMode = meshData.displayMode ?? null;
+    requestRender(renderer);
+    await writeMeshTexture(renderer, mesh, meshData.texture);
+    await loadPipeline(renderer, meshPipelineKey(mesh));
+}
+
+// Writes vertex positions (x, y, z triplets) starting at vertex `offset`, leaving the others in place.
+// Writing past the last vertex adds vertices; indices that use them can then be sent with updateMesh.
+export function updateMeshVertices(renderer, id, offset, vertices) {
+    const mesh = renderer.meshes.get(id);
+    if (!mesh) return;
+    writeMeshVertices(renderer, mesh, offset, floatArray(vertices));
+    requestRender(renderer);
+}
+
+// Writes per-vertex normals starting at vertex `offset`. A mesh without normals gets a normal buffer
+// (and becomes smooth shaded) on its first update.
+export async function updateMeshNormals(renderer, id, offset, normals) {
+    const mesh = renderer.meshes.get(id);
+    if (!mesh) return;
+    writeGrowableBuffer(mesh, 'normalBuffer', GPUBufferUsage.VERTEX, offset * 12, floatArray(normals));
+    requestRender(renderer);
+    await loadPipeline(renderer, meshPipelineKey(mesh));
+}
+
+// Writes RGBA colors starting at vertex `offset`. A single-color mesh takes the first color as its color.
+export async function updateMeshColors(renderer, id, offset, colors) {
+    const mesh = renderer.meshes.get(id);
+    if (!mesh || mesh.scalarBuffer) return; // Meshes colored by scalars have no colors
+    writeMeshColors(mesh, offset, colorArray(colors));
+    requestRender(renderer);
+    await loadPipeline(renderer, meshPipelineKey(mesh));
+}
+
+function writeMeshVertices(renderer, mesh, offset, data) {
+    if (writeGrowableBuffer(mesh, 'vertexBuffer', GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE, offset * 12, data)) {
+        createMeshPickBindGroup(renderer, mesh);
+    }
+    const count = data.length / 3;
+    // The bounds can only be recomputed when every vertex was written; otherwise they can only grow
+    const replacesAll = offset === 0 && count >= mesh.vertexCount;
+    setBounds(mesh, replacesAll ? computeBounds(data) : mergeBounds(mesh.bounds, computeBounds(data)));
+    mesh.vertexCount = Math.max(mesh.vertexCount, offset + count);
+}
+
+function writeMeshColors(mesh, offset, data) {
+    if (mesh.singleColor) {
+        const color = data.subarray(0, 4);
+        device.queue.writeBuffer(mesh.uniformBuffer, 0, Float32Array.from(color, c => c / 255));
+        mesh.transparentColors = hasTransparentColor(color);
+        updateMeshTransparency(mesh);
+        return;
+    }
+    writeGrowableBuffer(mesh, 'colorBuffer', GPUBufferUsage.VERTEX, offset * 4, data);
+    // Opaque colors only make the mesh opaque when they replace all of its colors
+    const replacesAll = offset === 0 && data.length / 4 >= mesh.vertexCount;
+    mesh.transparentColors = hasTransparentColor(data) || (!replacesAll && mesh.transparentColors);
+    updateMeshTransparency(mesh);
+}
+
+// Replaces all of the mesh's triangle indices, switching to 32-bit indices when they no longer fit in 16 bits
+function writeMeshIndices(renderer, mesh, indices) {
+    let maxIndex = 0;
+    for (let i = 0; i < indices.length; i++) {
+        if (indices[i] > maxIndex) maxIndex = indices[i];
+    }
+    const use32 = mesh.indexFormat === 'uint32' || maxIndex > 0xFFFF;
+    // writeBuffer needs a multiple of 4 bytes, so an odd number of 16-bit indices gets one spare
+    const data = new (use32 ? Uint32Array : Uint16Array)(use32 ? indices.length : (indices.length + 1) & ~1);
+    data.set(indices);
+    if (use32 && mesh.indexFormat === 'uint16') {
+        mesh.indexBuffer.destroy();
+        mesh.indexBuffer = null;
+        mesh.indexFormat = 'uint32';
+        setPickParam(mesh, 0);
+    }
+    const replaced = writeGrowableBuffer(mesh, 'indexBuffer', GPUBufferUsage.INDEX | GPUBufferUsage.STORAGE, 0, data);
+    mesh.indexCount = indices.length;
+    if (replaced || !mesh.pickBindGroup) createMeshPickBindGroup(renderer, mesh);
+}
+
+export function addLines(renderer, lineData) {
+    const { id, segmentIndices } = lineData;
+    const arrays = lineArrays(lineData);
+    const { vertices, colors, thickness, uvs, endPositions, fades, indices } = arrays;
+
+    // Geometry buffers are created from pre-computed data from C#
+    const usage = growable(GPUBufferUsage.VERTEX);
+    const posBuffer = createBuffer(vertices, usage);
+    const colorBuffer = createBuffer(colors, usage, Uint8Array);
+    const thicknessBuffer = createBuffer(thickness, usage);
+    const uvBuffer = createBuffer(uvs, usage);
+    const endPosBuffer = createBuffer(endPositions, usage);
+    const fadeBuffer = createBuffer(fades, usage);
+    const { buffer: indexBuffer, format: indexFormat } = createIndexBuffer(indices, growable(GPUBufferUsage.INDEX));
+
+    const line = {
+        id,
+        bounds: lineBounds(arrays),
+        posBuffer,
+        colorBuffer,
+        thicknessBuffer,
+        uvBuffer,
+        endPosBuffer,
+        fadeBuffer,
+        indexBuffer,
+        indexFormat,
+        indexCount: indices.length,
+        // Maps each drawn segment back to its segment in the C# path (zero-thickness segments are not drawn)
+        segmentIndices: segmentIndices ?? []
+    };
+    // Every drawn segment emits the same number of vertices, so the ID pass can recover it from vertex_index
+    const drawnSegments = segmentIndices?.length || 1;
+    line.verticesPerSegment = Math.round(vertices.length / 3 / drawnSegments);
+    line.indicesPerSegment = Math.round(indices.length / drawnSegments);
+    addPickable(renderer, 'line', line, line.verticesPerSegment);
+    if (lineData.transform) setModelMatrix(line, lineData.transform);
+    register(renderer, renderer.lines, line, destroyLine);
+}
+
+export function removeLines(renderer, id) {
+    unregister(renderer, renderer.lines, id, destroyLine);
+}
+
+export function clearAllLines(renderer) {
+    clearRegistry(renderer, renderer.lines, destroyLine);
+}
+
+function destroyLine(renderer, line) {
+    line.posBuffer?.destroy();
+    line.colorBuffer?.destroy();
+    line.thicknessBuffer?.destroy();
+    line.uvBuffer?.destroy();
+    line.endPosBuffer?.destroy();
+    line.fadeBuffer?.destroy();
+    line.indexBuffer?.destroy();
+    removePickable(renderer, line);
+}
+
+// Rewrites the line with this id from drawn segment `firstSegment` on. lineData holds the same arrays as
+// addLines, but only for the segments that changed, with indices counted from the first of them. Segments
+// after them are dropped, so a growing path is streamed by sending just its new segments; the buffers
+// grow with headroom when they run out.
+export function updateLineVertices(renderer, id, firstSegment, lineData) {
+    const line = renderer.lines.get(id);
+    if (!line) return;
+    const arrays = lineArrays(lineData);
+    const { vertices, colors, thickness, uvs, endPositions, fades, indices } = arrays;
+    const segmentCount = lineData.segmentIndices.length;
+    if (segmentCount > 0) {
+        line.verticesPerSegment = vertices.length / 3 / segmentCount;
+        line.indicesPerSegment = indices.length / segmentCount;
+        setPickParam(line, line.verticesPerSegment);
+    }
+    const vertexOffset = firstSegment * line.verticesPerSegment;
+    const usage = GPUBufferUsage.VERTEX;
+    writeGrowableBuffer(line, 'posBuffer', usage, vertexOffset * 12, vertices);
+    writeGrowableBuffer(line, 'colorBuffer', usage, vertexOffset * 4, colors);
+    writeGrowableBuffer(line, 'thicknessBuffer', usage, vertexOffset * 4, thickness);
+    writeGrowableBuffer(line, 'uvBuffer', usage, vertexOffset * 8, uvs);
+    writeGrowableBuffer(line, 'endPosBuffer', usage, vertexOffset * 12, endPositions);
+    writeGrowableBuffer(line, 'fadeBuffer', usage, vertexOffset * 4, fades);
+    line.segmentIndices = [...line.segmentIndices.slice(0, firstSegment), ...lineData.segmentIndices];
+    if (segmentCount > 0) writeLineIndices(line, firstSegment, indices);
+    line.indexCount = line.segmentIndices.length * line.indicesPerSegment;
+    // Dropped segments don't shrink the bounds until the whole line is rewritten
+    setBounds(line, firstSegment === 0 ? lineBounds(arrays) : mergeBounds(line.bounds, lineBounds(arrays)));
+    requestRender(renderer);
+}
+
+// The per-vertex arrays and indices of lineData (as sent to addLines) as typed arrays
+function lineArrays(lineData) {
+    return {
+        vertices: floatArray(lineData.vertices),
+        colors: colorArray(lineData.colors),
+        thickness: floatArray(lineData.thickness),
+        uvs: floatArray(lineData.uvs),
+        endPositions: floatArray(lineData.endPositions),
+        fades: floatArray(lineData.fades),
+        indices: indexArray(lineData.indices)
+    };
+}
+
+// Bounds of the segments' ends, grown by the thickest of them (thickness is in world units)
+function lineBounds({ vertices, endPositions, thickness }) {
+    let margin = 0;
+    for (let i = 0; i < thickness.length; i++) margin = Math.max(margin, thickness[i]);
+    return mergeBounds(computeBounds(vertices, 3, 0, margin), computeBounds(endPositions, 3, 0, margin));
+}
+
+// Every segment is indexed alike, offset by its first vertex, so the indices of segment s are the first
+// segment's indices plus s * verticesPerSegment. That lets all of them be rebuilt when the line outgrows
+// 16-bit indices.
+function writeLineIndices(line, firstSegment, indices) {
+    const { verticesPerSegment, indicesPerSegment } = line;
+    const segmentCount = line.segmentIndices.length;
+    const use32 = line.indexFormat === 'uint32' || segmentCount * verticesPerSegment > 0x10000;
+    const bytesPerIndex = use32 ? 4 : 2;
+    // writeBuffer offsets must be a multiple of 4 bytes
+    const aligned = (firstSegment * indicesPerSegment * bytesPerIndex) % 4 === 0;
+    if (use32 && line.indexFormat === 'uint16') {
+        line.indexBuffer.destroy();
+        line.indexBuffer = null;
+        line.indexFormat = 'uint32';
+    }
+    const from = line.indexBuffer && aligned ? firstSegment : 0;
+    const count = (segmentCount - from) * indicesPerSegment;
+    // ...and their size too, so an odd number of 16-bit indices gets one spare
+    const data = new (use32 ? Uint32Array : Uint16Array)(use32 ? count : (count + 1) & ~1);
+    for (let s = from; s < segmentCount; s++) {
+        const base = (s - from) * indicesPerSegment;
+        const vertexOffset = s * verticesPerSegment;
+        for (let i = 0; i < indicesPerSegment; i++) data[base + i] = indices[i] + vertexOffset;
+    }
+    writeGrowableBuffer(line, 'indexBuffer', GPUBufferUsage.INDEX, from * indicesPerSegment * bytesPerIndex, data);
+}
+
+// billboardData: { id, text, position, backgroundColor, textColor, style, transform }. text may hold
+// several lines. style: { fontFamily, fontSize, fontWeight, padding, borderWidth, borderColor, cornerRadius }
+// in CSS pixels, plus sizeInWorldUnits, worldHeight (the label's height in world units when sized in them),
+// anchor: [x, y] (the point of the label at position, from [0, 0] bottom left to [1, 1] top right) and
+// offset: [x, y] (moving the label right and up, in pixels or world units).
+export async function addTextBillboard(renderer, billboardData) {
+    const { id, text, position, backgroundColor, textColor } = billboardData;
+    const style = billboardData.style ?? {};
+    const { sizeInWorldUnits = false, worldHeight = 1, anchor = [0.5, 0.5], offset = [0, 0] } = style;
+
+    // Drawn at the screen's resolution so that labels sized in pixels stay sharp
+    const scale = globalThis.devicePixelRatio || 1;
+    const canvas = drawLabel(text, style, backgroundColor, textColor, scale);
+
+    // Create ImageBitmap for reliable texture copying
+    const bitmap = await createImageBitmap(canvas);
+    // The viewer may have been disposed, or lost its device, meanwhile
+    if (renderer.disposed || !renderer.gpuReady) {
+        bitmap.close();
+        return;
+    }
+
+    const texture = device.createTexture({
+        size: [canvas.width, canvas.height],
         format: 'rgba8unorm',
         usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
     });
@@ -1268,6 +3578,16 @@ export async function addTextBillboard(billboardData) {
     const vertexBuffer = createBuffer(vertices, GPUBufferUsage.VERTEX);
     const indexBuffer = createBuffer(new Uint16Array([0, 1, 2, 1, 3, 2]), GPUBufferUsage.INDEX, Uint16Array);
 
+    // The quad's size, and the shift from the anchor point to its bottom left corner
+    const size = sizeInWorldUnits
+        ? [worldHeight * canvas.width / canvas.height, worldHeight]
+        : [canvas.width, canvas.height];
+    const offsetScale = sizeInWorldUnits ? 1 : scale; // offsets in pixels are CSS pixels, like the style
+    const shift = [0, 1].map(i => offset[i] * offsetScale - anchor[i] * size[i]);
+    const labelBuffer = createBuffer(new Float32Array([...size, ...shift]), GPUBufferUsage.UNIFORM);
+    // The farthest the quad reaches from its anchor
+    const reach = Math.max(...[0, 1].flatMap(x => [0, 1].map(y => Math.hypot(x * size[0] + shift[0], y * size[1] + shift[1]))));
+
     const sampler = device.createSampler({
         magFilter: 'linear',
         minFilter: 'linear',
@@ -1275,100 +3595,832 @@ export async function addTextBillboard(billboardData) {
         addressModeV: 'clamp-to-edge'
     });
 
-    const bindGroupLayout = device.createBindGroupLayout({
-        entries: [
-            { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
-            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {} }
-        ]
-    });
-
     const bindGroup = device.createBindGroup({
-        layout: bindGroupLayout,
+        layout: renderer.billboardBindGroupLayout,
         entries: [
             { binding: 0, resource: sampler },
-            { binding: 1, resource: texture.createView() }
+            { binding: 1, resource: texture.createView() },
+            { binding: 2, resource: { buffer: labelBuffer } }
         ]
     });
 
-    const shaderModule = device.createShaderModule({ code: BILLBOARD_SHADER });
-
-    const pipeline = await device.createRenderPipelineAsync({
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, bindGroupLayout] }),
-        vertex: {
-            module: shaderModule,
-            entryPoint: 'vertexMain',
-            buffers: [{
-                arrayStride: 20,
-                attributes: [
-                    { shaderLocation: 0, offset: 0, format: 'float32x3' },
-                    { shaderLocation: 1, offset: 12, format: 'float32x2' }
-                ]
-            }]
-        },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: false, // Transparent objects test depth but don't write to it
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount }
-    });
-
-    textBillboards.push({
+    const billboard = {
         id,
-        position, // Store position for sorting
+        bounds: computeBounds(position, 3, 0, sizeInWorldUnits ? reach : 0),
+        screenMargin: sizeInWorldUnits ? 0 : reach,
         vertexBuffer,
         indexBuffer,
+        labelBuffer,
         bindGroup,
         texture,
         sampler,
-        indexCount: 6,
-        pipeline
-    });
+        indexCount: 6
+    };
+    addPickable(renderer, 'billboard', billboard, sizeInWorldUnits ? 1 : 0);
+    if (billboardData.transform) setModelMatrix(billboard, billboardData.transform);
+    register(renderer, renderer.textBillboards, billboard, destroyTextBillboard);
+}
+
+// Draws the lines of text over a background with optional border and rounded corners, at `scale` canvas
+// pixels per CSS pixel of the style
+function drawLabel(text, style, backgroundColor, textColor, scale) {
+    const {
+        fontFamily = 'sans-serif', fontSize = 16, fontWeight = 700, padding = 4,
+        borderWidth = 0, borderColor = [0, 0, 0, 1], cornerRadius = 0
+    } = style;
+    const font = `${fontWeight} ${fontSize * scale}px ${fontFamily}`;
+    const lines = String(text).split(/\r?\n/);
+    const lineHeight = Math.ceil(fontSize * 1.25 * scale);
+    const inset = (padding + borderWidth) * scale;
+    const border = borderWidth * scale;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+    canvas.width = Math.max(1, Math.ceil(textWidth + 2 * inset));
+    canvas.height = Math.max(1, Math.ceil(lines.length * lineHeight + 2 * inset));
+
+    // Background, with the border stroked inside the canvas (resizing it reset the context)
+    ctx.beginPath();
+    ctx.roundRect(border / 2, border / 2, canvas.width - border, canvas.height - border, Math.max(0, (cornerRadius - borderWidth / 2) * scale));
+    ctx.fillStyle = cssColor(backgroundColor);
+    ctx.fill();
+    if (border > 0) {
+        ctx.lineWidth = border;
+        ctx.strokeStyle = cssColor(borderColor);
+        ctx.stroke();
+    }
+
+    // Text
+    ctx.fillStyle = cssColor(textColor);
+    ctx.font = font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => ctx.fillText(line, canvas.width / 2, inset + (i + 0.5) * lineHeight));
+    return canvas;
+}
+
+function cssColor(color) {
+    return `rgba(${Math.floor(color[0] * 255)}, ${Math.floor(color[1] * 255)}, ${Math.floor(color[2] * 255)}, ${color[3]})`;
+}
+
+export function removeTextBillboard(renderer, id) {
+    unregister(renderer, renderer.textBillboards, id, destroyTextBillboard);
 }
 
-export function removeTextBillboard(index) {
-    const billboard = textBillboards[index];
+export function clearAllTextBillboards(renderer) {
+    clearRegistry(renderer, renderer.textBillboards, destroyTextBillboard);
+}
+
+function destroyTextBillboard(renderer, billboard) {
     billboard.vertexBuffer?.destroy();
     billboard.indexBuffer?.destroy();
+    billboard.labelBuffer?.destroy();
     billboard.texture?.destroy();
-    textBillboards.splice(index, 1);
+    removePickable(renderer, billboard);
+}
+
+// pointData: { id, vertices, colors, sizes, sizeInWorldUnits, shape: 'disc' | 'square', transform }.
+// colors holds one RGBA per point or a single RGBA for all; sizes one diameter per point or a single one.
+export function addPoints(renderer, pointData) {
+    const { id } = pointData;
+    const vertices = floatArray(pointData.vertices);
+    const colors = colorArray(pointData.colors);
+    const sizes = floatArray(pointData.sizes);
+    const count = Math.floor(vertices.length / 3);
+    // A square reaches its half diagonal from its center
+    let reach = 0;
+    for (let i = 0; i < sizes.length; i++) reach = Math.max(reach, sizes[i] * Math.SQRT1_2);
+
+    const isTransparent = hasTransparentColor(colors);
+
+    const cloud = {
+        id,
+        bounds: computeBounds(vertices, 3, 0, pointData.sizeInWorldUnits ? reach : 0),
+        screenMargin: pointData.sizeInWorldUnits ? 0 : reach,
+        positionBuffer: createBuffer(vertices, GPUBufferUsage.VERTEX),
+        colorBuffer: createBuffer(repeatPerInstance(colors, 4, count), GPUBufferUsage.VERTEX, Uint8Array),
+        sizeBuffer: createBuffer(repeatPerInstance(sizes, 1, count), GPUBufferUsage.VERTEX),
+        count,
+        isTransparent
+    };
+    const param = (pointData.sizeInWorldUnits ? 1 : 0) | (pointData.shape === 'square' ? 2 : 0);
+    addPickable(renderer, 'points', cloud, param);
+    if (pointData.transform) setModelMatrix(cloud, pointData.transform);
+    register(renderer, renderer.pointClouds, cloud, destroyPointCloud);
+}
+
+export function removePoints(renderer, id) {
+    unregister(renderer, renderer.pointClouds, id, destroyPointCloud);
+}
+
+export function clearAllPoints(renderer) {
+    clearRegistry(renderer, renderer.pointClouds, destroyPointCloud);
+}
+
+function destroyPointCloud(renderer, cloud) {
+    cloud.positionBuffer?.destroy();
+    cloud.colorBuffer?.destroy();
+    cloud.sizeBuffer?.destroy();
+    removePickable(renderer, cloud);
+}
+
+// Expands a single value (of `components` numbers) to one per point or instance; per-instance data is returned as is
+function repeatPerInstance(values, components, count) {
+    if (values.length !== components || count <= 1) return values;
+    const repeated = new values.constructor(components * count);
+    for (let i = 0; i < repeated.length; i += components) repeated.set(values, i);
+    return repeated;
 }
 
-export function clearAllTextBillboards() {
-    for (const billboard of textBillboards) {
-        billboard.vertexBuffer?.destroy();
-        billboard.indexBuffer?.destroy();
-        billboard.texture?.destroy();
+// instancedData: { id, vertices, indices, normals, instanceTransforms, colors, transform }.
+// The geometry (vertices, indices, optional normals) is shared by every instance. instanceTransforms holds
+// 16 floats (column-major) per instance; colors one RGBA per instance or a single RGBA for all.
+// Instanced meshes are always drawn shaded, whatever the display mode.
+export async function addInstancedMesh(renderer, instancedData) {
+    const { id } = instancedData;
+    const vertices = floatArray(instancedData.vertices);
+    const indices = indexArray(instancedData.indices);
+    const normals = floatArray(instancedData.normals);
+    const { buffer: indexBuffer, format: indexFormat } = createIndexBuffer(indices);
+    let geometryRadius = 0;
+    for (let i = 0; i < vertices.length; i += 3) {
+        geometryRadius = Math.max(geometryRadius, Math.hypot(vertices[i], vertices[i + 1], vertices[i + 2]));
     }
-    textBillboards.length = 0;
+    const mesh = {
+        id,
+        geometryRadius, // How far the geometry reaches from its origin, for the bounds
+        vertexBuffer: createBuffer(vertices, GPUBufferUsage.VERTEX),
+        normalBuffer: normals?.length ? createBuffer(normals, GPUBufferUsage.VERTEX) : null,
+        indexBuffer,
+        indexFormat,
+        indexCount: indices.length,
+        instanceCount: 0
+    };
+    writeInstances(mesh, instancedData);
+    addPickable(renderer, 'instances', mesh);
+    if (instancedData.transform) setModelMatrix(mesh, instancedData.transform);
+    register(renderer, renderer.instancedMeshes, mesh, destroyInstancedMesh);
+    await loadPipeline(renderer, instancedMeshPipelineKey(mesh));
+}
+
+// Replaces the instances of an instanced mesh: { instanceTransforms, colors } as in addInstancedMesh.
+// The geometry is kept, and so are the instance buffers while the instance count stays the same.
+export function updateInstances(renderer, id, instanceData) {
+    const mesh = renderer.instancedMeshes.get(id);
+    if (!mesh) return;
+    writeInstances(mesh, instanceData);
+    requestRender(renderer);
+}
+
+export function removeInstancedMesh(renderer, id) {
+    unregister(renderer, renderer.instancedMeshes, id, destroyInstancedMesh);
+}
+
+export function clearAllInstancedMeshes(renderer) {
+    clearRegistry(renderer, renderer.instancedMeshes, destroyInstancedMesh);
+}
+
+function destroyInstancedMesh(renderer, mesh) {
+    mesh.vertexBuffer?.destroy();
+    mesh.normalBuffer?.destroy();
+    mesh.indexBuffer?.destroy();
+    mesh.colorBuffer?.destroy();
+    mesh.transformBuffer?.destroy();
+    removePickable(renderer, mesh);
+}
+
+function writeInstances(mesh, instanceData) {
+    const transforms = floatArray(instanceData.instanceTransforms);
+    const colors = colorArray(instanceData.colors);
+    const count = Math.floor(transforms.length / 16);
+    const instanceColors = repeatPerInstance(colors, 4, count);
+    if (count === mesh.instanceCount && mesh.transformBuffer) {
+        device.queue.writeBuffer(mesh.transformBuffer, 0, transforms);
+        device.queue.writeBuffer(mesh.colorBuffer, 0, instanceColors);
+    } else {
+        mesh.transformBuffer?.destroy();
+        mesh.colorBuffer?.destroy();
+        mesh.transformBuffer = createBuffer(transforms, GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST);
+        mesh.colorBuffer = createBuffer(instanceColors, GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST, Uint8Array);
+        mesh.instanceCount = count;
+    }
+
+    mesh.isTransparent = hasTransparentColor(colors);
+    // Bounds of the instance origins (the translation column of each transform), grown by the geometry
+    // at the largest instance scale
+    let scale = 0;
+    for (let i = 0; i < transforms.length; i += 16) scale = Math.max(scale, maxAxisScale(transforms, i));
+    setBounds(mesh, computeBounds(transforms, 16, 12, mesh.geometryRadius * scale));
+}
+
+// Positions, instance colors, normals, then instance transforms, matching instancedMeshBufferLayout
+function setInstancedMeshVertexBuffers(renderer, pass, mesh) {
+    pass.setVertexBuffer(0, mesh.vertexBuffer);
+    pass.setVertexBuffer(1, mesh.colorBuffer);
+    pass.setVertexBuffer(2, mesh.normalBuffer ?? renderer.zeroNormalBuffer);
+    pass.setVertexBuffer(3, mesh.transformBuffer);
+    pass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+}
+
+// Sets the model matrix (16 floats, column-major) of every mesh, line, billboard, point cloud and
+// instanced mesh with this id. Only the object's uniform buffer is rewritten; its geometry stays on the GPU.
+export function setObjectTransform(renderer, id, matrix) {
+    for (const registry of sceneRegistries(renderer)) {
+        const object = registry.get(id);
+        if (object) setModelMatrix(object, matrix);
+    }
+    requestRender(renderer);
+}
+
+// Sets the display mode of the mesh with this id; null returns it to the viewer's display mode
+export function setMeshDisplayMode(renderer, id, displayMode) {
+    const mesh = renderer.meshes.get(id);
+    if (mesh) mesh.displayMode = displayMode ?? null;
+    requestRender(renderer);
+}
+
+// The ids of the objects the renderer holds, by kind, in the order they were added
+export function getSceneObjectIds(renderer) {
+    return {
+        meshes: [...renderer.meshes.keys()],
+        lines: [...renderer.lines.keys()],
+        textBillboards: [...renderer.textBillboards.keys()],
+        pointClouds: [...renderer.pointClouds.keys()],
+        instancedMeshes: [...renderer.instancedMeshes.keys()]
+    };
+}
+
+function sceneRegistries(renderer) {
+    return [renderer.meshes, renderer.lines, renderer.textBillboards, renderer.pointClouds, renderer.instancedMeshes];
+}
+
+// Stores the object under its id. An object already registered under that id is destroyed and replaced,
+// keeping its place in the drawing order.
+function register(renderer, registry, object, destroy) {
+    const previous = registry.get(object.id);
+    if (previous) destroy(renderer, previous);
+    registry.set(object.id, object);
+    requestRender(renderer);
+}
+
+function unregister(renderer, registry, id, destroy) {
+    const object = registry.get(id);
+    if (!object) return;
+    destroy(renderer, object);
+    registry.delete(id);
+    requestRender(renderer);
+}
+
+function clearRegistry(renderer, registry, destroy) {
+    for (const object of registry.values()) destroy(renderer, object);
+    registry.clear();
+    requestRender(renderer);
+}
+
+// Creates the object's uniform buffer (model matrix, pick id, shader parameter) and its bind group
+function createObjectUniforms(renderer, object, pickId = 0, param = 0) {
+    const data = new ArrayBuffer(OBJECT_BUFFER_SIZE);
+    object.modelMatrix = new Float32Array(data, 0, 16);
+    object.modelMatrix.set(IDENTITY_MATRIX);
+    updateWorldBounds(object);
+    new Uint32Array(data, 64, 2).set([pickId, param]);
+    object.objectUniformBuffer = createBuffer(new Uint8Array(data), GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST, Uint8Array);
+    object.objectBindGroup = device.createBindGroup({
+        label: `Object ${object.id ?? pickId} BG`,
+        layout: renderer.objectBindGroupLayout,
+        entries: [{ binding: 0, resource: { buffer: object.objectUniformBuffer } }]
+    });
+}
+
+function setModelMatrix(object, matrix) {
+    object.modelMatrix.set(matrix);
+    device.queue.writeBuffer(object.objectUniformBuffer, 0, object.modelMatrix);
+    updateWorldBounds(object);
+}
+
+// Rewrites the shader parameter set by addPickable, for updates that change the object's layout
+function setPickParam(object, param) {
+    device.queue.writeBuffer(object.objectUniformBuffer, 68, new Uint32Array([param]));
 }
 
 // ============================================================================
-// Frame Timing Callback
+// Culling and level of detail
+// ============================================================================
+
+// Sets the object's bounds ({ min, max } in its own coordinates, or null when unknown). Culling and
+// transparency sorting use the sphere around them in world space, which follows the model matrix.
+function setBounds(object, bounds) {
+    object.bounds = bounds;
+    updateWorldBounds(object);
+}
+
+function updateWorldBounds(object) {
+    const { bounds, modelMatrix } = object;
+    if (!modelMatrix) return; // Set once the object gets its uniforms
+    if (!bounds) {
+        // Never culled, and drawn at full detail
+        object.worldCenter = transformPoint([0, 0, 0], modelMatrix);
+        object.worldRadius = Infinity;
+        return;
+    }
+    const { min, max } = bounds;
+    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+    object.worldCenter = transformPoint(center, modelMatrix);
+    object.worldRadius = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2 * maxAxisScale(modelMatrix);
+}
+
+// The largest scale the matrix (16 floats, column-major, from `offset`) applies along any axis
+function maxAxisScale(m, offset = 0) {
+    return Math.max(
+        Math.hypot(m[offset], m[offset + 1], m[offset + 2]),
+        Math.hypot(m[offset + 4], m[offset + 5], m[offset + 6]),
+        Math.hypot(m[offset + 8], m[offset + 9], m[offset + 10]));
+}
+
+// The view frustum of projection × view for a viewport viewportHeight pixels high. Its planes are
+// [a, b, c, d] with a·x + b·y + c·z + d the distance of a world point inside them, in world units.
+function cameraFrustum(projection, view, viewportHeight) {
+    const m = multiplyMatrices(projection, view);
+    const row = (i) => [m[i], m[i + 4], m[i + 8], m[i + 12]];
+    const [r0, r1, r2, r3] = [row(0), row(1), row(2), row(3)];
+    const combine = (a, b, sign) => a.map((v, k) => v + sign * b[k]);
+    const planes = [
+        combine(r3, r0, 1), combine(r3, r0, -1), // left, right
+        combine(r3, r1, 1), combine(r3, r1, -1), // bottom, top
+        r2, combine(r3, r2, -1) // near (depth 0), far
+    ].map(p => {
+        const length = Math.hypot(p[0], p[1], p[2]) || 1;
+        return p.map(v => v / length);
+    });
+    // Pixels per world unit at clip w = 1; divided by w this is the scale at any depth
+    return { planes, viewProjection: m, pixelScale: projection[5] * viewportHeight / 2 };
+}
+
+// Whether any of the object's bounding sphere lies in the frustum. The object's screenMargin (in
+// pixels, for points sized in pixels) is added at the depth of the sphere's far side.
+function isInFrustum(frustum, object) {
+    let radius = object.worldRadius;
+    if (object.screenMargin) radius += object.screenMargin * clipW(frustum, object, radius) / frustum.pixelScale;
+    if (!isFinite(radius)) return true;
+    const [x, y, z] = object.worldCenter;
+    for (const [a, b, c, d] of frustum.planes) {
+        if (a * x + b * y + c * z + d < -radius) return false;
+    }
+    return true;
+}
+
+// Clip space w of the object's center moved `distance` away from the camera: the depth in front
+// of a perspective camera, and 1 for an orthographic one
+function clipW(frustum, object, distance = 0) {
+    const m = frustum.viewProjection;
+    const [x, y, z] = object.worldCenter;
+    return m[3] * x + m[7] * y + m[11] * z + m[15] + distance * Math.hypot(m[3], m[7], m[11]);
+}
+
+// How many pixels across the object's bounding sphere is on screen
+function screenSize(frustum, object) {
+    const w = clipW(frustum, object);
+    return w > 0 ? 2 * object.worldRadius * frustum.pixelScale / w : Infinity;
+}
+
+// The mesh's coarsest level of detail for its size on screen, or null to draw all of its triangles
+function meshLod(frustum, mesh) {
+    if (!mesh.lods?.length) return null;
+    const size = screenSize(frustum, mesh);
+    return mesh.lods.find(lod => size < lod.maxScreenSize) ?? null;
+}
+
+// ============================================================================
+// Picking (ID pass)
 // ============================================================================
 
-let frameIntervalId = 0;
+// Assigns the object a pick id and creates its object uniforms with an identity model matrix.
+// `param` is shader specific: the index format for meshes, vertices per segment for lines.
+function addPickable(renderer, type, object, param = 0) {
+    const pickId = renderer.nextPickId++;
+    object.pickId = pickId;
+    createObjectUniforms(renderer, object, pickId, param);
+    renderer.pickables.set(pickId, { type, object });
+}
+
+function removePickable(renderer, object) {
+    renderer.pickables.delete(object.pickId);
+    object.objectUniformBuffer?.destroy();
+    if (renderer.selected?.object === object) renderer.selected = null;
+    if (renderer.hovered?.object === object) renderer.hovered = null;
+}
+
+function allocatePickTargets(renderer, width, height) {
+    const current = renderer.pickTexture;
+    if (current && current.width === width && current.height === height && renderer.pickDepthTexture.format === renderer.depthFormat) return;
+
+    current?.destroy();
+    renderer.pickDepthTexture?.destroy();
+    renderer.pickTexture = device.createTexture({
+        size: { width, height },
+        format: 'rgba32uint',
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC | GPUTextureUsage.TEXTURE_BINDING
+    });
+    renderer.pickDepthTexture = device.createTexture({
+        size: { width, height },
+        format: renderer.depthFormat,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT
+    });
+    // The highlight bind group samples the ID texture, so it is rebuilt on next use
+    renderer.highlightBindGroup = null;
+}
+
+function beginPickPass(renderer, encoder) {
+    return encoder.beginRenderPass({
+        colorAttachments: [{
+            view: renderer.pickTexture.createView(),
+            clearValue: { r: 0, g: 0, b: 0, a: 0 },
+            loadOp: 'clear',
+            storeOp: 'store'
+        }],
+        depthStencilAttachment: {
+            view: renderer.pickDepthTexture.createView(),
+            depthClearValue: 1.0,
+            depthLoadOp: 'clear',
+            depthStoreOp: 'discard'
+        }
+    });
+}
+
+// Draws one pickable object into an ID pass
+function drawPickObject(renderer, pass, type, object) {
+    const pipeline = getPipeline(renderer, `pick/${type}`, 1);
+    if (!object.objectBindGroup || !pipeline) return;
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    switch (type) {
+        case 'mesh':
+            if (!object.pickBindGroup) return;
+            pass.setBindGroup(1, object.pickBindGroup);
+            pass.draw(object.indexCount);
+            break;
+        case 'line':
+            pass.setBindGroup(1, object.objectBindGroup);
+            pass.setVertexBuffer(0, object.posBuffer);
+            pass.setVertexBuffer(1, object.colorBuffer);
+            pass.setVertexBuffer(2, object.thicknessBuffer);
+            pass.setVertexBuffer(3, object.uvBuffer);
+            pass.setVertexBuffer(4, object.endPosBuffer);
+            pass.setVertexBuffer(5, object.fadeBuffer);
+            pass.setIndexBuffer(object.indexBuffer, object.indexFormat);
+            pass.drawIndexed(object.indexCount);
+            break;
+        case 'billboard':
+            pass.setBindGroup(1, object.bindGroup);
+            pass.setBindGroup(2, object.objectBindGroup);
+            pass.setVertexBuffer(0, object.vertexBuffer);
+            pass.setIndexBuffer(object.indexBuffer, 'uint16');
+            pass.drawIndexed(object.indexCount);
+            break;
+        case 'instances':
+            if (object.instanceCount === 0) return;
+            pass.setBindGroup(1, renderer.lightBindGroup);
+            pass.setBindGroup(2, object.objectBindGroup);
+            setInstancedMeshVertexBuffers(renderer, pass, object);
+            pass.drawIndexed(object.indexCount, object.instanceCount);
+            break;
+        case 'points':
+            if (object.count === 0) return;
+            pass.setBindGroup(1, object.objectBindGroup);
+            pass.setVertexBuffer(0, object.positionBuffer);
+            pass.setVertexBuffer(1, object.colorBuffer);
+            pass.setVertexBuffer(2, object.sizeBuffer);
+            pass.draw(4, object.count);
+            break;
+    }
+}
+
+// Renders the ID pass for the pixel under (x, y) and reads it back.
+// Returns { type, object, primitiveIndex, depth } or null when nothing is hit.
+async function pickObjectAt(renderer, x, y) {
+    if (!renderer.gpuReady) return null;
+
+    const { canvas } = renderer;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    const px = Math.floor(x * canvas.width / rect.width);
+    const py = Math.floor(y * canvas.height / rect.height);
+    if (px < 0 || py < 0 || px >= canvas.width || py >= canvas.height) return null;
+
+    allocatePickTargets(renderer, canvas.width, canvas.height);
+    device.queue.writeBuffer(renderer.frameUniformBuffer, 0, renderer.frameArrayBuffer);
+
+    const encoder = device.createCommandEncoder();
+    const pass = beginPickPass(renderer, encoder);
+    pass.setScissorRect(px, py, 1, 1);
+
+    // Every object writes depth here, so the nearest one wins whether or not it is transparent
+    const frustum = cameraFrustum(renderer.projectionMatrix, renderer.viewMatrix, renderer.viewportSize[1]);
+    const pickTypes = [
+        ['mesh', renderer.meshes], ['line', renderer.lines], ['billboard', renderer.textBillboards],
+        ['points', renderer.pointClouds], ['instances', renderer.instancedMeshes]
+    ];
+    for (const [type, registry] of pickTypes) {
+        for (const object of registry.values()) {
+            if (isInFrustum(frustum, object)) drawPickObject(renderer, pass, type, object);
+        }
+    }
+    pass.end();
+
+    const readBuffer = device.createBuffer({ size: 16, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+    encoder.copyTextureToBuffer(
+        { texture: renderer.pickTexture, origin: { x: px, y: py } },
+        { buffer: readBuffer, bytesPerRow: 256 },
+        { width: 1, height: 1 }
+    );
+    device.queue.submit([encoder.finish()]);
+
+    await readBuffer.mapAsync(GPUMapMode.READ);
+    const texel = new Uint32Array(readBuffer.getMappedRange().slice(0));
+    readBuffer.unmap();
+    readBuffer.destroy();
+
+    const hit = renderer.pickables.get(texel[0]);
+    if (!hit) return null;
+
+    let primitiveIndex = texel[1];
+    if (hit.type === 'line' && hit.object.segmentIndices) {
+        primitiveIndex = hit.object.segmentIndices[primitiveIndex] ?? primitiveIndex;
+    }
+    return {
+        type: hit.type,
+        object: hit.object,
+        primitiveIndex,
+        depth: new Float32Array(texel.buffer)[2]
+    };
+}
+
+// Picks the object under (x, y), in CSS pixels relative to the canvas's top-left corner.
+// Returns { type: 'mesh' | 'line' | 'billboard' | 'points' | 'instances', id, primitiveIndex, depth } or null
+// when nothing is hit. primitiveIndex is the triangle index for meshes, the segment index for lines, the
+// point index for point clouds and the instance index for instanced meshes; depth is the
+// normalized device depth (0 = near plane, 1 = far plane).
+export async function pickAt(renderer, x, y) {
+    const hit = await pickObjectAt(renderer, x, y);
+    if (!hit) return null;
+    return {
+        type: hit.type,
+        id: hit.object.id,
+        primitiveIndex: hit.primitiveIndex,
+        depth: hit.depth
+    };
+}
+
+// ============================================================================
+// Selection & Hover Highlighting
+// ============================================================================
+
+// selection is { type, id, primitiveIndex } or null to clear it. primitiveIndex selects a
+// single triangle of a mesh to tint; pass -1 (or omit it) to outline the whole object only.
+export function setSelection(renderer, selection) {
+    renderer.selected = null;
+    renderer.selectedTriangle = -1;
+    requestRender(renderer);
+    if (!selection) return;
+
+    for (const entry of renderer.pickables.values()) {
+        if (entry.type === selection.type && entry.object.id === selection.id) {
+            renderer.selected = entry;
+            break;
+        }
+    }
+    if (renderer.selected?.type === 'mesh' && Number.isInteger(selection.primitiveIndex)) {
+        renderer.selectedTriangle = selection.primitiveIndex;
+    }
+}
+
+function setupHoverHighlight(renderer) {
+    const { canvas } = renderer;
+    const onPointerMove = (e) => {
+        // No hover picking while a button is held (orbiting, panning)
+        if (!renderer.highlightOnHover || e.buttons !== 0) return;
+        const rect = canvas.getBoundingClientRect();
+        renderer.hoverPosition = [e.clientX - rect.left, e.clientY - rect.top];
+        if (!renderer.hoverPickPending) updateHover(renderer);
+    };
+    const onPointerLeave = () => {
+        renderer.hoverPosition = null;
+        if (renderer.hovered) requestRender(renderer);
+        renderer.hovered = null;
+    };
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerleave', onPointerLeave);
+    renderer.removeHoverListeners = () => {
+        canvas.removeEventListener('pointermove', onPointerMove);
+        canvas.removeEventListener('pointerleave', onPointerLeave);
+    };
+}
+
+// Keeps at most one hover pick in flight; moves that arrive meanwhile are coalesced
+// into a single pick at the latest pointer position.
+async function updateHover(renderer) {
+    renderer.hoverPickPending = true;
+    try {
+        while (renderer.hoverPosition && !renderer.disposed) {
+            const position = renderer.hoverPosition;
+            const hit = await pickObjectAt(renderer, position[0], position[1]);
+            if (renderer.hoverPosition !== position) continue;
+            const hovered = hit && renderer.highlightOnHover ? { type: hit.type, object: hit.object } : null;
+            if (hovered?.object !== renderer.hovered?.object) requestRender(renderer);
+            renderer.hovered = hovered;
+            break;
+        }
+    } finally {
+        renderer.hoverPickPending = false;
+    }
+}
+
+// Uploads the highlight uniforms and makes sure the bind group matches the current ID texture.
+// Returns false when nothing is selected or hovered.
+function prepareHighlight(renderer) {
+    const { selected, hovered, canvas } = renderer;
+    if (!selected && !hovered) return false;
+
+    allocatePickTargets(renderer, canvas.width, canvas.height);
+    if (!renderer.highlightBindGroup) {
+        renderer.highlightBindGroup = device.createBindGroup({
+            layout: renderer.highlightBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: renderer.highlightUniformBuffer } },
+                { binding: 1, resource: renderer.pickTexture.createView() }
+            ]
+        });
+    }
+    renderer.highlightIds[0] = selected ? selected.object.pickId : 0;
+    renderer.highlightIds[1] = hovered ? hovered.object.pickId : 0;
+    device.queue.writeBuffer(renderer.highlightUniformBuffer, 0, renderer.highlightArray);
+    return true;
+}
+
+function drawSelectedTriangle(renderer, pass, pipeline) {
+    const { selected, selectedTriangle } = renderer;
+    if (!pipeline || selected?.type !== 'mesh' || !selected.object.pickBindGroup) return;
+    if (selectedTriangle < 0 || selectedTriangle >= selected.object.indexCount / 3) return;
+
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, renderer.frameBindGroup);
+    pass.setBindGroup(1, selected.object.pickBindGroup);
+    pass.setBindGroup(2, renderer.highlightBindGroup);
+    pass.draw(3, 1, 3 * selectedTriangle);
+}
+
+// Renders the selected and hovered objects into the ID texture, then outlines their
+// silhouettes on top of the resolved frame.
+function drawHighlightOutline(renderer, encoder) {
+    const { selected, hovered } = renderer;
+    const outlinePipeline = getPipeline(renderer, 'outline', 1);
+    if (renderer.outlineWidth[0] <= 0 || !outlinePipeline) return;
+
+    const maskPass = beginPickPass(renderer, encoder);
+    if (selected) drawPickObject(renderer, maskPass, selected.type, selected.object);
+    if (hovered && hovered.object !== selected?.object) drawPickObject(renderer, maskPass, hovered.type, hovered.object);
+    maskPass.end();
+
+    const pass = encoder.beginRenderPass({
+        colorAttachments: [{ view: renderer.colorView, loadOp: 'load', storeOp: 'store' }]
+    });
+    pass.setPipeline(outlinePipeline);
+    pass.setBindGroup(0, renderer.highlightBindGroup);
+    pass.draw(3);
+    pass.end();
+}
+
+// ============================================================================
+// Image Export
+// ============================================================================
+
+// Renders the current view into an offscreen texture and returns it as PNG bytes.
+// options: { width, height, sampleCount, transparentBackground, projectionMatrix }
+// width/height default to the canvas size; sampleCount is 1 or 4 (the counts WebGPU supports).
+// Pass a projectionMatrix built for width/height when the aspect ratio differs from the canvas.
+// Selection and hover highlights are not drawn.
+export async function exportImage(renderer, options = {}) {
+    if (!renderer.gpuReady) return null;
+
+    const { canvas } = renderer;
+    const width = Math.round(options.width || canvas.width);
+    const height = Math.round(options.height || canvas.height);
+    const maxSize = device.limits.maxTextureDimension2D;
+    if (width < 1 || height < 1 || width > maxSize || height > maxSize) {
+        throw new Error(`Export size ${width}x${height} must be between 1 and ${maxSize} pixels per side.`);
+    }
+    const sampleCount = (options.sampleCount ?? renderer.sampleCount) > 1 ? 4 : 1;
+
+    await preparePipelines(renderer, sampleCount);
+    if (renderer.disposed) return null;
 
-function startFrameTimer() {
-    frameIntervalId = setInterval(() => {
-        let avg = 0;
-        for (const v of frameMs) {
-            if (v === undefined) return;
-            avg += v;
+    const size = { width, height };
+    const format = `${renderer.colorFormat}-srgb`;
+    const colorTexture = device.createTexture({
+        size,
+        format,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+    });
+    const msaaTexture = sampleCount > 1
+        ? device.createTexture({ size, sampleCount, format, usage: GPUTextureUsage.RENDER_ATTACHMENT })
+        : null;
+    const depthTexture = device.createTexture({
+        size,
+        sampleCount,
+        format: renderer.depthFormat,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+    });
+
+    const renderPass = {
+        colorAttachments: [{
+            view: (msaaTexture ?? colorTexture).createView(),
+            resolveTarget: msaaTexture ? colorTexture.createView() : undefined,
+            clearValue: options.transparentBackground ? { r: 0, g: 0, b: 0, a: 0 } : renderer.clearColor,
+            loadOp: 'clear',
+            storeOp: 'store'
+        }],
+        depthStencilAttachment: {
+            view: depthTexture.createView(),
+            depthClearValue: 1.0,
+            depthLoadOp: 'clear',
+            depthStoreOp: 'discard'
+        }
+    };
+
+    // The next frame rewrites the frame uniforms, so the export projection doesn't leak on screen
+    const frameArray = new Float32Array(renderer.frameArrayBuffer.slice(0));
+    if (options.projectionMatrix) frameArray.set(options.projectionMatrix, 0);
+    frameArray.set([width, height], 32);
+    device.queue.writeBuffer(renderer.frameUniformBuffer, 0, frameArray);
+
+    const encoder = device.createCommandEncoder();
+    const frustum = cameraFrustum(frameArray.subarray(0, 16), renderer.viewMatrix, height);
+    const oit = renderer.transparency === 'weighted' ? createOitTargets(renderer, width, height, sampleCount) : null;
+    const ao = renderer.ambientOcclusion ? createAoTargets(renderer, depthTexture) : null;
+    encodeScene(renderer, encoder, renderPass, { sampleCount, highlight: false, frustum, oit, ao });
+
+    const bytesPerRow = Math.ceil(width * 4 / 256) * 256;
+    const readBuffer = device.createBuffer({ size: bytesPerRow * height, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+    encoder.copyTextureToBuffer({ texture: colorTexture }, { buffer: readBuffer, bytesPerRow }, size);
+    device.queue.submit([encoder.finish()]);
+
+    try {
+        await readBuffer.mapAsync(GPUMapMode.READ);
+        const rows = new Uint8Array(readBuffer.getMappedRange());
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            pixels.set(rows.subarray(y * bytesPerRow, y * bytesPerRow + width * 4), y * width * 4);
+        }
+        readBuffer.unmap();
+
+        const isBgra = renderer.colorFormat.startsWith('bgra');
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (isBgra) {
+                const b = pixels[i];
+                pixels[i] = pixels[i + 2];
+                pixels[i + 2] = b;
+            }
+            // Blending over a transparent clear leaves premultiplied color; PNG wants it straight
+            const a = pixels[i + 3];
+            if (options.transparentBackground && a > 0 && a < 255) {
+                pixels[i] = pixels[i] * 255 / a;
+                pixels[i + 1] = pixels[i + 1] * 255 / a;
+                pixels[i + 2] = pixels[i + 2] * 255 / a;
+            }
         }
-        const ms = avg / frameMs.length;
-        dotNetRef?.invokeMethodAsync('OnFrameMsUpdate', ms);
+        return await encodePng(pixels, width, height);
+    } finally {
+        readBuffer.destroy();
+        colorTexture.destroy();
+        msaaTexture?.destroy();
+        depthTexture.destroy();
+        destroyTargets(oit);
+        destroyTargets(ao);
+    }
+}
+
+async function encodePng(pixels, width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// ============================================================================
+// Frame Timing Callback
+// ============================================================================
+
+// Reports the average time of the frames drawn in the last second. Nothing is reported while no
+// frames are drawn, so an idle on-demand viewer keeps the time of its last frames.
+function startFrameTimer(renderer) {
+    renderer.frameIntervalId = setInterval(() => {
+        if (renderer.frameCount === 0) return;
+        const ms = renderer.frameMsTotal / renderer.frameCount;
+        renderer.frameMsTotal = 0;
+        renderer.frameCount = 0;
+        renderer.dotNetRef?.invokeMethodAsync('OnFrameMsUpdate', ms);
     }, 1000);
 }
 
@@ -1386,6 +4438,107 @@ function transformPoint(point, matrix) {
     ];
 }
 
+// Column-major a × b
+function multiplyMatrices(a, b) {
+    const result = new Float32Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+            result[col * 4 + row] = sum;
+        }
+    }
+    return result;
+}
+
+// Bounding box { min, max } of the xyz triplets found every `stride` values, starting at `offset`,
+// grown by `margin` on every side. Null when there are none.
+function computeBounds(vertices, stride = 3, offset = 0, margin = 0) {
+    if (vertices.length < offset + 3) return null;
+    let min = [Infinity, Infinity, Infinity];
+    let max = [-Infinity, -Infinity, -Infinity];
+    for (let i = offset; i < vertices.length; i += stride) {
+        min[0] = Math.min(min[0], vertices[i]);
+        min[1] = Math.min(min[1], vertices[i + 1]);
+        min[2] = Math.min(min[2], vertices[i + 2]);
+        max[0] = Math.max(max[0], vertices[i]);
+        max[1] = Math.max(max[1], vertices[i + 1]);
+        max[2] = Math.max(max[2], vertices[i + 2]);
+    }
+    return { min: min.map(v => v - margin), max: max.map(v => v + margin) };
+}
+
+function mergeBounds(a, b) {
+    if (!a || !b) return a ?? b;
+    return {
+        min: a.min.map((v, k) => Math.min(v, b.min[k])),
+        max: a.max.map((v, k) => Math.max(v, b.max[k]))
+    };
+}
+
+// A sphere around the world bounds of objects (see updateWorldBounds), or null when none of them is bounded
+function boundingSphere(objects) {
+    let bounds = null;
+    for (const { worldCenter: c, worldRadius: r } of objects) {
+        if (!Number.isFinite(r)) continue;
+        bounds = mergeBounds(bounds, { min: [c[0] - r, c[1] - r, c[2] - r], max: [c[0] + r, c[1] + r, c[2] + r] });
+    }
+    if (!bounds) return null;
+    const center = bounds.min.map((min, i) => (min + bounds.max[i]) / 2);
+    const radius = Math.hypot(...bounds.max.map((max, i) => max - center[i]));
+    return { center, radius: Math.max(radius, 1e-6) };
+}
+
+// Fills the lights of the light uniforms from renderer.lights and writes them. Headlights follow the
+// camera: their direction is in view space (x right, y up, z toward the viewer), turned to the world
+// here, so they are rewritten with each view. The first light that isn't a point light casts the shadows.
+function writeLights(renderer) {
+    const { lights, viewMatrix: m } = renderer;
+    renderer.lightCount[0] = lights.length;
+    renderer.shadowDirection = null;
+    lights.forEach((light, i) => {
+        let vector = light.position;
+        if (light.type === 'headlight') {
+            // The inverse of the view's rotation is its transpose
+            const [x, y, z] = light.direction ?? [0, 0, -1];
+            vector = [0, 1, 2].map(row => m[row * 4] * x + m[row * 4 + 1] * y + m[row * 4 + 2] * z);
+        } else if (light.type !== 'point') {
+            vector = light.direction;
+        }
+        const shadowed = light.type !== 'point' && !renderer.shadowDirection;
+        if (shadowed) renderer.shadowDirection = vector;
+        const offset = i * LIGHT_SIZE / 4;
+        renderer.lightSources.set([...vector, 0, ...(light.color ?? [1, 1, 1])], offset);
+        renderer.lightSourceFlags[offset + 3] = light.type === 'point' ? 1 : 0;
+        renderer.lightSourceFlags[offset + 7] = shadowed ? 1 : 0;
+    });
+    if (renderer.gpuReady) {
+        device.queue.writeBuffer(renderer.lightUniformBuffer, 0, renderer.lightUniformArray);
+    }
+}
+
+// Orthographic projection looking along direction (the way the light travels) at the sphere, which
+// fills it: x and y span -1..1 across the sphere, depth 0..1 from its light side to the far side
+function lightViewProjection(direction, { center, radius }) {
+    const length = Math.hypot(...direction) || 1;
+    const forward = direction.map(v => -v / length); // Toward the light
+    // Any axis not parallel to the light will do for up
+    const axis = Math.abs(forward[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const right = cross(axis, forward);
+    const rightLength = Math.hypot(...right);
+    const x = right.map(v => v / rightLength);
+    const y = cross(forward, x);
+    const z = forward.map(v => -v / (2 * radius));
+    return [
+        x[0] / radius, y[0] / radius, z[0], 0,
+        x[1] / radius, y[1] / radius, z[1], 0,
+        x[2] / radius, y[2] / radius, z[2], 0,
+        -dot(x, center) / radius, -dot(y, center) / radius, 0.5 + dot(forward, center) / (2 * radius), 1
+    ];
+}
+
 function createBuffer(data, usage, ArrayType = Float32Array) {
     const typedArray = data instanceof ArrayType ? data : new ArrayType(data);
     // Align buffer size to 4 bytes because createBuffer with mappedAtCreation=true
@@ -1406,6 +4559,81 @@ function createBuffer(data, usage, ArrayType = Float32Array) {
     return buffer;
 }
 
+// Bulk data from C# arrives as bytes (a Uint8Array), which Blazor transfers as binary instead of JSON:
+// float32 for coordinates and other per-vertex values, uint32 for indices and one RGBA byte each for
+// colors. Plain number arrays are accepted too. These return typed arrays, null staying null.
+function floatArray(data) {
+    if (data instanceof Uint8Array) return viewBytes(Float32Array, data);
+    return data && !(data instanceof Float32Array) ? new Float32Array(data) : data;
+}
+
+function indexArray(data) {
+    return data instanceof Uint8Array ? viewBytes(Uint32Array, data) : data;
+}
+
+// Colors stay packed on the GPU (unorm8x4), so bytes are used as they are and 0-1 floats are packed
+function colorArray(data) {
+    if (!data || data instanceof Uint8Array) return data;
+    const colors = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) colors[i] = Math.round(Math.min(Math.max(data[i], 0), 1) * 255);
+    return colors;
+}
+
+function viewBytes(ArrayType, bytes) {
+    // A typed array view must start on a multiple of its element size, so misaligned bytes are copied
+    if (bytes.byteOffset % ArrayType.BYTES_PER_ELEMENT !== 0) bytes = bytes.slice();
+    return new ArrayType(bytes.buffer, bytes.byteOffset, bytes.byteLength / ArrayType.BYTES_PER_ELEMENT);
+}
+
+// Usage for buffers that updates write into, and that are copied into a larger buffer when they grow
+function growable(usage) {
+    return usage | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+}
+
+// Writes data into object[key] at byteOffset. When the buffer is too small it is replaced by one with
+// half as much again spare room, so streamed data only reallocates now and then, and the contents
+// before byteOffset are copied across. Returns true when the buffer was replaced, so that bind groups
+// referring to it can be rebuilt.
+function writeGrowableBuffer(object, key, usage, byteOffset, data) {
+    const old = object[key];
+    const required = byteOffset + data.byteLength;
+    if (old && required <= old.size) {
+        if (data.byteLength > 0) device.queue.writeBuffer(old, byteOffset, data);
+        return false;
+    }
+    const buffer = device.createBuffer({
+        size: Math.max((Math.ceil(required * 1.5) + 3) & ~3, 4),
+        usage: growable(usage)
+    });
+    if (old) {
+        const copySize = Math.min(byteOffset, old.size) & ~3;
+        if (copySize > 0) {
+            const encoder = device.createCommandEncoder();
+            encoder.copyBufferToBuffer(old, 0, buffer, 0, copySize);
+            device.queue.submit([encoder.finish()]);
+        }
+        old.destroy();
+    }
+    if (data.byteLength > 0) device.queue.writeBuffer(buffer, byteOffset, data);
+    object[key] = buffer;
+    return true;
+}
+
+// Builds an index buffer using 16-bit indices when every index fits, otherwise 32-bit.
+// Returns the buffer together with the GPUIndexFormat to pass to setIndexBuffer.
+function createIndexBuffer(indices, usage = GPUBufferUsage.INDEX) {
+    let maxIndex = 0;
+    for (let i = 0; i < indices.length; i++) {
+        if (indices[i] > maxIndex) maxIndex = indices[i];
+    }
+    const use32 = maxIndex > 0xFFFF;
+    const ArrayType = use32 ? Uint32Array : Uint16Array;
+    return {
+        buffer: createBuffer(indices, usage, ArrayType),
+        format: use32 ? 'uint32' : 'uint16'
+    };
+}
+
 export function getBoundingClientRect(element) {
     const rect = element.getBoundingClientRect();
     return {
@@ -1420,24 +4648,54 @@ export function getBoundingClientRect(element) {
 // Cleanup
 // ============================================================================
 
-export function disposeWebGPU_Canvas() {
-    if (frameIntervalId) {
-        clearInterval(frameIntervalId);
-        frameIntervalId = 0;
-    }
+export function disposeWebGPU_Canvas(renderer) {
+    if (!renderer || renderer.disposed) return;
+    renderer.disposed = true;
+    liveRenderers.delete(renderer);
 
-    // Clean up all GPU resources
-    clearAllMeshes();
-    clearAllLines();
-    clearAllTextBillboards();
-
-    gridVertexBuffer?.destroy();
-    gridIndexBuffer?.destroy();
-    gridUniformBuffer?.destroy();
-    frameUniformBuffer?.destroy();
-    msaaColorTexture?.destroy();
-    depthTexture?.destroy();
-
-    device = null;
-    dotNetRef = null;
+    if (renderer.frameIntervalId) {
+        clearInterval(renderer.frameIntervalId);
+        renderer.frameIntervalId = 0;
+    }
+    if (renderer.animationFrameId) {
+        cancelAnimationFrame(renderer.animationFrameId);
+        renderer.animationFrameId = 0;
+    }
+    renderer.resizeObserver?.disconnect();
+    renderer.resizeObserver = null;
+    renderer.removeHoverListeners?.();
+    renderer.removeHoverListeners = null;
+
+    // Clean up this canvas's GPU resources; the shared device stays alive for other viewers
+    clearAllMeshes(renderer);
+    clearAllLines(renderer);
+    clearAllTextBillboards(renderer);
+    clearAllPoints(renderer);
+    clearAllInstancedMeshes(renderer);
+    destroyCoordinateAxes(renderer);
+
+    renderer.gridVertexBuffer?.destroy();
+    renderer.gridIndexBuffer?.destroy();
+    renderer.gridUniformBuffer?.destroy();
+    renderer.frameUniformBuffer?.destroy();
+    renderer.lightUniformBuffer?.destroy();
+    renderer.zeroNormalBuffer?.destroy();
+    renderer.whiteTexture?.destroy();
+    renderer.highlightUniformBuffer?.destroy();
+    renderer.clipUniformBuffer?.destroy();
+    renderer.edgeUniformBuffer?.destroy();
+    renderer.shadowUniformBuffer?.destroy();
+    renderer.shadowMapTexture?.destroy();
+    renderer.msaaColorTexture?.destroy();
+    renderer.depthTexture?.destroy();
+    destroyTargets(renderer.oitTargets);
+    destroyTargets(renderer.aoTargets);
+    renderer.aoUniformBuffer?.destroy();
+    renderer.pickTexture?.destroy();
+    renderer.pickDepthTexture?.destroy();
+    renderer.context?.unconfigure?.();
+    renderer.pipelineCache.clear();
+
+    renderer.gpuReady = false;
+    renderer.dotNetRef = null;
 }